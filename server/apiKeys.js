@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+
+/**
+ * API keys for machine clients (point-of-sale terminals, scripts).
+ *
+ * A key is sent as `Authorization: Bearer smk_...` and grants only its
+ * scopes:
+ *   verify  look serials up
+ *   write   add serials and upload receipts
+ *   export  download exports and reports
+ *
+ * Only the SHA-256 of a key is stored; the key itself is returned once, when
+ * it is created. Keys can expire, are revoked rather than deleted (so the
+ * audit log can still name them), and record when and from where they were
+ * last used.
+ */
+
+const SCOPES = ['verify', 'write', 'export'];
+const KEY_PREFIX = 'smk_';
+
+// last_used_at is written at most this often per key, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Raised for key requests that cannot be carried out; `status` is the HTTP status to report.
+ */
+class ApiKeyError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ApiKeyError';
+        this.status = status;
+    }
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+const toKey = (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: row.scopes.split(',').filter(Boolean),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    revokedAt: row.revoked_at
+});
+
+async function listKeys(q) {
+    const rows = await q.all('SELECT * FROM api_keys ORDER BY id DESC');
+    return rows.map(toKey);
+}
+
+/**
+ * Creates a key. `expiresAt` is optional (ISO date or timestamp).
+ * @returns {Promise<{ key: string, apiKey: object }>} The secret key (shown once) and its record.
+ */
+async function createKey(q, { name, scopes, expiresAt, createdBy }) {
+    const label = String(name || '').trim();
+    if (!label || label.length > 100) throw new ApiKeyError('Give the key a name (up to 100 characters).');
+    const granted = [...new Set(Array.isArray(scopes) ? scopes : [])];
+    if (granted.length === 0 || !granted.every(s => SCOPES.includes(s))) {
+        throw new ApiKeyError(`Scopes must be one or more of: ${SCOPES.join(', ')}.`);
+    }
+    let expires = null;
+    if (expiresAt) {
+        const time = Date.parse(expiresAt);
+        if (Number.isNaN(time)) throw new ApiKeyError('expiresAt must be a date.');
+        if (time <= Date.now()) throw new ApiKeyError('expiresAt must be in the future.');
+        expires = new Date(time).toISOString();
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const hash = sha256(key);
+    await q.run(`
+        INSERT INTO api_keys (name, prefix, key_hash, scopes, created_by, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [label, key.slice(0, KEY_PREFIX.length + 6), hash, granted.join(','), createdBy || null, new Date().toISOString(), expires]);
+    const row = await q.get('SELECT * FROM api_keys WHERE key_hash = ?', [hash]);
+    return { key, apiKey: toKey(row) };
+}
+
+/**
+ * Revokes a key; it stops working at once. Returns false if there is no such key.
+ */
+async function revokeKey(q, id) {
+    const row = await q.get('SELECT id, revoked_at FROM api_keys WHERE id = ?', [id]);
+    if (!row) return false;
+    if (!row.revoked_at) await q.run('UPDATE api_keys SET revoked_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+    return true;
+}
+
+/**
+ * The usable (not revoked, not expired) key a bearer token belongs to, or
+ * null. Records the use.
+ */
+async function keyForToken(q, token, { ip } = {}) {
+    if (!isApiKey(token)) return null;
+    const now = new Date();
+    const row = await q.get(`
+        SELECT * FROM api_keys
+        WHERE key_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+    `, [sha256(token), now.toISOString()]);
+    if (!row) return null;
+
+    const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+    if (now.getTime() - lastUsed >= LAST_USED_RESOLUTION_MS || row.last_used_ip !== (ip || null)) {
+        await q.run('UPDATE api_keys SET last_used_at = ?, last_used_ip = ? WHERE id = ?', [now.toISOString(), ip || null, row.id]);
+    }
+    return toKey(row);
+}
+
+const hasScope = (apiKey, scope) => !!apiKey && apiKey.scopes.includes(scope);
+
+module.exports = { SCOPES, ApiKeyError, listKeys, createKey, revokeKey, keyForToken, hasScope, isApiKey };
@@ -0,0 +1,258 @@
+/**
+ * Append-only audit log of every change to serials.
+ *
+ * Each entry holds the serial's row before and after the change (null when
+ * it did not exist), with its sightings when a row is removed, so the change
+ * can be undone. Entries are never updated or deleted: reverting one writes
+ * a new 'revert' entry pointing at it.
+ *
+ * Functions that write take `q`, which is dbModule or a transaction (see
+ * db.js); write the entry in the same transaction as the change.
+ */
+const webhooks = require('./webhooks');
+const { timeRange } = require('./times');
+
+const ACTIONS = ['create', 'update', 'import', 'approve', 'reject', 'flag', 'delete', 'restore', 'purge', 'reset', 'revert'];
+
+/**
+ * Where a change came from, for the log: { origin, operator, ip }.
+ * `operator` is the logged-in user, or `key:<name>` for an API key (see auth.js).
+ */
+const operatorOf = (req) => {
+    if (req.user) return req.user.username;
+    if (req.apiKey) return `key:${req.apiKey.name}`;
+    return null;
+};
+
+const requestContext = (req) => ({
+    origin: `${req.method} ${req.originalUrl}`,
+    operator: operatorOf(req),
+    ip: req.ip || null
+});
+
+// Plain JSON values, so rows compare equal whichever driver returned them (Postgres gives Dates)
+const plain = (value) => (value == null ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * The serial's row as stored now, or null. With `withSightings`, its
+ * sightings are included so a removal can be undone completely.
+ */
+async function snapshot(q, serialId, { withSightings = false } = {}) {
+    const row = await q.get('SELECT * FROM serials WHERE id = ?', [serialId]);
+    if (!row) return null;
+    if (withSightings) {
+        row.sightings = await q.all('SELECT * FROM sightings WHERE serial_id = ? ORDER BY id ASC', [serialId]);
+    }
+    return plain(row);
+}
+
+/**
+ * Every serial with its sightings, for logging a reset.
+ */
+async function snapshotAll(q) {
+    const rows = await q.all('SELECT * FROM serials ORDER BY id ASC');
+    const sightings = await q.all('SELECT * FROM sightings ORDER BY id ASC');
+    const bySerial = new Map(rows.map(r => [r.id, { ...r, sightings: [] }]));
+    for (const s of sightings) {
+        const row = bySerial.get(s.serial_id);
+        if (row) row.sightings.push(s);
+    }
+    return plain([...bySerial.values()]);
+}
+
+/**
+ * Appends an entry. `before`/`after` are rows from snapshot() (or null).
+ * Also queues the matching webhook event (see webhooks.js), so it is only
+ * sent if the transaction commits.
+ */
+async function record(q, { action, before = null, after = null, context = {}, reverts = null }) {
+    if (!ACTIONS.includes(action)) throw new Error(`Unknown audit action "${action}".`);
+    const row = after || before || {};
+    await q.run(`
+        INSERT INTO audit_log (action, serial_id, serial_number, old_value, new_value, origin, operator, ip, reverts, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        action,
+        row.id ?? null,
+        row.serial_number ?? null,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+        context.origin || null,
+        context.operator || null,
+        context.ip || null,
+        reverts,
+        new Date().toISOString()
+    ]);
+    await webhooks.enqueueChange(q, { action, before, after, context });
+}
+
+const toEntry = (row) => ({
+    id: row.id,
+    action: row.action,
+    serialId: row.serial_id,
+    serialNumber: row.serial_number,
+    before: row.old_value ? JSON.parse(row.old_value) : null,
+    after: row.new_value ? JSON.parse(row.new_value) : null,
+    origin: row.origin,
+    operator: row.operator,
+    ip: row.ip,
+    reverts: row.reverts,
+    revertedBy: row.reverted_by ?? null,
+    createdAt: row.created_at
+});
+
+/**
+ * Newest entries first.
+ * Filters: serial (exact serial number, past or present), serialId, action, operator,
+ * since/until (inclusive; dates or ISO timestamps, a date-only `until` covers that whole day).
+ * @returns {Promise<{ data: object[], pagination: object }>}
+ */
+async function listAudit(q, { serial, serialId, action, operator, since, until, page = 1, limit = 50 } = {}) {
+    const where = [];
+    const params = [];
+    if (serial) {
+        // Every entry of any record that has had this serial number, including renames
+        where.push('(serial_number = ? OR serial_id IN (SELECT serial_id FROM audit_log WHERE serial_number = ?))');
+        params.push(serial, serial);
+    }
+    if (serialId) { where.push('serial_id = ?'); params.push(serialId); }
+    if (action) { where.push('action = ?'); params.push(action); }
+    if (operator) { where.push('operator = ?'); params.push(operator); }
+    const range = timeRange('created_at', { since, until });
+    where.push(...range.where);
+    params.push(...range.params);
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+    const totalResult = await q.get(`SELECT COUNT(*) as total FROM audit_log ${whereSql}`, params);
+    const totalRecords = Number(totalResult ? totalResult.total : 0);
+
+    const rows = await q.all(`
+        SELECT audit_log.*, (SELECT MAX(r.id) FROM audit_log r WHERE r.reverts = audit_log.id) AS reverted_by
+        FROM audit_log
+        ${whereSql}
+        ORDER BY id DESC
+        LIMIT ? OFFSET ?
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+        data: rows.map(toEntry),
+        pagination: {
+            current: page,
+            limit,
+            totalRecords,
+            totalPages: Math.ceil(totalRecords / limit)
+        }
+    };
+}
+
+/**
+ * Raised when an entry cannot be reverted; `status` is the HTTP status to report.
+ */
+class RevertError extends Error {
+    constructor(message, status = 409) {
+        super(message);
+        this.name = 'RevertError';
+        this.status = status;
+    }
+}
+
+const COLUMN = /^[a-z_][a-z0-9_]*$/;
+
+const columnsOf = (row) => {
+    const columns = Object.keys(row).filter(c => c !== 'sightings');
+    if (!columns.every(c => COLUMN.test(c))) throw new Error('Unexpected column name in audit entry.');
+    return columns;
+};
+
+const withoutSightings = (row) => {
+    if (!row) return null;
+    const rest = { ...row };
+    delete rest.sightings;
+    return rest;
+};
+
+// Compares on the columns of `logged`, so columns added by later migrations do not count as changes
+const sameRow = (current, logged) => {
+    if (!current || !logged) return current === logged;
+    return columnsOf(logged).every(c => JSON.stringify(current[c] ?? null) === JSON.stringify(logged[c] ?? null));
+};
+
+const insertRow = async (q, table, row) => {
+    const columns = columnsOf(row);
+    await q.run(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(c => row[c])
+    );
+};
+
+// Puts back a removed serial, with the id and sightings it had
+const restoreRow = async (q, row) => {
+    if (await q.get('SELECT id FROM serials WHERE id = ? OR serial_number = ?', [row.id, row.serial_number])) {
+        throw new RevertError(`${row.serial_number} exists again, so it cannot be restored.`);
+    }
+    await insertRow(q, 'serials', row);
+    for (const sighting of row.sightings || []) {
+        await insertRow(q, 'sightings', sighting);
+    }
+};
+
+/**
+ * Undoes entry `id`: moves the serial from the entry's `after` state back to
+ * its `before` state, and logs that as a 'revert' entry. Refuses (RevertError)
+ * when the serial has changed since, so a later change is never silently lost.
+ * A revert can itself be reverted.
+ * @returns {Promise<{ serial: string|null, restored: number }>}
+ */
+async function revert(q, id, context = {}) {
+    const row = await q.get('SELECT * FROM audit_log WHERE id = ?', [id]);
+    if (!row) throw new RevertError('Audit entry not found.', 404);
+    const entry = toEntry(row);
+
+    // A reset removed many serials at once: put them all back
+    if (entry.action === 'reset') {
+        const rows = (entry.before && entry.before.serials) || [];
+        for (const serial of rows) await restoreRow(q, serial);
+        await record(q, { action: 'revert', after: { serials: rows }, context, reverts: entry.id });
+        return { serial: null, restored: rows.length };
+    }
+    if (entry.action === 'revert' && entry.serialId == null) {
+        throw new RevertError('Undoing the restore of a reset is not supported; reset again instead.', 400);
+    }
+
+    const current = await snapshot(q, entry.serialId, { withSightings: true });
+    if (!sameRow(withoutSightings(current), withoutSightings(entry.after))) {
+        throw new RevertError(`${entry.serialNumber} has changed since this entry; revert the later changes first.`);
+    }
+
+    if (!entry.before) {
+        await q.run('DELETE FROM serials WHERE id = ?', [entry.serialId]);
+        await q.run('DELETE FROM sightings WHERE serial_id = ?', [entry.serialId]);
+    } else if (!current) {
+        await restoreRow(q, entry.before);
+    } else {
+        const columns = columnsOf(entry.before).filter(c => c !== 'id');
+        try {
+            await q.run(
+                `UPDATE serials SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(c => entry.before[c]), entry.serialId]
+            );
+        } catch (err) {
+            if (err.code === '23505' || err.message.includes('UNIQUE')) {
+                throw new RevertError(`Another record is now ${entry.before.serial_number}, so it cannot be restored.`);
+            }
+            throw err;
+        }
+    }
+
+    const restored = entry.before ? await snapshot(q, entry.serialId, { withSightings: true }) : null;
+    await record(q, {
+        action: 'revert',
+        before: current,
+        after: restored,
+        context,
+        reverts: entry.id
+    });
+    return { serial: entry.serialNumber, restored: 1 };
+}
+
+module.exports = { requestContext, snapshot, snapshotAll, record, listAudit, revert, RevertError, ACTIONS };
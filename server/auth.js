@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const dbModule = require('./db');
+const apiKeys = require('./apiKeys');
+
+/**
+ * Local user accounts, login sessions and role checks.
+ *
+ * Roles are ranked, and each can do everything the ones below it can:
+ *   viewer    search serials
+ *   operator  add serials, upload and review receipts
+ *   admin     edit, delete, import, export, reset, history and user accounts
+ *
+ * Passwords are stored as scrypt hashes. A login is a random token in an
+ * HttpOnly, SameSite=Lax cookie; only its SHA-256 is stored, so a copy of the
+ * database cannot be used to log in.
+ *
+ * The first admin is created from ADMIN_USERNAME/ADMIN_PASSWORD when there
+ * are no users yet, or else through the login screen (POST /api/auth/setup),
+ * which only works while there are no users.
+ *
+ * Machine clients use API keys instead (see apiKeys.js): a request with
+ * `Authorization: Bearer smk_...` has no user, and may only use the routes
+ * whose scope its key was given.
+ *
+ * Configuration (environment):
+ *   ADMIN_USERNAME  with ADMIN_PASSWORD, the admin account created on a fresh install
+ *   ADMIN_PASSWORD
+ *   SESSION_DAYS    days a login lasts (default 7)
+ */
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const MIN_PASSWORD_LENGTH = 8;
+const SESSION_DAYS = Math.max(1, parseInt(process.env.SESSION_DAYS, 10) || 7);
+const COOKIE_NAME = 'serialmanager_session';
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+/**
+ * Raised for requests the account rules do not allow; `status` is the HTTP status to report.
+ */
+class AuthError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// "scrypt$<salt>$<hash>", hex
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the username is unknown, so a login takes as long either way
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+const checkPassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new AuthError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+};
+
+const checkRole = (role) => {
+    if (!ROLES.includes(role)) throw new AuthError(`Role must be one of: ${ROLES.join(', ')}.`);
+};
+
+// What clients see of a user
+const toUser = (row) => ({
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    disabled: !!Number(row.disabled),
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at
+});
+
+async function countUsers(q) {
+    const row = await q.get('SELECT COUNT(*) as total FROM users');
+    return Number(row ? row.total : 0);
+}
+
+async function listUsers(q) {
+    const rows = await q.all('SELECT * FROM users ORDER BY username ASC');
+    return rows.map(toUser);
+}
+
+/**
+ * Creates an account. Throws AuthError on a bad username, password or role,
+ * or when the username is taken.
+ */
+async function createUser(q, { username, password, role }) {
+    const name = normalizeUsername(username);
+    if (!/^[a-z0-9._@-]{2,64}$/.test(name)) {
+        throw new AuthError('Usernames are 2-64 letters, digits or . _ @ -');
+    }
+    checkPassword(password);
+    checkRole(role);
+    if (await q.get('SELECT id FROM users WHERE username = ?', [name])) {
+        throw new AuthError(`User "${name}" already exists.`, 409);
+    }
+    await q.run(
+        'INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)',
+        [name, await hashPassword(password), role, new Date().toISOString()]
+    );
+    return toUser(await q.get('SELECT * FROM users WHERE username = ?', [name]));
+}
+
+// Refuses changes that would leave nobody able to manage accounts
+const keepAnAdmin = async (q, id) => {
+    const row = await q.get(
+        "SELECT COUNT(*) as total FROM users WHERE role = 'admin' AND disabled = 0 AND id <> ?",
+        [id]
+    );
+    if (Number(row ? row.total : 0) === 0) throw new AuthError('There must be at least one active admin.', 409);
+};
+
+/**
+ * Changes a user's role, password or disabled flag. Disabling a user or
+ * changing their password ends their sessions.
+ */
+async function updateUser(q, id, { role, password, disabled }) {
+    const row = await q.get('SELECT * FROM users WHERE id = ?', [id]);
+    if (!row) throw new AuthError('User not found.', 404);
+
+    if (role !== undefined) checkRole(role);
+    if (password !== undefined) checkPassword(password);
+    const demoted = row.role === 'admin' && ((role !== undefined && role !== 'admin') || disabled === true);
+    if (demoted) await keepAnAdmin(q, id);
+
+    if (role !== undefined) await q.run('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+    if (disabled !== undefined) await q.run('UPDATE users SET disabled = ? WHERE id = ?', [disabled ? 1 : 0, id]);
+    if (password !== undefined) await q.run('UPDATE users SET password_hash = ? WHERE id = ?', [await hashPassword(password), id]);
+    if (disabled === true || password !== undefined) await q.run('DELETE FROM sessions WHERE user_id = ?', [id]);
+    return toUser(await q.get('SELECT * FROM users WHERE id = ?', [id]));
+}
+
+async function deleteUser(q, id) {
+    const row = await q.get('SELECT * FROM users WHERE id = ?', [id]);
+    if (!row) throw new AuthError('User not found.', 404);
+    if (row.role === 'admin') await keepAnAdmin(q, id);
+    await q.run('DELETE FROM sessions WHERE user_id = ?', [id]);
+    await q.run('DELETE FROM users WHERE id = ?', [id]);
+}
+
+/**
+ * Checks a username and password and starts a session.
+ * @returns {Promise<{ token: string, expiresAt: string, user: object } | null>} null when the login is wrong.
+ */
+async function login(q, username, password) {
+    const row = await q.get('SELECT * FROM users WHERE username = ?', [normalizeUsername(username)]);
+    const valid = await verifyPassword(String(password || ''), row ? row.password_hash : await DUMMY_HASH);
+    if (!row || !valid || Number(row.disabled)) return null;
+
+    const now = new Date();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now.getTime() + SESSION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await q.run('DELETE FROM sessions WHERE expires_at < ?', [now.toISOString()]);
+    await q.run(
+        'INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)',
+        [sha256(token), row.id, now.toISOString(), expiresAt]
+    );
+    await q.run('UPDATE users SET last_login_at = ? WHERE id = ?', [now.toISOString(), row.id]);
+    return { token, expiresAt, user: toUser(row) };
+}
+
+async function logout(q, token) {
+    if (token) await q.run('DELETE FROM sessions WHERE token_hash = ?', [sha256(token)]);
+}
+
+/**
+ * The active user a session token belongs to, or null.
+ */
+async function userForSession(q, token) {
+    if (!token) return null;
+    const row = await q.get(`
+        SELECT users.* FROM sessions
+        JOIN users ON users.id = sessions.user_id
+        WHERE sessions.token_hash = ? AND sessions.expires_at > ? AND users.disabled = 0
+    `, [sha256(token), new Date().toISOString()]);
+    return row ? toUser(row) : null;
+}
+
+let bootstrapped = null;
+
+/**
+ * Creates the ADMIN_USERNAME account when there are no users yet. Runs once
+ * per process (again if it failed); call before serving requests.
+ */
+function bootstrapAdmin() {
+    if (!bootstrapped) {
+        bootstrapped = (async () => {
+            const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+            if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return;
+            if (await countUsers(dbModule) > 0) return;
+            await createUser(dbModule, { username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+            console.log(`Created admin account "${normalizeUsername(ADMIN_USERNAME)}" from ADMIN_USERNAME.`);
+        })().catch((err) => {
+            bootstrapped = null;
+            throw err;
+        });
+    }
+    return bootstrapped;
+}
+
+// The session token from the request's Cookie header
+const sessionToken = (req) => {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [name, ...value] = part.trim().split('=');
+        if (name === COOKIE_NAME) return decodeURIComponent(value.join('='));
+    }
+    return null;
+};
+
+const isHttps = (req) => req.secure || req.get('x-forwarded-proto') === 'https';
+
+function setSessionCookie(req, res, token, expiresAt) {
+    res.cookie(COOKIE_NAME, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: isHttps(req),
+        path: '/',
+        expires: new Date(expiresAt)
+    });
+}
+
+function clearSessionCookie(req, res) {
+    res.clearCookie(COOKIE_NAME, { httpOnly: true, sameSite: 'lax', secure: isHttps(req), path: '/' });
+}
+
+// The token of an `Authorization: Bearer ...` header
+const bearerToken = (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return match ? match[1] : null;
+};
+
+/**
+ * Express middleware: sets req.apiKey from a bearer API key, or else req.user
+ * from the session cookie (each null when absent). An API key that is
+ * unknown, revoked or expired is refused with 401 rather than ignored.
+ */
+async function authenticate(req, res, next) {
+    try {
+        req.user = null;
+        req.apiKey = null;
+        const bearer = bearerToken(req);
+        if (bearer) {
+            req.apiKey = await apiKeys.keyForToken(dbModule, bearer, { ip: req.ip });
+            if (!req.apiKey) return res.status(401).json({ error: 'Invalid, revoked or expired API key.' });
+        } else {
+            req.user = await userForSession(dbModule, sessionToken(req));
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Express middleware allowing only users with `role` or above: 401 when
+ * not logged in, 403 when the role is too low. API keys are let through
+ * only when the route names a `scope` and the key has it.
+ */
+const requireRole = (role, scope) => (req, res, next) => {
+    if (req.apiKey) {
+        if (!scope) return res.status(403).json({ error: 'API keys cannot use this endpoint.' });
+        if (!apiKeys.hasScope(req.apiKey, scope)) return res.status(403).json({ error: `This API key lacks the ${scope} scope.` });
+        return next();
+    }
+    if (!req.user) return res.status(401).json({ error: 'Please log in.' });
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `This needs the ${role} role.` });
+    next();
+};
+
+module.exports = {
+    ROLES,
+    AuthError,
+    hasRole,
+    countUsers,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+    login,
+    logout,
+    userForSession,
+    bootstrapAdmin,
+    sessionToken,
+    setSessionCookie,
+    clearSessionCookie,
+    authenticate,
+    requireRole
+};
@@ -0,0 +1,145 @@
+/**
+ * Confusion-aware correction of OCR tokens.
+ *
+ * Tesseract regularly reads letters as look-alike digits and vice versa. Each
+ * registered format with a `shape` tells us which positions must be letters
+ * and which digits, so a misread character in the wrong class can be swapped
+ * for its look-alike instead of losing the whole serial.
+ */
+const { getFormats } = require('./formats');
+
+// Look-alike pairs in both directions: letter -> digit and digit -> letter.
+const CONFUSIONS = [
+    ['O', '0'],
+    ['I', '1'],
+    ['S', '5'],
+    ['B', '8'],
+    ['Z', '2']
+];
+
+const TO_DIGIT = Object.fromEntries(CONFUSIONS.map(([letter, digit]) => [letter, digit]));
+const TO_LETTER = Object.fromEntries(CONFUSIONS.map(([letter, digit]) => [digit, letter]));
+
+// A corrected character keeps only this share of the confidence Tesseract gave it.
+const CORRECTION_PENALTY = 0.5;
+
+const isLetter = ch => ch >= 'A' && ch <= 'Z';
+const isDigit = ch => ch >= '0' && ch <= '9';
+
+/**
+ * Forces a token into a shape, swapping look-alikes where the character class
+ * is wrong. Returns { value, corrections } or null if the token cannot fit.
+ */
+function fitShape(token, shape) {
+    if (token.length !== shape.length) return null;
+
+    let value = '';
+    const corrections = [];
+    for (let i = 0; i < shape.length; i++) {
+        const want = shape[i];
+        const ch = token[i];
+        let out = null;
+
+        if (want === 'L') {
+            out = isLetter(ch) ? ch : TO_LETTER[ch];
+        } else if (want === 'D') {
+            out = isDigit(ch) ? ch : TO_DIGIT[ch];
+        } else {
+            out = ch === want ? ch : null;
+        }
+
+        if (!out) return null;
+        if (out !== ch) corrections.push({ index: i, from: ch, to: out });
+        value += out;
+    }
+    return { value, corrections };
+}
+
+/**
+ * Scores a candidate from per-character confidences (0-100, as reported by
+ * Tesseract). Corrected characters are penalised. Returns a value in 0..1.
+ */
+function scoreCandidate(length, corrections, charConfidences, wordConfidence) {
+    const corrected = new Set(corrections.map(c => c.index));
+    let total = 0;
+    for (let i = 0; i < length; i++) {
+        const raw = charConfidences && charConfidences[i] != null ? charConfidences[i] : wordConfidence;
+        const conf = Math.max(0, Math.min(100, raw == null ? 0 : raw)) / 100;
+        total += corrected.has(i) ? conf * CORRECTION_PENALTY : conf;
+    }
+    return Math.round((total / length) * 1000) / 1000;
+}
+
+/**
+ * Proposes serial candidates for one OCR word.
+ *
+ * @param {object} word
+ * @param {string} word.text - Raw word text.
+ * @param {number} [word.confidence] - Word confidence (0-100).
+ * @param {{ text: string, confidence: number }[]} [word.symbols] - Per-symbol confidences.
+ * @param {{ x0: number, y0: number, x1: number, y1: number }} [word.bbox] - Position on the image, passed through.
+ * @returns {{ serial, format, confidence, corrections, raw, bbox }[]}
+ */
+function correctWord(word) {
+    // Keep symbol confidences aligned with the characters we keep
+    const symbols = Array.isArray(word.symbols) && word.symbols.length > 0
+        ? word.symbols
+        : String(word.text || '').split('').map(text => ({ text, confidence: null }));
+
+    let token = '';
+    const charConfidences = [];
+    for (const sym of symbols) {
+        for (const ch of String(sym.text || '').toUpperCase()) {
+            if (/[A-Z0-9*]/.test(ch)) {
+                token += ch;
+                charConfidences.push(sym.confidence);
+            }
+        }
+    }
+    if (!token) return [];
+
+    const candidates = [];
+    for (const format of getFormats()) {
+        if (!format.shape) continue;
+        const fitted = fitShape(token, format.shape);
+        if (!fitted) continue;
+        if (!format.pattern.test(fitted.value)) continue;
+        if (format.validate && !format.validate(fitted.value)) continue;
+
+        candidates.push({
+            serial: fitted.value,
+            format: format.name,
+            confidence: scoreCandidate(token.length, fitted.corrections, charConfidences, word.confidence),
+            corrections: fitted.corrections,
+            raw: token,
+            bbox: word.bbox || null
+        });
+    }
+    return candidates;
+}
+
+/**
+ * Runs correction over every OCR word and keeps the best-scoring candidate per
+ * serial (the same serial may be read several times on one receipt).
+ */
+function correctWords(words) {
+    const best = new Map();
+    for (const word of words) {
+        for (const candidate of correctWord(word)) {
+            const existing = best.get(candidate.serial);
+            if (!existing || candidate.confidence > existing.confidence) {
+                best.set(candidate.serial, candidate);
+            }
+        }
+    }
+    return [...best.values()];
+}
+
+/**
+ * Describes corrections for display, e.g. "O→0 at 3, I→1 at 7".
+ */
+function describeCorrections(corrections) {
+    return corrections.map(c => `${c.from}→${c.to} at ${c.index + 1}`).join(', ');
+}
+
+module.exports = { CONFUSIONS, correctWord, correctWords, describeCorrections };
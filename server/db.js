@@ -7,6 +7,9 @@ require('dotenv').config();
 let db;
 let isPostgres = false;
 
+// SQLITE_PATH puts the local database elsewhere (the tests use a throwaway one)
+const sqlitePath = process.env.SQLITE_PATH ? path.resolve(process.env.SQLITE_PATH) : path.join(__dirname, 'serials.db');
+
 // Check for Neon/Vercel Postgres
 // Vercel/Neon uses DATABASE_URL or POSTGRES_URL
 const connectionString = process.env.DATABASE_URL || process.env.POSTGRES_URL;
@@ -30,10 +33,9 @@ if (connectionString) {
     }
 
     if (Database) {
-        const dbPath = path.join(__dirname, 'serials.db');
-        console.log('Using local SQLite database at:', dbPath);
+        console.log('Using local SQLite database at:', sqlitePath);
         try {
-            db = new Database(dbPath, { verbose: console.log });
+            db = new Database(sqlitePath, { verbose: console.log });
         } catch (err) {
             console.error("Failed to initialize SQLite:", err);
         }
@@ -42,105 +44,170 @@ if (connectionString) {
 
 // ---- Abstraction Layer ----
 
+// Schema changes are versioned migrations in server/migrations (see migrate.js).
+// AUTO_MIGRATE=false makes startup refuse to serve instead of applying pending ones.
 const initSchema = async () => {
-    const createTableQuery = `
-    CREATE TABLE IF NOT EXISTS serials (
-      id SERIAL PRIMARY KEY,
-      serial_number TEXT UNIQUE NOT NULL,
-      source_filename TEXT,
-      extracted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      status TEXT DEFAULT 'confirmed'
-    );
-  `;
-
-    // SQLite uses INTEGER PRIMARY KEY AUTOINCREMENT
-    const sqliteCreateTableQuery = `
-    CREATE TABLE IF NOT EXISTS serials (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      serial_number TEXT UNIQUE NOT NULL,
-      source_filename TEXT,
-      extracted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      status TEXT DEFAULT 'confirmed'
-    );
-  `;
-
-    if (isPostgres) {
-        try {
-            // Pool uses .query()
-            await db.query(createTableQuery);
-            console.log('Postgres schema initialized.');
-        } catch (err) {
-            console.error('Failed to init Postgres schema:', err);
-        }
-    } else if (db) {
-        db.exec(sqliteCreateTableQuery);
-        console.log('SQLite schema initialized.');
-    }
+    if (!db) return;
+    const { prepare } = require('./migrate');
+    const { current } = await prepare(db, isPostgres, { autoMigrate: process.env.AUTO_MIGRATE !== 'false' });
+    console.log(`${isPostgres ? 'Postgres' : 'SQLite'} schema at version ${current}.`);
 };
 
 // Initialize schema
 let initPromise = initSchema();
+// Failures surface through ready(); this only avoids an unhandled rejection at load
+initPromise.catch(err => console.error('Database schema check failed:', err.message));
 
-// Helper methods to unify API
-const methods = {
-    ready: () => initPromise,
-    isPostgres,
+// Convert ? to $1, $2 for Postgres
+const toPg = (query) => {
+    let pIdx = 1;
+    return query.replace(/\?/g, () => `$${pIdx++}`);
+};
 
+// run/get/all against the pool, or against one checked-out client inside a transaction
+const pgQueries = (client, { inTransaction = false } = {}) => ({
     // Execute a query that doesn't return rows (INSERT, UPDATE, DELETE)
     // Returns { changes: number } or similar
     run: async (query, params = []) => {
-        if (isPostgres) {
-            // Convert ? to $1, $2 for Postgres
-            let pIdx = 1;
-            const pgQuery = query.replace(/\?/g, () => `$${pIdx++}`);
-
-            try {
-                // Pool returns standard PG result object with rowCount
-                const result = await db.query(pgQuery, params);
-                return { changes: result.rowCount };
-            } catch (e) {
-                console.error("Query failed:", pgQuery, params, e);
-                // Duplicate key error code in Postgres is 23505
-                if (e.code === '23505') {
-                    return { changes: 0 };
-                }
-                throw e;
+        const pgQuery = toPg(query);
+        try {
+            // Pool returns standard PG result object with rowCount
+            const result = await client.query(pgQuery, params);
+            return { changes: result.rowCount };
+        } catch (e) {
+            console.error("Query failed:", pgQuery, params, e);
+            // Duplicate key error code in Postgres is 23505.
+            // A failed statement aborts the transaction, so inside one it has to propagate.
+            if (e.code === '23505' && !inTransaction) {
+                return { changes: 0 };
             }
-        } else {
-            const stmt = db.prepare(query);
-            return stmt.run(...params);
+            throw e;
         }
     },
 
     // Get a single row
     get: async (query, params = []) => {
-        if (isPostgres) {
-            let pIdx = 1;
-            const pgQuery = query.replace(/\?/g, () => `$${pIdx++}`);
-            const result = await db.query(pgQuery, params);
-            return result.rows[0];
-        } else {
-            const stmt = db.prepare(query);
-            return stmt.get(...params);
-        }
+        const result = await client.query(toPg(query), params);
+        return result.rows[0];
     },
 
     // Get all rows
     all: async (query, params = []) => {
-        if (isPostgres) {
-            let pIdx = 1;
-            const pgQuery = query.replace(/\?/g, () => `$${pIdx++}`);
-            const result = await db.query(pgQuery, params);
-            return result.rows;
-        } else {
+        const result = await client.query(toPg(query), params);
+        return result.rows;
+    }
+});
+
+// better-sqlite3 has a single connection, so anything run while a transaction
+// is open would become part of it. Resolves when no transaction is open.
+let sqliteTx = null;
+const sqliteIdle = async () => {
+    while (sqliteTx) await sqliteTx;
+};
+
+const sqliteQueries = ({ inTransaction = false } = {}) => {
+    const wait = inTransaction ? async () => {} : sqliteIdle;
+    return {
+        run: async (query, params = []) => {
+            await wait();
+            const stmt = db.prepare(query);
+            return stmt.run(...params);
+        },
+        get: async (query, params = []) => {
+            await wait();
+            const stmt = db.prepare(query);
+            return stmt.get(...params);
+        },
+        all: async (query, params = []) => {
+            await wait();
             const stmt = db.prepare(query);
             return stmt.all(...params);
         }
-    },
+    };
+};
+
+// Runs the callbacks registered with tx.afterCommit(); one failing does not stop the rest
+const runAfterCommit = (callbacks) => {
+    for (const callback of callbacks) {
+        try {
+            callback();
+        } catch (err) {
+            console.error('After-commit callback failed:', err);
+        }
+    }
+};
+
+/**
+ * Runs `fn(tx)` in a transaction. `tx` has the same run/get/all methods as
+ * this module; use it (not the module) for every query that belongs to the
+ * transaction. Commits when fn resolves, rolls back and rethrows when it
+ * throws. Resolves with fn's result.
+ *
+ * `tx.afterCommit(callback)` runs the callback once the transaction has
+ * committed (and never if it rolls back), for work that has to see its rows
+ * from another connection. Outside a transaction, afterCommit runs it at once.
+ *
+ * Postgres checks out a dedicated pool client for the duration. SQLite
+ * queues other queries (and transactions) until this one finishes.
+ */
+const transaction = async (fn) => {
+    const committed = [];
+    const afterCommit = (callback) => { committed.push(callback); };
+
+    if (isPostgres) {
+        const client = await db.connect();
+        let result;
+        try {
+            await client.query('BEGIN');
+            result = await fn({ ...pgQueries(client, { inTransaction: true }), afterCommit });
+            await client.query('COMMIT');
+        } catch (e) {
+            try {
+                await client.query('ROLLBACK');
+            } catch (rollbackErr) {
+                console.error('Rollback failed:', rollbackErr.message);
+            }
+            throw e;
+        } finally {
+            client.release();
+        }
+        runAfterCommit(committed);
+        return result;
+    }
+
+    // Claim the connection synchronously once it is free, so two waiters cannot both start
+    while (sqliteTx) await sqliteTx;
+    let finish;
+    sqliteTx = new Promise(resolve => { finish = resolve; });
+    let result;
+    try {
+        db.exec('BEGIN');
+        result = await fn({ ...sqliteQueries({ inTransaction: true }), afterCommit });
+        db.exec('COMMIT');
+    } catch (e) {
+        if (db.inTransaction) db.exec('ROLLBACK');
+        throw e;
+    } finally {
+        sqliteTx = null;
+        finish();
+    }
+    runAfterCommit(committed);
+    return result;
+};
+
+// Helper methods to unify API
+const methods = {
+    ready: () => initPromise,
+    isPostgres,
+
+    ...(isPostgres ? pgQueries(db) : sqliteQueries()),
+    transaction,
+    // Nothing to wait for outside a transaction
+    afterCommit: (callback) => runAfterCommit([callback]),
 
     // Raw access
     raw: db,
-    path: !isPostgres && db ? path.join(__dirname, 'serials.db') : null,
+    path: !isPostgres && db ? sqlitePath : null,
 
     close: () => {
         if (!isPostgres && db && db.open) {
@@ -157,10 +224,10 @@ const methods = {
                 const { createRequire } = require('module');
                 const customRequire = createRequire(__filename);
                 const Database = customRequire('better-sqlite3');
-                const dbPath = path.join(__dirname, 'serials.db');
-                db = new Database(dbPath, { verbose: console.log });
+                db = new Database(sqlitePath, { verbose: console.log });
                 methods.raw = db;
-                await initSchema();
+                initPromise = initSchema();
+                await initPromise;
             } catch (e) { console.error(e) }
         }
     }
@@ -0,0 +1,78 @@
+/**
+ * Turns an uploaded receipt into one raster image per page.
+ *
+ * Plain images are passed through as a single page. Multi-page TIFFs are split
+ * with sharp and PDFs are rendered locally with MuPDF (WASM, no external
+ * service or system binary needed).
+ *
+ * Configuration (environment):
+ *   MAX_DOCUMENT_PAGES  pages rendered per document before the rest are skipped (default 50)
+ *   PDF_RENDER_DPI      resolution PDF pages are rendered at (default 200)
+ */
+
+const MAX_PAGES = Math.max(1, parseInt(process.env.MAX_DOCUMENT_PAGES) || 50);
+const PDF_RENDER_DPI = Math.max(72, parseInt(process.env.PDF_RENDER_DPI) || 200);
+
+/**
+ * Identifies the document type from its magic bytes (falling back to the
+ * mimetype/extension the client sent).
+ * @returns {'pdf' | 'tiff' | 'image'}
+ */
+function detectKind(buffer, { mimetype = '', filename = '' } = {}) {
+    if (buffer.length >= 4) {
+        if (buffer.subarray(0, 4).toString('latin1') === '%PDF') return 'pdf';
+        const magic = buffer.subarray(0, 4).toString('hex');
+        if (magic === '49492a00' || magic === '4d4d002a') return 'tiff';
+    }
+    if (mimetype === 'application/pdf' || /\.pdf$/i.test(filename)) return 'pdf';
+    if (mimetype === 'image/tiff' || /\.tiff?$/i.test(filename)) return 'tiff';
+    return 'image';
+}
+
+const rasterizePdf = async (buffer) => {
+    // mupdf is ESM-only
+    const mupdf = await import('mupdf');
+    const doc = mupdf.Document.openDocument(buffer, 'application/pdf');
+    try {
+        const pageCount = doc.countPages();
+        const scale = PDF_RENDER_DPI / 72;
+        const pages = [];
+        for (let i = 0; i < Math.min(pageCount, MAX_PAGES); i++) {
+            const page = doc.loadPage(i);
+            const pixmap = page.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceRGB, false);
+            pages.push({ page: i + 1, buffer: Buffer.from(pixmap.asPNG()) });
+            pixmap.destroy();
+            page.destroy();
+        }
+        return { pages, pageCount };
+    } finally {
+        doc.destroy();
+    }
+};
+
+const rasterizeTiff = async (buffer) => {
+    const sharp = require('sharp');
+    const { pages: pageCount = 1 } = await sharp(buffer).metadata();
+    const pages = [];
+    for (let i = 0; i < Math.min(pageCount, MAX_PAGES); i++) {
+        pages.push({ page: i + 1, buffer: await sharp(buffer, { page: i }).png().toBuffer() });
+    }
+    return { pages, pageCount };
+};
+
+/**
+ * Splits a document into page images.
+ *
+ * @param {Buffer} buffer - Uploaded file contents.
+ * @param {{ mimetype?: string, filename?: string }} [info]
+ * @returns {Promise<{ kind: string, pageCount: number, pages: { page: number, buffer: Buffer }[] }>}
+ *   `pageCount` is the document's real page count; `pages` stops at MAX_DOCUMENT_PAGES.
+ */
+async function rasterize(buffer, info = {}) {
+    const kind = detectKind(buffer, info);
+    if (kind === 'pdf') return { kind, ...(await rasterizePdf(buffer)) };
+    if (kind === 'tiff') return { kind, ...(await rasterizeTiff(buffer)) };
+    return { kind, pageCount: 1, pages: [{ page: 1, buffer }] };
+}
+
+module.exports = { rasterize, detectKind, MAX_PAGES };
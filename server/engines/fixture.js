@@ -0,0 +1,128 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Fake engine that returns canned words from fixture files instead of running
+ * OCR, so the upload-to-insert flow can be exercised offline and repeatably.
+ *
+ * For each page the first existing file wins, with extension .json or .txt:
+ *   <sha256 of the page as uploaded>   e.g. 5d10...8c43.json
+ *   <uploaded filename>                e.g. receipt1.jpg.json
+ *   <uploaded filename minus ext>      e.g. receipt1.json
+ *   default
+ * No file means no words.
+ *
+ * JSON fixtures hold { width, height, words: [{ text, confidence, bbox }] },
+ * or { pages: [...] } with one such object per page of a PDF/TIFF.
+ * Text fixtures list the words as they would be read, one text line per line;
+ * every word gets confidence 95 and a box on a simple grid.
+ *
+ * server/fixtures/ocr also holds sample receipts for the tests: <name>.png,
+ * the words read from it in <name>.txt and the extraction expected from the
+ * upload in <name>.expected.json.
+ *
+ * Configuration (environment):
+ *   OCR_FIXTURES_DIR       where fixtures live (default server/fixtures/ocr)
+ *   OCR_FIXTURE_DELAY_MS   simulated recognition time per page (default 0)
+ */
+
+const FIXTURES_DIR = process.env.OCR_FIXTURES_DIR
+    ? path.resolve(process.env.OCR_FIXTURES_DIR)
+    : path.join(__dirname, '..', 'fixtures', 'ocr');
+const DELAY_MS = Math.max(0, parseInt(process.env.OCR_FIXTURE_DELAY_MS) || 0);
+
+const DEFAULT_CONFIDENCE = 95;
+// Grid used to lay out words from text fixtures (and JSON words without a bbox)
+const CHAR_WIDTH = 20;
+const LINE_HEIGHT = 50;
+const MARGIN = 40;
+
+let lookups = 0;
+
+const findFixture = (source = {}) => {
+    const names = [];
+    if (source.image) names.push(crypto.createHash('sha256').update(source.image).digest('hex'));
+    if (source.filename) {
+        const base = path.basename(source.filename);
+        names.push(base, base.slice(0, base.length - path.extname(base).length));
+    }
+    names.push('default');
+
+    for (const name of names) {
+        for (const ext of ['.json', '.txt']) {
+            const file = path.join(FIXTURES_DIR, name + ext);
+            if (fs.existsSync(file)) return file;
+        }
+    }
+    return null;
+};
+
+// Places words that have no box one after another on a text grid
+const layOut = (lines) => {
+    const words = [];
+    let width = 0;
+    lines.forEach((line, row) => {
+        let x = MARGIN;
+        for (const word of line) {
+            const y = MARGIN + row * LINE_HEIGHT;
+            const x1 = x + word.text.length * CHAR_WIDTH;
+            words.push({ ...word, bbox: word.bbox || { x0: x, y0: y, x1, y1: y + LINE_HEIGHT - 10 } });
+            width = Math.max(width, x1 + MARGIN);
+            x = x1 + CHAR_WIDTH;
+        }
+    });
+    return { words, width, height: MARGIN * 2 + lines.length * LINE_HEIGHT };
+};
+
+const parseFixture = (file, page) => {
+    const content = fs.readFileSync(file, 'utf8');
+
+    if (file.endsWith('.txt')) {
+        const lines = content.split(/\r?\n/).map(line =>
+            line.split(/\s+/).filter(Boolean).map(text => ({ text, confidence: DEFAULT_CONFIDENCE }))
+        );
+        return layOut(lines);
+    }
+
+    const data = JSON.parse(content);
+    const entry = Array.isArray(data.pages) ? data.pages[(page || 1) - 1] || { words: [] } : data;
+    const words = (entry.words || []).map(w => ({
+        text: String(w.text),
+        confidence: w.confidence ?? DEFAULT_CONFIDENCE,
+        bbox: w.bbox,
+        symbols: w.symbols
+    }));
+    const laidOut = layOut(words.map(w => [w]));
+    return {
+        words: laidOut.words,
+        width: entry.width ?? data.width ?? laidOut.width,
+        height: entry.height ?? data.height ?? laidOut.height
+    };
+};
+
+async function recognize(image, { onProgress, source } = {}) {
+    lookups++;
+    const report = (progress) => { if (onProgress) onProgress({ status: 'recognizing text', progress }); };
+
+    report(0);
+    if (DELAY_MS > 0) {
+        await new Promise(r => setTimeout(r, DELAY_MS / 2));
+        report(0.5);
+        await new Promise(r => setTimeout(r, DELAY_MS / 2));
+    }
+
+    const file = findFixture(source);
+    const result = file ? parseFixture(file, source && source.page) : { words: [], width: null, height: null };
+    console.log(`[OCR fixture] ${file ? path.basename(file) : 'no fixture'}: ${result.words.length} word(s).`);
+
+    report(1);
+    return result;
+}
+
+module.exports = {
+    recognize,
+    stats: () => ({ fixturesDir: FIXTURES_DIR, lookups }),
+    warmUp: async () => {},
+    shutdown: async () => {}
+};
@@ -0,0 +1,58 @@
+/**
+ * OCR engine registry.
+ *
+ * An engine turns an image into words with positions and confidences:
+ *
+ *   recognize(image, { onProgress, source }) => Promise<{
+ *       width, height,                 // size of `image` in px
+ *       words: [{
+ *           text,                      // raw word text
+ *           confidence,                // 0-100
+ *           bbox: { x0, y0, x1, y1 },  // px in `image`
+ *           symbols: [{ text, confidence }]  // optional, per character
+ *       }]
+ *   }>
+ *
+ * `image` is the preprocessed page; `source` is { image, filename, page } for
+ * the page as uploaded (engines may use it to look results up, see fixture.js).
+ * `onProgress` takes { status, progress } messages like Tesseract's logger.
+ * Engines may also provide stats(), warmUp() and shutdown().
+ *
+ * Configuration (environment):
+ *   OCR_ENGINE  engine to use: "tesseract" (default) or "fixture"
+ */
+
+const factories = new Map();
+const instances = new Map();
+
+/**
+ * Registers an engine. The factory is only called when the engine is first
+ * used, so engines with heavy dependencies cost nothing unless selected.
+ */
+function registerEngine(name, factory) {
+    factories.set(name, factory);
+    instances.delete(name);
+}
+
+/**
+ * The engine named by OCR_ENGINE (or `name`). Throws if it is not registered.
+ */
+function getEngine(name = process.env.OCR_ENGINE || 'tesseract') {
+    if (!instances.has(name)) {
+        const factory = factories.get(name);
+        if (!factory) {
+            throw new Error(`Unknown OCR engine "${name}". Available: ${[...factories.keys()].join(', ')}`);
+        }
+        instances.set(name, { name, ...factory() });
+    }
+    return instances.get(name);
+}
+
+function listEngines() {
+    return [...factories.keys()];
+}
+
+registerEngine('tesseract', () => require('./tesseract'));
+registerEngine('fixture', () => require('./fixture'));
+
+module.exports = { registerEngine, getEngine, listEngines };
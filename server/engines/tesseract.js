@@ -0,0 +1,50 @@
+const pool = require('../ocrPool');
+
+/**
+ * Default engine: tesseract.js through the shared worker pool (see ocrPool.js).
+ */
+
+/**
+ * Flattens Tesseract's block tree into a list of words.
+ */
+function collectWords(page) {
+    const words = [];
+    for (const block of page.blocks || []) {
+        for (const paragraph of block.paragraphs || []) {
+            for (const line of paragraph.lines || []) {
+                words.push(...(line.words || []));
+            }
+        }
+    }
+    return words;
+}
+
+async function recognize(image, { onProgress } = {}) {
+    const page = await pool.recognize(image, { onProgress });
+
+    let width = null;
+    let height = null;
+    try {
+        ({ width, height } = await require('sharp')(image).metadata());
+    } catch (err) {
+        console.error('Could not read image size:', err.message);
+    }
+
+    return {
+        width,
+        height,
+        words: collectWords(page).map(word => ({
+            text: word.text,
+            confidence: word.confidence,
+            bbox: word.bbox,
+            symbols: (word.symbols || []).map(s => ({ text: s.text, confidence: s.confidence }))
+        }))
+    };
+}
+
+module.exports = {
+    recognize,
+    stats: pool.stats,
+    warmUp: pool.warmUp,
+    shutdown: pool.shutdown
+};
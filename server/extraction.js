@@ -0,0 +1,261 @@
+const dbModule = require('./db');
+const { recordSighting } = require('./sightings');
+const audit = require('./audit');
+const watchlist = require('./watchlist');
+const { describeCorrections } = require('./correction');
+const { decodeSerial } = require('./formats');
+const { saveReceipt, hashReceipt, receiptKey } = require('./storage');
+const { rasterize } = require('./documents');
+const { DEFAULT_PRESET } = require('./preprocess');
+const { getEngine } = require('./engines');
+
+// OCR hits wait in the review queue with this status until an operator approves them
+const PENDING = 'pending';
+
+/**
+ * Rolls the per-page quality reports up to the file: the reasons pages were
+ * flagged (prefixed with the page number for multi-page documents) and
+ * whether every page was rejected, in which case nothing was read at all.
+ */
+const summarizeQuality = (pageResults) => {
+    const multiPage = pageResults.length > 1;
+    const warnings = [];
+    for (const { page, quality } of pageResults) {
+        if (!quality) continue;
+        // Rejections first so warnings[0] is the reason nothing was read
+        const issues = [...quality.issues].sort((a, b) => (a.level === 'reject' ? 0 : 1) - (b.level === 'reject' ? 0 : 1));
+        for (const issue of issues) {
+            const message = multiPage ? `page ${page}: ${issue.message}` : issue.message;
+            if (!warnings.includes(message)) warnings.push(message);
+        }
+    }
+    const rejectedPages = pageResults.filter(p => p.quality && p.quality.status === 'reject').map(p => p.page);
+    return {
+        warnings,
+        rejectedPages,
+        rejected: pageResults.length > 0 && rejectedPages.length === pageResults.length
+    };
+};
+
+// OCR output per receipt hash + preprocessing options, while it is being produced.
+// A second copy of a receipt in the same upload waits for the first instead of running OCR again.
+const inFlight = new Map();
+
+/**
+ * Rasterises a receipt and runs OCR on every page.
+ * Pages rendered from a PDF/TIFF are stored as PNGs (browsers cannot show
+ * those formats inline) so the receipt viewer can draw boxes over them;
+ * `image` stays null for plain images, which are shown as uploaded.
+ * Returns the raw (cacheable) result: { pageCount, pages: [{ page, image, quality, candidates }] }.
+ */
+const readReceipt = async (file, hash, { onProgress, preprocess }) => {
+    const document = await rasterize(file.buffer, { mimetype: file.mimetype, filename: file.originalname });
+    if (document.pages.length < document.pageCount) {
+        console.warn(`${file.originalname}: only the first ${document.pages.length} of ${document.pageCount} pages will be read.`);
+    }
+
+    console.log(`Starting OCR for ${file.originalname} (${document.pages.length} page(s))...`);
+    // Lazy load OCR to prevent startup timeout
+    const { extractSerials } = require('./ocr');
+
+    const pages = [];
+    for (const { page, buffer } of document.pages) {
+        const { serials, quality } = await extractSerials(buffer, file.originalname, {
+            preprocess,
+            page: document.pages.length > 1 ? page : undefined,
+            onProgress: onProgress && (m => onProgress({ ...m, page, pages: document.pages.length }))
+        });
+        const image = document.kind === 'image' ? null : await saveReceipt(`${hash}-p${page}.png`, buffer);
+        pages.push({ page, image, quality, candidates: serials });
+    }
+    return { pageCount: document.pageCount, pages };
+};
+
+/**
+ * Stores one uploaded receipt, runs OCR on every page of it and queues the
+ * serials found for review. Images count as a single page; PDFs and
+ * multi-page TIFFs are rasterised first.
+ *
+ * Receipts are identified by the SHA-256 of their contents. A receipt that
+ * was uploaded before is reported as `alreadyProcessed`, and if it was read
+ * with the same OCR engine and preprocessing options its cached OCR result is reused
+ * (`cached`) instead of running Tesseract again. Every serial read is
+ * recorded as a sighting, once per receipt page however often it is uploaded.
+ * Serials whose record is in the trash are reported in `trashed` instead:
+ * they are neither queued nor counted as duplicates, and get no sighting.
+ *
+ * @param {{ originalname: string, mimetype: string, buffer: Buffer, size: number }} file - Multer file.
+ * @param {object} [options]
+ * @param {(m: { status: string, progress: number, page: number, pages: number }) => void} [options.onProgress]
+ *   Tesseract progress, tagged with the page being read.
+ * @param {{ preset?: string, roi?: object }} [options.preprocess] - Preprocessing preset and region of interest.
+ * @param {{ origin?: string, operator?: string, ip?: string }} [options.context] - The upload request, for
+ *   the audit log and sightings.
+ * @returns {Promise<object>} The per-file entry for results[], with a per-page breakdown in `pages`.
+ *   Image quality problems are listed in `warnings`; if every page failed the
+ *   quality gate, `rejected` is set and `error` says why.
+ */
+async function extractReceipt(file, { onProgress, preprocess, context = {} } = {}) {
+    console.log(`Processing ${file.originalname} (${file.size} bytes)...`);
+
+    const insertSql = dbModule.isPostgres
+        ? `INSERT INTO serials (serial_number, source_filename, source_page, format, status, confidence, corrections, receipt_hash, bbox, series, district) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) ON CONFLICT(serial_number) DO NOTHING`
+        : `INSERT INTO serials (serial_number, source_filename, source_page, format, status, confidence, corrections, receipt_hash, bbox, series, district) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT(serial_number) DO NOTHING`;
+
+    try {
+        const hash = hashReceipt(file.buffer);
+        const optionsKey = JSON.stringify({
+            engine: getEngine().name,
+            preset: (preprocess && preprocess.preset) || DEFAULT_PRESET,
+            roi: (preprocess && preprocess.roi) || null
+        });
+        const cacheKey = `${hash}:${optionsKey}`;
+
+        const existing = await dbModule.get('SELECT * FROM receipts WHERE hash = ?', [hash]);
+        let alreadyProcessed = !!existing;
+        let cached = false;
+        let extraction;
+
+        if (existing && existing.result && existing.options === optionsKey) {
+            console.log(`${file.originalname} was already processed (${hash.slice(0, 12)}), reusing the cached result.`);
+            extraction = JSON.parse(existing.result);
+            cached = true;
+        } else if (inFlight.has(cacheKey)) {
+            console.log(`${file.originalname} is a copy of a receipt being processed, waiting for it.`);
+            extraction = await inFlight.get(cacheKey);
+            alreadyProcessed = true;
+            cached = true;
+        } else {
+            const reading = readReceipt(file, hash, { onProgress, preprocess });
+            inFlight.set(cacheKey, reading);
+            try {
+                extraction = await reading;
+            } finally {
+                inFlight.delete(cacheKey);
+            }
+        }
+
+        // Store the receipt under its hash (Blob if token exists, local disk otherwise) so reviewers can see it.
+        // A stored bare name means storage failed last time, so try again.
+        const key = receiptKey(hash, file.originalname);
+        const blobUrl = existing && existing.url && existing.url !== key
+            ? existing.url
+            : await saveReceipt(key, file.buffer);
+
+        // The receipt row and its serials are stored together or not at all
+        const now = new Date().toISOString();
+        const pageResults = await dbModule.transaction(async (tx) => {
+            const pageResults = [];
+            await tx.run(`
+                INSERT INTO receipts (hash, filename, url, mimetype, size, page_count, options, result, upload_count, created_at, last_uploaded_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)
+                ON CONFLICT(hash) DO UPDATE SET
+                    url = excluded.url,
+                    page_count = excluded.page_count,
+                    options = excluded.options,
+                    result = excluded.result,
+                    upload_count = receipts.upload_count + 1,
+                    last_uploaded_at = excluded.last_uploaded_at
+            `, [hash, file.originalname, blobUrl, file.mimetype, file.size, extraction.pageCount, optionsKey, JSON.stringify(extraction), now, now]);
+
+            for (const { page, image, quality, candidates } of extraction.pages) {
+                let pageInserted = 0;
+                let pageDuplicates = 0;
+                const pageTrashed = [];
+                const pageSerials = [];
+
+                for (const candidate of candidates) {
+                    // We execute one by one
+                    const { series, district } = decodeSerial(candidate.serial);
+                    const info = await tx.run(insertSql, [
+                        candidate.serial,
+                        blobUrl,
+                        page,
+                        candidate.format,
+                        PENDING,
+                        candidate.confidence,
+                        JSON.stringify(candidate.corrections),
+                        hash,
+                        candidate.bbox ? JSON.stringify(candidate.bbox) : null,
+                        series,
+                        district
+                    ]);
+
+                    // info.changes for SQLite, result.rowCount for Postgres (mapped to changes in db.js)
+                    const isNew = info.changes > 0;
+                    const row = await tx.get('SELECT id, deleted_at FROM serials WHERE serial_number = ?', [candidate.serial]);
+                    const inTrash = !isNew && !!row.deleted_at;
+                    if (isNew) {
+                        pageInserted++;
+                        await audit.record(tx, { action: 'create', after: await audit.snapshot(tx, row.id), context });
+                    } else if (inTrash) {
+                        // Still holds its number; it has to be restored from the trash (recordSighting skips it)
+                        pageTrashed.push(candidate.serial);
+                    } else {
+                        pageDuplicates++;
+                    }
+                    await recordSighting(tx, { serial: candidate.serial, method: 'ocr', source: file.originalname, receiptHash: hash, page, operator: context.operator });
+                    const hit = await watchlist.checkSerial(tx, candidate.serial, { method: 'ocr', source: file.originalname, context });
+
+                    pageSerials.push({
+                        serial: candidate.serial,
+                        page,
+                        format: candidate.format,
+                        confidence: candidate.confidence,
+                        corrections: candidate.corrections,
+                        bbox: candidate.bbox || null,
+                        note: candidate.corrections.length > 0
+                            ? `Corrected ${describeCorrections(candidate.corrections)} (read as ${candidate.raw})`
+                            : null,
+                        new: isNew,
+                        trashed: inTrash,
+                        watchlist: hit ? { reason: hit.reason, reporter: hit.reporter } : null
+                    });
+                }
+
+                pageResults.push({
+                    page,
+                    image: image || blobUrl,
+                    found: candidates.length,
+                    new: pageInserted,
+                    duplicates: pageDuplicates,
+                    trashed: pageTrashed,
+                    serials: pageSerials,
+                    quality
+                });
+            }
+            return pageResults;
+        });
+
+        const sum = key => pageResults.reduce((total, p) => total + p[key], 0);
+        const result = {
+            filename: file.originalname,
+            hash,
+            alreadyProcessed,
+            cached,
+            firstProcessedAt: existing ? existing.created_at : null,
+            pageCount: extraction.pageCount,
+            found: sum('found'),
+            new: sum('new'),
+            duplicates: sum('duplicates'),
+            trashed: pageResults.flatMap(p => p.trashed),
+            serials: pageResults.flatMap(p => p.serials),
+            watchlistHits: pageResults.flatMap(p => p.serials).filter(s => s.watchlist).map(s => s.serial),
+            pages: pageResults,
+            url: blobUrl,
+            ...summarizeQuality(pageResults)
+        };
+        if (result.rejected) {
+            result.error = result.warnings[0];
+        }
+        return result;
+    } catch (ocrErr) {
+        console.error(`OCR failed for ${file.originalname}:`, ocrErr);
+        return {
+            filename: file.originalname,
+            error: 'Processing failed'
+        };
+    }
+}
+
+module.exports = { extractReceipt, PENDING };
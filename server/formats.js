@@ -0,0 +1,204 @@
+/**
+ * Serial number format registry.
+ *
+ * Every layout we know how to recognise is registered here once and shared by
+ * OCR extraction, manual batch entry and record edits. A format is a named,
+ * anchored pattern with some descriptive metadata and an optional validator
+ * for rules a regex cannot express.
+ */
+
+const formats = [];
+
+/**
+ * Registers a serial format. Formats are matched in registration order, so
+ * register more specific layouts first.
+ *
+ * @param {object} def
+ * @param {string} def.name - Unique identifier stored alongside each serial.
+ * @param {string} def.label - Human readable description.
+ * @param {RegExp} def.pattern - Anchored pattern for a single serial token.
+ * @param {string} [def.shape] - Positional layout: L = letter, D = digit, anything else literal.
+ *   Lets OCR correction know which positions must be letters and which digits.
+ * @param {number|null} def.denomination - Face value, or null if the layout is shared by all denominations.
+ * @param {string|null} def.series - Series (or range of series) the layout was used for.
+ * @param {(serial: string) => boolean} [def.validate] - Extra checks run after the pattern matches.
+ * @param {(serial: string) => { series: string|null, district: string|null }} [def.decode]
+ *   Reads the note's series and Federal Reserve district letter out of a matching serial.
+ */
+function registerFormat(def) {
+    if (!def || !def.name || !(def.pattern instanceof RegExp)) {
+        throw new Error('A serial format needs a name and a pattern.');
+    }
+    if (formats.some(f => f.name === def.name)) {
+        throw new Error(`Serial format "${def.name}" is already registered.`);
+    }
+    formats.push({
+        label: def.name,
+        denomination: null,
+        series: null,
+        shape: null,
+        validate: null,
+        decode: null,
+        ...def
+    });
+}
+
+/**
+ * What the letters of a $100 note serial encode. On current notes the first
+ * letter is the series and the second the issuing Federal Reserve Bank; on
+ * pre-1996 notes the single prefix letter is the bank.
+ */
+const SERIES_LETTERS = {
+    A: '1996', B: '1999', C: '2001', D: '2003', F: '2003A', H: '2006',
+    K: '2006A', J: '2009A', L: '2013', M: '2017', P: '2017A', Q: '2021'
+};
+
+const DISTRICTS = {
+    A: { number: 1, name: 'Boston' },
+    B: { number: 2, name: 'New York' },
+    C: { number: 3, name: 'Philadelphia' },
+    D: { number: 4, name: 'Cleveland' },
+    E: { number: 5, name: 'Richmond' },
+    F: { number: 6, name: 'Atlanta' },
+    G: { number: 7, name: 'Chicago' },
+    H: { number: 8, name: 'St. Louis' },
+    I: { number: 9, name: 'Minneapolis' },
+    J: { number: 10, name: 'Kansas City' },
+    K: { number: 11, name: 'Dallas' },
+    L: { number: 12, name: 'San Francisco' }
+};
+
+// decode() for the two-letter layouts: series letter, then district letter
+const decodeSeriesAndDistrict = serial => ({
+    series: SERIES_LETTERS[serial[0]] || null,
+    district: DISTRICTS[serial[1]] ? serial[1] : null
+});
+
+// decode() for the single-letter layouts: the district letter only
+const decodeDistrict = serial => ({
+    series: null,
+    district: DISTRICTS[serial[0]] ? serial[0] : null
+});
+
+// The 8-digit sequence number is never all zeros on an issued note.
+const nonZeroSequence = serial => !/0{8}/.test(serial);
+
+registerFormat({
+    name: 'frn',
+    label: 'Federal Reserve Note',
+    pattern: /^[A-Z]{2}\d{8}[A-Z]$/,
+    shape: 'LLDDDDDDDDL',
+    denomination: null,
+    series: '1996+',
+    validate: nonZeroSequence,
+    decode: decodeSeriesAndDistrict
+});
+
+registerFormat({
+    name: 'frn-star',
+    label: 'Federal Reserve Note (star / replacement)',
+    pattern: /^[A-Z]{2}\d{8}\*$/,
+    shape: 'LLDDDDDDDD*',
+    denomination: null,
+    series: '1996+',
+    validate: nonZeroSequence,
+    decode: decodeSeriesAndDistrict
+});
+
+registerFormat({
+    name: 'frn-legacy',
+    label: 'Federal Reserve Note (single-letter prefix)',
+    pattern: /^[A-L]\d{8}[A-Z]$/,
+    shape: 'LDDDDDDDDL',
+    denomination: null,
+    series: 'pre-1996',
+    validate: nonZeroSequence,
+    decode: decodeDistrict
+});
+
+registerFormat({
+    name: 'frn-legacy-star',
+    label: 'Federal Reserve Note (single-letter prefix, star)',
+    pattern: /^[A-L]\d{8}\*$/,
+    shape: 'LDDDDDDDD*',
+    denomination: null,
+    series: 'pre-1996',
+    validate: nonZeroSequence,
+    decode: decodeDistrict
+});
+
+/**
+ * All registered formats (including validators), in match order.
+ */
+function getFormats() {
+    return formats.slice();
+}
+
+/**
+ * Canonical form used for storage and comparison.
+ */
+function normalizeSerial(serial) {
+    return String(serial || '').trim().toUpperCase();
+}
+
+/**
+ * Returns the first registered format the serial matches, or null.
+ */
+function matchFormat(serial) {
+    const value = normalizeSerial(serial);
+    return formats.find(f => f.pattern.test(value) && (!f.validate || f.validate(value))) || null;
+}
+
+/**
+ * Series and Federal Reserve district letter encoded in a serial, as stored
+ * in the series and district columns. Both are null when the serial matches
+ * no format or uses a letter outside the tables above.
+ */
+function decodeSerial(serial) {
+    const value = normalizeSerial(serial);
+    const format = matchFormat(value);
+    if (!format || !format.decode) return { series: null, district: null };
+    return format.decode(value);
+}
+
+/**
+ * The decoding tables, for filters in the UI.
+ */
+function listAttributes() {
+    return {
+        series: Object.entries(SERIES_LETTERS)
+            .map(([letter, series]) => ({ letter, series }))
+            .sort((a, b) => a.series.localeCompare(b.series)),
+        districts: Object.entries(DISTRICTS).map(([letter, d]) => ({ letter, ...d }))
+    };
+}
+
+/**
+ * Scans free text (e.g. OCR output) for serials of any registered format.
+ * Returns unique { serial, format } pairs in order of first appearance.
+ */
+function findSerials(text) {
+    const tokens = String(text || '').toUpperCase().split(/[^A-Z0-9*]+/);
+    const found = new Map();
+    for (const token of tokens) {
+        if (!token || found.has(token)) continue;
+        const format = matchFormat(token);
+        if (format) found.set(token, { serial: token, format: format.name });
+    }
+    return [...found.values()];
+}
+
+/**
+ * Public description of the registry (patterns as strings, no functions).
+ */
+function listFormats() {
+    return formats.map(f => ({
+        name: f.name,
+        label: f.label,
+        pattern: f.pattern.source,
+        denomination: f.denomination,
+        series: f.series
+    }));
+}
+
+module.exports = { registerFormat, getFormats, matchFormat, normalizeSerial, decodeSerial, findSerials, listFormats, listAttributes };
@@ -0,0 +1,144 @@
+/**
+ * Near-match search for serials typed or read slightly wrong.
+ *
+ * Candidates are ranked by a weighted edit distance: inserting, deleting or
+ * changing a character costs 1, swapping two neighbours costs 1, and
+ * changing a character for its look-alike (O/0, I/1, 8/B, ...) costs only
+ * LOOKALIKE_COST, since that is the mistake people and Tesseract make most.
+ *
+ * Candidates are narrowed in SQL before scoring: the query is cut into one
+ * piece more than the number of edits allowed (at least two pieces), and a
+ * serial that close keeps at least one piece unchanged (the first as its
+ * start, the last as its end, the others anywhere). Serials with more
+ * characters changed, all look-alikes, can be missed, and at most
+ * MAX_CANDIDATES rows are scored.
+ */
+const { CONFUSIONS } = require('./correction');
+const { normalizeSerial } = require('./formats');
+const { NOT_DELETED } = require('./trash');
+const { SIGHTING_COUNT } = require('./sightings');
+const { escapeLike } = require('./records');
+
+const LOOKALIKE_COST = 0.25;
+// Rows loaded and scored per search at most
+const MAX_CANDIDATES = 2000;
+
+// The OCR letter/digit confusions plus look-alikes within the same class
+const LOOKALIKES = [
+    ...CONFUSIONS,
+    ['O', 'Q'],
+    ['O', 'D'],
+    ['0', 'D'],
+    ['1', 'L'],
+    ['1', '7'],
+    ['G', '6'],
+    ['3', '8'],
+    ['6', '8'],
+    ['U', 'V'],
+    ['E', 'F'],
+    ['P', 'R']
+];
+
+const lookalikePairs = new Set(LOOKALIKES.flatMap(([a, b]) => [a + b, b + a]));
+
+const substitutionCost = (a, b) => {
+    if (a === b) return 0;
+    return lookalikePairs.has(a + b) ? LOOKALIKE_COST : 1;
+};
+
+/**
+ * Weighted edit distance between two serials (optimal string alignment, so
+ * a swap of neighbours counts once). Gives up and returns Infinity as soon
+ * as the distance is certain to exceed `max`.
+ */
+function serialDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return Infinity;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            let cost = Math.min(
+                prev[j] + 1,
+                row[j - 1] + 1,
+                prev[j - 1] + substitutionCost(a[i - 1], b[j - 1])
+            );
+            if (prevPrev && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                cost = Math.min(cost, prevPrev[j - 2] + 1);
+            }
+            row.push(cost);
+            rowMin = Math.min(rowMin, cost);
+        }
+        if (rowMin > max) return Infinity;
+        prevPrev = prev;
+        prev = row;
+    }
+    const distance = prev[b.length];
+    return distance > max ? Infinity : Math.round(distance * 100) / 100;
+}
+
+// LIKE patterns for `count` pieces of `value`, as { sql, params }
+const pieceConditions = (value, count) => {
+    const size = Math.ceil(value.length / count);
+    const patterns = [];
+    for (let i = 0; i < count && i * size < value.length; i++) {
+        const piece = escapeLike(value.slice(i * size, (i + 1) * size));
+        if (i === 0) patterns.push(`${piece}%`);
+        else if ((i + 1) * size >= value.length) patterns.push(`%${piece}`);
+        else patterns.push(`%${piece}%`);
+    }
+    return {
+        sql: `(${patterns.map(() => "serial_number LIKE ? ESCAPE '\\'").join(' OR ')})`,
+        params: patterns
+    };
+};
+
+/**
+ * Serials within `maxDistance` of `query`, closest first (more sightings
+ * first on a tie). Trashed serials are left out, and so is the query itself:
+ * `exact` says whether it exists.
+ * @returns {Promise<{ query: string, exact: boolean, matches: object[] }>}
+ */
+async function findNearMatches(q, query, { maxDistance = 2, limit = 5 } = {}) {
+    const value = normalizeSerial(query);
+    const maxLengthChange = Math.floor(maxDistance);
+    // A distance under 1 still allows one look-alike change
+    const pieces = pieceConditions(value, Math.max(1, maxLengthChange) + 1);
+    const rows = await q.all(
+        `SELECT id, serial_number FROM serials WHERE ${NOT_DELETED} AND LENGTH(serial_number) BETWEEN ? AND ? AND ${pieces.sql} LIMIT ?`,
+        [value.length - maxLengthChange, value.length + maxLengthChange, ...pieces.params, MAX_CANDIDATES]
+    );
+
+    let exact = false;
+    const scored = [];
+    for (const row of rows) {
+        if (row.serial_number === value) {
+            exact = true;
+            continue;
+        }
+        const distance = serialDistance(value, row.serial_number, maxDistance);
+        if (distance !== Infinity) scored.push({ id: row.id, distance });
+    }
+    if (scored.length === 0) return { query: value, exact, matches: [] };
+
+    // Only the closest few need their details (ties are broken on sightings below)
+    scored.sort((a, b) => a.distance - b.distance);
+    const closest = scored.slice(0, Math.max(limit * 10, 50));
+    const details = await q.all(`
+        SELECT id, serial_number, status, format, series, district, source_filename, extracted_at,
+            ${SIGHTING_COUNT} AS sightings
+        FROM serials
+        WHERE id IN (${closest.map(() => '?').join(', ')})
+    `, closest.map(s => s.id));
+    const byId = new Map(details.map(d => [d.id, { ...d, sightings: Number(d.sightings) }]));
+
+    const matches = closest
+        .map(s => ({ ...byId.get(s.id), distance: s.distance }))
+        .sort((a, b) => a.distance - b.distance || b.sightings - a.sightings || a.serial_number.localeCompare(b.serial_number))
+        .slice(0, limit);
+    return { query: value, exact, matches };
+}
+
+module.exports = { findNearMatches, serialDistance, LOOKALIKES, LOOKALIKE_COST };
@@ -4,8 +4,29 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const dbModule = require('./db');
+const { matchFormat, normalizeSerial, decodeSerial, listFormats, listAttributes } = require('./formats');
+const { PENDING } = require('./extraction');
+const { createJob, getJob, cancelJob, recoverInterruptedJobs, attachWebSocket, pendingFiles, BatchTooLargeError } = require('./jobs');
+const ocrPool = require('./ocrPool');
+const { getEngine } = require('./engines');
 // const { extractSerials } = require('./ocr'); // Temporarily disabled for debugging
-const { put } = require('@vercel/blob');
+const { localReceiptPath } = require('./storage');
+const { PRESETS, buildPipeline, runPipeline, listPresets, parseRoi } = require('./preprocess');
+const { rasterize } = require('./documents');
+const { recordSighting, listSightings, deleteSightings, SIGHTING_COUNT } = require('./sightings');
+const audit = require('./audit');
+const auth = require('./auth');
+const apiKeys = require('./apiKeys');
+const trash = require('./trash');
+const { findNearMatches } = require('./fuzzy');
+const { listRuns } = require('./runs');
+const { listRecords, filterConditions, RecordsQueryError } = require('./records');
+const verify = require('./verify');
+const { isTime } = require('./times');
+const watchlist = require('./watchlist');
+const webhooks = require('./webhooks');
+const { NOT_DELETED } = trash;
+const { requireRole } = auth;
 
 const app = express();
 const port = process.env.PORT || 3001;
@@ -18,13 +39,19 @@ app.use(express.json());
 app.use(async (req, res, next) => {
     try {
         await dbModule.ready();
+        await auth.bootstrapAdmin();
         next();
     } catch (err) {
         console.error('Database initialization failed:', err);
-        res.status(500).json({ error: 'Database initialization failed: ' + err.message });
+        // Schema version mismatch: refuse to serve rather than run against the wrong schema
+        const status = err.code === 'SCHEMA_VERSION_MISMATCH' ? 503 : 500;
+        res.status(status).json({ error: 'Database initialization failed: ' + err.message });
     }
 });
 
+// Who is logged in (req.user) or which API key is used (req.apiKey); routes check roles and key scopes with requireRole()
+app.use(auth.authenticate);
+
 // Configure Multer for memory storage (processing images in-memory)
 const upload = multer({
     storage: multer.memoryStorage(),
@@ -37,40 +64,200 @@ const csvUpload = multer({
     limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
 });
 
-// Helper for transaction
-const executeTransaction = async (queries) => {
-    // queries: array of { sql, params }
-    if (dbModule.isPostgres) {
-        // Simple linear execution for now, true transaction management for PG requires a client from pool
-        // This is a simplification. For robustness, we should acquire a client.
-        // But @vercel/postgres `sql` is a pool.
-        try {
-            // Start transaction not easily supported by simple query helper without client management
-            // So we will just execute sequentially for thismvp
-            for (const q of queries) {
-                await dbModule.run(q.sql, q.params);
-            }
+// Reads the optional `preset` and `roi` (JSON) form fields of an upload.
+// Throws with a user-facing message on bad values.
+const readPreprocessOptions = (body = {}) => {
+    const preset = body.preset || undefined;
+    if (preset && !PRESETS[preset]) {
+        throw new Error(`Unknown preprocessing preset "${preset}".`);
+    }
+    let roi;
+    try {
+        roi = parseRoi(body.roi);
+    } catch (err) {
+        throw new Error('Invalid region of interest: ' + err.message);
+    }
+    return { preset, roi };
+};
+
+// Responds with an AuthError's or ApiKeyError's status, or 500
+const authFailed = (res, err, what) => {
+    if (err instanceof auth.AuthError || err instanceof apiKeys.ApiKeyError) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`${what} failed:`, err);
+    res.status(500).json({ error: `${what} failed.` });
+};
+
+/**
+ * GET /auth/me
+ * The logged-in user (null if none). `setupRequired` is set while there are
+ * no accounts yet, so the first admin can be created with POST /api/auth/setup.
+ */
+app.get('/api/auth/me', async (req, res) => {
+    try {
+        const setupRequired = !req.user && await auth.countUsers(dbModule) === 0;
+        res.json({ user: req.user, roles: auth.ROLES, setupRequired });
+    } catch (err) {
+        authFailed(res, err, 'Session check');
+    }
+});
+
+/**
+ * POST /auth/login
+ * Body: { username, password }. Sets the session cookie.
+ */
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    try {
+        const session = await auth.login(dbModule, username, password);
+        if (!session) return res.status(401).json({ error: 'Wrong username or password.' });
+        auth.setSessionCookie(req, res, session.token, session.expiresAt);
+        res.json({ user: session.user });
+    } catch (err) {
+        authFailed(res, err, 'Login');
+    }
+});
+
+/**
+ * POST /auth/logout
+ */
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await auth.logout(dbModule, auth.sessionToken(req));
+        auth.clearSessionCookie(req, res);
+        res.json({ success: true });
+    } catch (err) {
+        authFailed(res, err, 'Logout');
+    }
+});
+
+/**
+ * POST /auth/setup
+ * Body: { username, password }. Creates the first admin and logs them in;
+ * only allowed while there are no accounts.
+ */
+app.post('/api/auth/setup', async (req, res) => {
+    const { username, password } = req.body || {};
+    try {
+        const created = await dbModule.transaction(async (tx) => {
+            if (await auth.countUsers(tx) > 0) return false;
+            await auth.createUser(tx, { username, password, role: 'admin' });
             return true;
-        } catch (e) {
-            console.error("Transaction failed", e);
-            throw e;
-        }
-    } else {
-        const db = dbModule.raw;
-        const transaction = db.transaction((qs) => {
-            for (const q of qs) {
-                db.prepare(q.sql).run(...q.params);
-            }
         });
-        transaction(queries);
-        return true;
+        if (!created) return res.status(409).json({ error: 'Setup has already been done; please log in.' });
+        const session = await auth.login(dbModule, username, password);
+        auth.setSessionCookie(req, res, session.token, session.expiresAt);
+        res.status(201).json({ user: session.user });
+    } catch (err) {
+        authFailed(res, err, 'Setup');
     }
-};
+});
+
+/**
+ * GET /users
+ */
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await auth.listUsers(dbModule));
+    } catch (err) {
+        authFailed(res, err, 'Fetch users');
+    }
+});
+
+/**
+ * POST /users
+ * Body: { username, password, role }.
+ */
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    const { username, password, role } = req.body || {};
+    try {
+        res.status(201).json(await auth.createUser(dbModule, { username, password, role }));
+    } catch (err) {
+        authFailed(res, err, 'Create user');
+    }
+});
+
+/**
+ * PUT /users/:id
+ * Body: any of { role, password, disabled }.
+ */
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+    const { role, password, disabled } = req.body || {};
+    try {
+        const user = await dbModule.transaction(tx => auth.updateUser(tx, req.params.id, {
+            role,
+            password,
+            disabled: disabled === undefined ? undefined : !!disabled
+        }));
+        res.json(user);
+    } catch (err) {
+        authFailed(res, err, 'Update user');
+    }
+});
+
+/**
+ * DELETE /users/:id
+ */
+app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+        await dbModule.transaction(tx => auth.deleteUser(tx, req.params.id));
+        res.json({ success: true });
+    } catch (err) {
+        authFailed(res, err, 'Delete user');
+    }
+});
+
+/**
+ * GET /keys
+ * API keys (never the keys themselves), newest first.
+ */
+app.get('/api/keys', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ keys: await apiKeys.listKeys(dbModule), scopes: apiKeys.SCOPES });
+    } catch (err) {
+        authFailed(res, err, 'Fetch API keys');
+    }
+});
+
+/**
+ * POST /keys
+ * Body: { name, scopes: ['verify' | 'write' | 'export', ...], expiresAt? }.
+ * The response holds the key itself; it cannot be shown again.
+ */
+app.post('/api/keys', requireRole('admin'), async (req, res) => {
+    const { name, scopes, expiresAt } = req.body || {};
+    try {
+        const created = await apiKeys.createKey(dbModule, { name, scopes, expiresAt, createdBy: req.user.username });
+        res.status(201).json(created);
+    } catch (err) {
+        authFailed(res, err, 'Create API key');
+    }
+});
+
+/**
+ * DELETE /keys/:id
+ * Revokes the key.
+ */
+app.delete('/api/keys/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!await apiKeys.revokeKey(dbModule, req.params.id)) return res.status(404).json({ error: 'API key not found.' });
+        res.json({ success: true });
+    } catch (err) {
+        authFailed(res, err, 'Revoke API key');
+    }
+});
 
 /**
  * POST /extract
+ * Accepts the receipts and starts a background extraction job.
+ * Optional form fields: `preset` (see GET /api/preprocess/presets) and
+ * `roi` ({ left, top, width, height } as fractions of the page, JSON).
+ * Responds 202 with the job; follow it over /api/ws or GET /api/jobs/:id.
+ * On Vercel the job has finished by the time it responds (200), and uploads
+ * of more than VERCEL_MAX_FILES files are refused with 413 (see jobs.js).
  */
-app.post('/api/extract', (req, res) => {
+app.post('/api/extract', requireRole('operator', 'write'), (req, res) => {
     upload.array('receipts', 100)(req, res, async (err) => {
         if (err) {
             console.error('Multer/Upload Error:', err);
@@ -81,97 +268,161 @@ app.post('/api/extract', (req, res) => {
             return res.status(400).json({ error: 'No files uploaded.' });
         }
 
-        console.log(`Received ${req.files.length} files. Starting OCR...`);
-
-        let summary = {
-            totalCandidates: 0,
-            inserted: 0,
-            duplicates: 0,
-            results: []
-        };
-
-        const insertSql = dbModule.isPostgres
-            ? `INSERT INTO serials (serial_number, source_filename) VALUES ($1, $2) ON CONFLICT(serial_number) DO NOTHING`
-            : `INSERT INTO serials (serial_number, source_filename) VALUES (?, ?) ON CONFLICT(serial_number) DO NOTHING`;
+        let preprocess;
+        try {
+            preprocess = readPreprocessOptions(req.body);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
 
-        // Prepare queries for transaction later
-        // Actually, per file processing is safer to keep separate for feedback
+        console.log(`Received ${req.files.length} files. Starting OCR job...`);
 
         try {
-            for (const file of req.files) {
-                console.log(`Processing ${file.originalname} (${file.size} bytes)...`);
-
-                // Upload to Blob if token exists
-                let blobUrl = file.originalname;
-                if (process.env.BLOB_READ_WRITE_TOKEN) {
-                    try {
-                        const blob = await put('receipts/' + file.originalname, file.buffer, { access: 'public' });
-                        blobUrl = blob.url;
-                        console.log(`Uploaded to Blob: ${blobUrl}`);
-                    } catch (blobErr) {
-                        console.error('Blob upload failed, using filename:', blobErr);
-                    }
-                }
+            const job = await createJob(req.files, { preprocess, context: audit.requestContext(req) });
+            res.status(job.status === 'queued' ? 202 : 200).json({ jobId: job.id, job });
+        } catch (err) {
+            if (err instanceof BatchTooLargeError) {
+                return res.status(err.status).json({ error: err.message });
+            }
+            if (err instanceof ocrPool.QueueFullError) {
+                // Backpressure: the client should retry once the backlog has drained
+                res.set('Retry-After', '30');
+                return res.status(503).json({ error: err.message });
+            }
+            console.error('Critical Extraction Error:', err);
+            res.status(500).json({ error: 'Failed to start extraction: ' + err.message });
+        }
+    });
+});
 
-                try {
-                    console.log(`Starting OCR for ${file.originalname}...`);
-                    // Lazy load OCR to prevent startup timeout
-                    const { extractSerials } = require('./ocr');
-                    const serials = await extractSerials(file.buffer, file.originalname);
+/**
+ * GET /preprocess/presets
+ * Lists the named preprocessing pipelines an upload can select.
+ */
+app.get('/api/preprocess/presets', requireRole('operator'), (req, res) => {
+    res.json(listPresets());
+});
 
-                    let fileInserted = 0;
-                    let fileDuplicates = 0;
+/**
+ * POST /preprocess/preview
+ * Debugging aid: runs the preprocessing pipeline on one receipt (form fields
+ * `receipt`, `preset`, `roi`, `page`) and returns the image after every step
+ * as a PNG data URL, without running OCR.
+ */
+app.post('/api/preprocess/preview', requireRole('operator'), (req, res) => {
+    upload.single('receipt')(req, res, async (err) => {
+        if (err) {
+            console.error('Multer/Upload Error:', err);
+            return res.status(400).json({ error: 'File upload failed: ' + err.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded.' });
+        }
 
-                    // We need to check duplicates manually for counting purposes if using simple run
-                    // Or we check changes
+        let options;
+        try {
+            options = readPreprocessOptions(req.body);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
 
-                    for (const serial of serials) {
-                        // We execute one by one
-                        const info = await dbModule.run(insertSql, [serial, blobUrl]);
+        try {
+            const document = await rasterize(req.file.buffer, { mimetype: req.file.mimetype, filename: req.file.originalname });
+            const pageNumber = Math.min(Math.max(1, parseInt(req.body.page) || 1), document.pages.length);
+            const input = document.pages[pageNumber - 1].buffer;
+            const steps = buildPipeline(options);
+            const result = await runPipeline(input, steps, { debug: true });
+
+            // Previews are scaled down; full-size intermediates would be several MB each
+            const sharp = require('sharp');
+            const toPreview = async (buffer) => {
+                const { data, info } = await sharp(buffer)
+                    .resize({ width: 1000, withoutEnlargement: true })
+                    .png()
+                    .toBuffer({ resolveWithObject: true });
+                const { width, height } = await sharp(buffer).metadata();
+                return { width, height, previewWidth: info.width, image: `data:image/png;base64,${data.toString('base64')}` };
+            };
+
+            res.json({
+                preset: options.preset || listPresets().find(p => p.default).name,
+                roi: options.roi,
+                page: pageNumber,
+                pageCount: document.pageCount,
+                steps: [
+                    { name: 'input', ms: 0, ...(await toPreview(input)) },
+                    ...(await Promise.all(result.steps.map(async (s) => ({
+                        name: s.name,
+                        options: s.options,
+                        ms: s.ms,
+                        ...(await toPreview(s.output))
+                    }))))
+                ]
+            });
+        } catch (err) {
+            console.error('Preprocess preview failed:', err);
+            res.status(500).json({ error: 'Preview failed: ' + err.message });
+        }
+    });
+});
 
-                        // info.changes for SQLite, result.rowCount for Postgres (mapped to changes in db.js)
-                        if (info.changes > 0) {
-                            fileInserted++;
-                        } else {
-                            fileDuplicates++;
-                        }
-                    }
+/**
+ * GET /api/jobs/:id
+ * Polling fallback for clients without a WebSocket connection.
+ */
+app.get('/api/jobs/:id', requireRole('operator', 'write'), async (req, res) => {
+    try {
+        const job = await getJob(req.params.id);
+        if (!job) return res.status(404).json({ error: 'Job not found.' });
+        res.json(job);
+    } catch (err) {
+        console.error('Fetch job failed:', err);
+        res.status(500).json({ error: 'Failed to fetch job.' });
+    }
+});
 
-                    summary.totalCandidates += serials.length;
-                    summary.inserted += fileInserted;
-                    summary.duplicates += fileDuplicates;
-                    summary.results.push({
-                        filename: file.originalname,
-                        found: serials.length,
-                        new: fileInserted,
-                        duplicates: fileDuplicates,
-                        url: blobUrl
-                    });
-                } catch (ocrErr) {
-                    console.error(`OCR failed for ${file.originalname}:`, ocrErr);
-                    summary.results.push({
-                        filename: file.originalname,
-                        error: 'Processing failed'
-                    });
-                }
-            }
+/**
+ * POST /api/jobs/:id/cancel
+ * Stops a running job after the file currently being processed.
+ */
+app.post('/api/jobs/:id/cancel', requireRole('operator', 'write'), async (req, res) => {
+    try {
+        const job = await cancelJob(req.params.id);
+        if (!job) return res.status(404).json({ error: 'Job not found.' });
+        res.json(job);
+    } catch (err) {
+        console.error('Cancel job failed:', err);
+        res.status(500).json({ error: 'Failed to cancel job.' });
+    }
+});
 
-            console.log('Extraction complete:', summary);
-            res.json(summary);
+/**
+ * GET /formats
+ * Lists the serial formats the server recognises.
+ */
+app.get('/api/formats', requireRole('viewer', 'verify'), (req, res) => {
+    res.json(listFormats());
+});
 
-        } catch (err) {
-            console.error('Critical Extraction Error:', err);
-            res.status(500).json({ error: 'Failed to process images: ' + err.message });
-        }
-    });
+/**
+ * GET /formats/attributes
+ * Series years and Federal Reserve districts decoded from serial prefixes, for filters.
+ */
+app.get('/api/formats/attributes', requireRole('viewer', 'verify'), (req, res) => {
+    res.json(listAttributes());
 });
 
 /**
  * GET /serials
+ * Every serial on record (or, with ?status=pending, awaiting review). A full
+ * dump, so admins and export keys only; look serials up with /api/verify.
  */
-app.get('/api/serials', async (req, res) => {
+app.get('/api/serials', requireRole('admin', 'export'), async (req, res) => {
     try {
-        const rows = await dbModule.all('SELECT serial_number FROM serials ORDER BY serial_number ASC');
+        // Pending OCR hits are not verified; they are only listed when asked for explicitly
+        const rows = req.query.status === PENDING
+            ? await dbModule.all(`SELECT serial_number FROM serials WHERE status = ? AND ${NOT_DELETED} ORDER BY serial_number ASC`, [PENDING])
+            : await dbModule.all(`SELECT serial_number FROM serials WHERE (status IS NULL OR status <> ?) AND ${NOT_DELETED} ORDER BY serial_number ASC`, [PENDING]);
         const serialList = rows.map(r => r.serial_number);
         res.json(serialList);
     } catch (err) {
@@ -180,58 +431,183 @@ app.get('/api/serials', async (req, res) => {
     }
 });
 
+/**
+ * GET /serials/count
+ * { verified, pending }: serials on record and awaiting review.
+ */
+app.get('/api/serials/count', requireRole('viewer', 'verify'), async (req, res) => {
+    try {
+        res.json(await verify.countSerials(dbModule));
+    } catch (err) {
+        console.error('Count failed:', err);
+        res.status(500).json({ error: 'Database error.' });
+    }
+});
+
+/**
+ * GET /verify/suggest?prefix=&limit=
+ * Verified serials starting with `prefix` (at least 2 characters), for autocomplete.
+ */
+app.get('/api/verify/suggest', requireRole('viewer', 'verify'), async (req, res) => {
+    const limit = Math.min(10, Math.max(1, parseInt(req.query.limit, 10) || 5));
+    try {
+        res.json(await verify.suggestSerials(dbModule, req.query.prefix, limit));
+    } catch (err) {
+        console.error('Suggest failed:', err);
+        res.status(500).json({ error: 'Database error.' });
+    }
+});
+
+/**
+ * GET /verify/:serial
+ * { serial, found, verdict, status, flagged, details }; verdict is verified,
+ * pending, flagged or not_found. See verify.js.
+ */
+app.get('/api/verify/:serial', requireRole('viewer', 'verify'), async (req, res) => {
+    try {
+        res.json(await verify.verifySerial(dbModule, req.params.serial));
+    } catch (err) {
+        console.error('Verify failed:', err);
+        res.status(500).json({ error: 'Verification failed.' });
+    }
+});
+
+/**
+ * POST /verify
+ * Body: { serials: [...] } (up to 1000). Responds with { results, summary }:
+ * a verdict per serial, in order, and a count per verdict.
+ */
+app.post('/api/verify', requireRole('viewer', 'verify'), async (req, res) => {
+    const { serials } = req.body || {};
+    if (!Array.isArray(serials) || serials.length === 0) {
+        return res.status(400).json({ error: 'Invalid serials list.' });
+    }
+    if (serials.length > verify.MAX_BULK) {
+        return res.status(400).json({ error: `At most ${verify.MAX_BULK} serials per request.` });
+    }
+    try {
+        res.json(await verify.verifySerials(dbModule, serials));
+    } catch (err) {
+        console.error('Bulk verify failed:', err);
+        res.status(500).json({ error: 'Verification failed.' });
+    }
+});
+
 /**
  * GET /records
+ * One page of records; see listRecords() in records.js for the filters,
+ * sorting and cursors. Deleted records are left out; `deleted=only` lists
+ * the trash instead. A serial range is listed in serial order by default.
  */
-app.get('/api/records', async (req, res) => {
+app.get('/api/records', requireRole('admin'), async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 20;
-        const offset = (page - 1) * limit;
-        const query = req.query.q ? `%${req.query.q}%` : '%';
-
-        // Count
-        const countSql = 'SELECT COUNT(*) as total FROM serials WHERE serial_number LIKE ?';
-        // Note: For PG, LIKE is case sensitive usually, ILIKE is better, but let's stick to standard for now.
-        // Also db module handles ? -> $1 conversion
-
-        let totalResult = await dbModule.get(countSql, [query]);
-        const totalRecords = totalResult ? (totalResult.total || totalResult.count) : 0; // PG might return count string
-        const totalPages = Math.ceil(Number(totalRecords) / limit);
-
-        // Data
-        // SQLite uses LIMIT ? OFFSET ?
-        // Postgres uses LIMIT $x OFFSET $y
-        // Our adapter handles the params conversion
-        const sql = `
-            SELECT id, serial_number, source_filename, extracted_at, status 
-            FROM serials 
-            WHERE serial_number LIKE ? 
-            ORDER BY id DESC 
-            LIMIT ? OFFSET ?
-        `;
+        const inTrash = req.query.deleted === 'only';
 
-        const rows = await dbModule.all(sql, [query, limit, offset]);
+        // No timer on serverless deployments, so expired trash is also purged when it is looked at
+        if (inTrash) await trash.purgeExpired();
 
+        const inRange = !!(req.query.from || req.query.to);
+        const result = await listRecords(dbModule, req.query, {
+            inTrash,
+            defaultSort: inTrash ? 'deleted_at' : inRange ? 'serial_number' : 'id',
+            defaultOrder: inRange && !inTrash ? 'asc' : 'desc'
+        });
         res.json({
-            data: rows,
-            pagination: {
-                current: page,
-                limit: limit,
-                totalRecords: Number(totalRecords),
-                totalPages: totalPages
-            }
+            ...result,
+            ...(inTrash && { trash: { retentionDays: trash.RETENTION_DAYS } })
         });
     } catch (err) {
+        if (err instanceof RecordsQueryError) {
+            return res.status(err.status).json({ error: err.message });
+        }
         console.error('Fetch records failed:', err);
         res.status(500).json({ error: 'Failed to fetch records.' });
     }
 });
 
+/**
+ * GET /runs
+ * Consecutive serials grouped into runs, with the bundles and gaps in each.
+ * Optional: maxGap (missing numbers allowed inside a run, default 100),
+ * minCount (default 2), format=csv, and the record filters (see
+ * filterConditions() in records.js) other than `format`, which is taken here.
+ */
+app.get('/api/runs', requireRole('admin', 'export'), async (req, res) => {
+    const requestedGap = parseInt(req.query.maxGap, 10);
+    const maxGap = Number.isNaN(requestedGap) ? 100 : Math.max(0, requestedGap);
+    const minCount = Math.max(1, parseInt(req.query.minCount, 10) || 2);
+    const { format, ...filters } = req.query;
+
+    try {
+        const runs = await listRuns(dbModule, { ...filterConditions(filters), maxGap, minCount });
+        if ((format || '').toLowerCase() !== 'csv') {
+            return res.json({ maxGap, minCount, runs });
+        }
+
+        const header = 'first,last,count,missing,bundles,gaps\n';
+        const csvContent = header + runs.map(run => [
+            run.first,
+            run.last,
+            run.count,
+            run.missing,
+            `"${run.bundles.map(b => (b.count === 1 ? b.first : `${b.first}-${b.last}`)).join(' ')}"`,
+            `"${run.gaps.map(g => (g.missing === 1 ? g.from : `${g.from}-${g.to}`)).join(' ')}"`
+        ].join(',')).join('\n');
+
+        res.setHeader('Content-Disposition', `attachment; filename=serial_runs_${new Date().toISOString().slice(0, 10)}.csv`);
+        res.setHeader('Content-Type', 'text/csv');
+        res.send(csvContent);
+    } catch (err) {
+        if (err instanceof RecordsQueryError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Runs report failed:', err);
+        res.status(500).json({ error: 'Failed to build the runs report.' });
+    }
+});
+
+/**
+ * GET /api/serials/near?q=SERIAL
+ * Serials one or two characters off the query, closest first; look-alike
+ * characters (O/0, I/1, 8/B, ...) count as small differences.
+ * Optional: limit (default 5, max 20), maxDistance (default 2, max 3).
+ */
+app.get('/api/serials/near', requireRole('viewer', 'verify'), async (req, res) => {
+    const query = normalizeSerial(req.query.q);
+    if (!query) return res.status(400).json({ error: 'Query (q) is required.' });
+    const limit = Math.min(20, Math.max(1, parseInt(req.query.limit, 10) || 5));
+    const maxDistance = Math.min(3, Math.max(0.25, parseFloat(req.query.maxDistance) || 2));
+
+    try {
+        res.json(await findNearMatches(dbModule, query, { limit, maxDistance }));
+    } catch (err) {
+        console.error('Near-match search failed:', err);
+        res.status(500).json({ error: 'Search failed.' });
+    }
+});
+
+/**
+ * GET /api/serials/:serial/sightings
+ * Every time the serial was seen (receipt, manual entry, import), oldest first.
+ */
+app.get('/api/serials/:serial/sightings', requireRole('viewer', 'verify'), async (req, res) => {
+    try {
+        const serial = normalizeSerial(req.params.serial);
+        const row = await dbModule.get(`SELECT id, serial_number, status FROM serials WHERE serial_number = ? AND ${NOT_DELETED}`, [serial]);
+        if (!row) return res.status(404).json({ error: 'Serial not found.' });
+
+        const sightings = await listSightings(dbModule, row.id);
+        res.json({ ...row, count: sightings.length, sightings });
+    } catch (err) {
+        console.error('Fetch sightings failed:', err);
+        res.status(500).json({ error: 'Failed to fetch sightings.' });
+    }
+});
+
 /**
  * GET /export
  */
-app.get('/api/export', async (req, res) => {
+app.get('/api/export', requireRole('admin', 'export'), async (req, res) => {
     const format = (req.query.format || 'csv').toLowerCase();
     const dateStr = new Date().toISOString().slice(0, 10);
 
@@ -252,7 +628,7 @@ app.get('/api/export', async (req, res) => {
             return res.send(fileBuffer);
 
         } else if (format === 'sql') {
-            const rows = await dbModule.all('SELECT * FROM serials');
+            const rows = await dbModule.all(`SELECT * FROM serials WHERE ${NOT_DELETED}`);
             const sqlContent = rows.map(row => {
                 // ... same logic ...
                 const vals = [
@@ -274,7 +650,7 @@ ${sqlContent}`;
 
         } else {
             // Default: CSV
-            const rows = await dbModule.all('SELECT serial_number, source_filename, extracted_at, status FROM serials ORDER BY id ASC');
+            const rows = await dbModule.all(`SELECT serial_number, source_filename, extracted_at, status FROM serials WHERE ${NOT_DELETED} ORDER BY id ASC`);
             const header = 'serial_number,source_filename,extracted_at,status\n';
             const csvContent = header + rows.map(row => {
                 return [
@@ -298,8 +674,9 @@ ${sqlContent}`;
 
 /**
  * POST /import
+ * Upserts every row; a serial that is in the trash is restored.
  */
-app.post('/api/import', csvUpload.single('database'), async (req, res) => {
+app.post('/api/import', requireRole('admin'), csvUpload.single('database'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No CSV file uploaded.' });
     }
@@ -318,60 +695,82 @@ app.post('/api/import', csvUpload.single('database'), async (req, res) => {
         let insertSql;
         if (dbModule.isPostgres) {
             insertSql = `
-            INSERT INTO serials (serial_number, source_filename, extracted_at, status) 
-            VALUES ($1, $2, $3, $4)
+            INSERT INTO serials (serial_number, source_filename, extracted_at, status, format, series, district) 
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
             ON CONFLICT(serial_number) DO UPDATE SET
                 source_filename = excluded.source_filename,
                 extracted_at = excluded.extracted_at,
-                status = excluded.status
+                status = excluded.status,
+                format = excluded.format,
+                series = excluded.series,
+                district = excluded.district,
+                deleted_at = NULL
         `;
         } else {
             insertSql = `
-            INSERT INTO serials (serial_number, source_filename, extracted_at, status) 
-            VALUES (?, ?, ?, ?)
+            INSERT INTO serials (serial_number, source_filename, extracted_at, status, format, series, district) 
+            VALUES (?, ?, ?, ?, ?, ?, ?)
             ON CONFLICT(serial_number) DO UPDATE SET
                 source_filename = excluded.source_filename,
                 extracted_at = excluded.extracted_at,
-                status = excluded.status
+                status = excluded.status,
+                format = excluded.format,
+                series = excluded.series,
+                district = excluded.district,
+                deleted_at = NULL
         `;
         }
 
-        let insertedCount = 0;
-
-        // Process sequentially for simplicity and unified support
+        // All or nothing: a row that fails rolls back the whole import
+        const context = audit.requestContext(req);
         const dataRows = lines.slice(startIndex);
-        for (const row of dataRows) {
-            // ... parsing logic ...
-            let serial, filename, date, status;
-            if (!row.includes(',')) {
-                serial = row.trim();
-                filename = 'imported_csv';
-                date = new Date().toISOString();
-                status = 'imported';
-            } else {
-                const cols = row.split(',');
-                serial = cols[0].trim();
-                filename = cols[1] ? cols[1].replace(/^"|"$/g, '').trim() : 'imported_csv';
-                date = cols[2] ? cols[2].trim() : new Date().toISOString();
-                status = cols[3] ? cols[3].trim() : 'imported';
-            }
+        const hits = [];
+        const insertedCount = await dbModule.transaction(async (tx) => {
+            let count = 0;
+            for (const [index, row] of dataRows.entries()) {
+                let serial, filename, date, status;
+                if (!row.includes(',')) {
+                    serial = row.trim();
+                    filename = 'imported_csv';
+                    date = new Date().toISOString();
+                    status = 'imported';
+                } else {
+                    const cols = row.split(',');
+                    serial = cols[0].trim();
+                    filename = cols[1] ? cols[1].replace(/^"|"$/g, '').trim() : 'imported_csv';
+                    date = cols[2] ? cols[2].trim() : new Date().toISOString();
+                    status = cols[3] ? cols[3].trim() : 'imported';
+                }
 
-            if (serial && serial.length > 0) {
-                try {
-                    await dbModule.run(insertSql, [serial, filename, date, status]);
-                    insertedCount++;
-                } catch (e) {
-                    console.warn(`Failed to insert row: ${row}`, e);
+                if (serial && serial.length > 0) {
+                    // Imports restore existing data, so unrecognised serials are kept (format NULL)
+                    const format = matchFormat(serial);
+                    try {
+                        const existing = await tx.get('SELECT id FROM serials WHERE serial_number = ?', [serial]);
+                        const before = existing ? await audit.snapshot(tx, existing.id) : null;
+                        const { series, district } = decodeSerial(serial);
+                        await tx.run(insertSql, [serial, filename, date, status, format ? format.name : null, series, district]);
+                        const { id } = await tx.get('SELECT id FROM serials WHERE serial_number = ?', [serial]);
+                        await audit.record(tx, { action: 'import', before, after: await audit.snapshot(tx, id), context });
+                        await recordSighting(tx, { serial, method: 'import', source: filename, operator: context.operator, seenAt: date });
+                        const hit = await watchlist.checkSerial(tx, serial, { method: 'import', source: filename, context });
+                        if (hit) hits.push(hit);
+                    } catch (e) {
+                        e.message = `line ${startIndex + index + 1} (${row}): ${e.message}`;
+                        throw e;
+                    }
+                    count++;
                 }
             }
-        }
+            return count;
+        });
 
         console.log(`CSV Import successful. Processed ${dataRows.length} lines.`);
-        res.json({ success: true, message: `Imported ${insertedCount} serials successfully.` });
+        res.json({ success: true, message: `Imported ${insertedCount} serials successfully.`, watchlistHits: hits });
 
     } catch (err) {
         console.error('Import failed:', err);
-        res.status(500).json({ error: 'CSV import failed: ' + err.message });
+        res.status(500).json({ error: 'CSV import failed, nothing was imported: ' + err.message });
     }
 });
 
@@ -379,57 +778,530 @@ app.post('/api/import', csvUpload.single('database'), async (req, res) => {
  * POST /api/serials/batch
  * Manually add a batch of serials.
  */
-app.post('/api/serials/batch', async (req, res) => {
+app.post('/api/serials/batch', requireRole('operator', 'write'), async (req, res) => {
     const { serials } = req.body;
     if (!serials || !Array.isArray(serials) || serials.length === 0) {
         return res.status(400).json({ error: 'Invalid serials list.' });
     }
 
     const insertSql = dbModule.isPostgres
-        ? `INSERT INTO serials (serial_number, source_filename, status) VALUES ($1, 'manual_entry', 'confirmed') ON CONFLICT(serial_number) DO NOTHING`
-        : `INSERT INTO serials (serial_number, source_filename, status) VALUES (?, 'manual_entry', 'confirmed') ON CONFLICT(serial_number) DO NOTHING`;
-
-    let inserted = 0;
-    let duplicates = 0;
+        ? `INSERT INTO serials (serial_number, source_filename, status, format, series, district) VALUES ($1, 'manual_entry', 'confirmed', $2, $3, $4) ON CONFLICT(serial_number) DO NOTHING`
+        : `INSERT INTO serials (serial_number, source_filename, status, format, series, district) VALUES (?, 'manual_entry', 'confirmed', ?, ?, ?) ON CONFLICT(serial_number) DO NOTHING`;
+
+    const invalid = [];
+    const valid = [];
+    for (const raw of serials) {
+        const serial = normalizeSerial(raw);
+        const format = matchFormat(serial);
+        if (format) valid.push({ serial, format });
+        else invalid.push(raw);
+    }
 
     try {
-        // Sequential execution for simplicity
-        for (const serial of serials) {
-            try {
-                const info = await dbModule.run(insertSql, [serial]);
-                if (info.changes > 0) inserted++;
-                else duplicates++;
-            } catch (e) {
-                console.error(`Failed to insert manual serial ${serial}:`, e);
+        // One transaction: either every valid serial is stored or none is.
+        // Serials already known are not added again, but this sighting of them is recorded.
+        // Trashed ones are only reported: they are neither duplicates nor seen
+        // until restored (a watchlist hit is still logged, the note is in hand).
+        const context = audit.requestContext(req);
+        const trashed = [];
+        const hits = [];
+        const inserted = await dbModule.transaction(async (tx) => {
+            let count = 0;
+            for (const { serial, format } of valid) {
+                const { series, district } = decodeSerial(serial);
+                const info = await tx.run(insertSql, [serial, format.name, series, district]);
+                const row = await tx.get('SELECT id, deleted_at FROM serials WHERE serial_number = ?', [serial]);
+                if (info.changes > 0) {
+                    count++;
+                    await audit.record(tx, { action: 'create', after: await audit.snapshot(tx, row.id), context });
+                } else if (row.deleted_at) {
+                    // Still holds its number; it has to be restored from the trash
+                    trashed.push(serial);
+                }
+                if (!row.deleted_at) await recordSighting(tx, { serial, method: 'manual', source: 'manual_entry', operator: context.operator });
+                const hit = await watchlist.checkSerial(tx, serial, { method: 'manual', source: 'manual_entry', context });
+                if (hit) hits.push(hit);
             }
-        }
-        res.json({ success: true, added: inserted, duplicates: duplicates });
+            return count;
+        });
+        const duplicates = valid.length - inserted - trashed.length;
+        res.json({ success: true, added: inserted, duplicates: duplicates, invalid: invalid, trashed: trashed, watchlistHits: hits });
     } catch (err) {
         console.error('Batch add failed:', err);
         res.status(500).json({ error: 'Batch add failed.' });
     }
 });
 
+/**
+ * GET /api/watchlist?search=&page=&limit=
+ * Watched serials, newest first, with their hit counts.
+ */
+app.get('/api/watchlist', requireRole('admin'), async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    try {
+        res.json(await watchlist.listWatchlist(dbModule, { search: req.query.search, page, limit }));
+    } catch (err) {
+        console.error('Fetch watchlist failed:', err);
+        res.status(500).json({ error: 'Failed to fetch the watchlist.' });
+    }
+});
+
+/**
+ * POST /api/watchlist
+ * Body: { serial, reason?, reporter?, reportedAt? }. Adds a serial, or
+ * updates it if it is already listed.
+ */
+app.post('/api/watchlist', requireRole('admin'), async (req, res) => {
+    try {
+        const entry = watchlist.toEntry(req.body || {});
+        const result = await dbModule.transaction(tx => watchlist.addEntries(tx, [entry], { addedBy: req.user.username }));
+        res.status(result.added ? 201 : 200).json({ success: true, ...result });
+    } catch (err) {
+        if (err instanceof watchlist.WatchlistError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Add to watchlist failed:', err);
+        res.status(500).json({ error: 'Failed to add to the watchlist.' });
+    }
+});
+
+/**
+ * POST /api/watchlist/import
+ * A text file with one serial per line, or CSV rows of
+ * serial,reason,reporter,date (multipart field `watchlist`). The optional
+ * form fields reason, reporter and reportedAt apply to rows that lack them.
+ * Lines that cannot be read are skipped and listed in `invalid`.
+ */
+app.post('/api/watchlist/import', requireRole('admin'), csvUpload.single('watchlist'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No watchlist file uploaded.' });
+    }
+    const { reason, reporter, reportedAt } = req.body || {};
+    try {
+        const { entries, invalid } = watchlist.parseWatchlist(req.file.buffer.toString('utf-8'), { reason, reporter, reportedAt });
+        if (entries.length === 0) {
+            return res.status(400).json({ error: 'No serials found in the file.', invalid });
+        }
+        const result = await dbModule.transaction(tx => watchlist.addEntries(tx, entries, { addedBy: req.user.username }));
+        res.json({ success: true, ...result, invalid });
+    } catch (err) {
+        if (err instanceof watchlist.WatchlistError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Watchlist import failed:', err);
+        res.status(500).json({ error: 'Watchlist import failed, nothing was imported.' });
+    }
+});
+
+/**
+ * DELETE /api/watchlist/:id
+ * Takes a serial off the watchlist; its past hits stay in the log.
+ */
+app.delete('/api/watchlist/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!await watchlist.removeEntry(dbModule, req.params.id)) return res.status(404).json({ error: 'Watchlist entry not found.' });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Remove from watchlist failed:', err);
+        res.status(500).json({ error: 'Failed to remove from the watchlist.' });
+    }
+});
+
+/**
+ * GET /api/watchlist/hits?open=1&page=&limit=
+ * The hits log, newest first; with `open`, only hits not yet acknowledged.
+ */
+app.get('/api/watchlist/hits', requireRole('operator'), async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    try {
+        res.json(await watchlist.listHits(dbModule, { open: !!req.query.open, page, limit }));
+    } catch (err) {
+        console.error('Fetch watchlist hits failed:', err);
+        res.status(500).json({ error: 'Failed to fetch watchlist hits.' });
+    }
+});
+
+/**
+ * POST /api/watchlist/hits/acknowledge
+ * Body: { ids? }. Acknowledges those hits, or every open one without `ids`.
+ */
+app.post('/api/watchlist/hits/acknowledge', requireRole('operator'), async (req, res) => {
+    const { ids } = req.body || {};
+    try {
+        const acknowledged = await watchlist.acknowledgeHits(dbModule, ids, req.user.username);
+        res.json({ success: true, acknowledged });
+    } catch (err) {
+        if (err instanceof watchlist.WatchlistError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Acknowledge watchlist hits failed:', err);
+        res.status(500).json({ error: 'Failed to acknowledge the hits.' });
+    }
+});
+
+// Responds with a WebhookError's status, or 500
+const webhookFailed = (res, err, what) => {
+    if (err instanceof webhooks.WebhookError) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`${what} failed:`, err);
+    res.status(500).json({ error: `${what} failed.` });
+};
+
+/**
+ * GET /api/webhooks
+ * Subscriptions (without their secrets) and the events they can filter on.
+ */
+app.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ webhooks: await webhooks.listWebhooks(dbModule), events: webhooks.EVENTS });
+    } catch (err) {
+        webhookFailed(res, err, 'Fetch webhooks');
+    }
+});
+
+/**
+ * POST /api/webhooks
+ * Body: { url, events: ['serial.added', ...] or ['*'], description? }.
+ * The response holds the signing secret; it is not shown again.
+ */
+app.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+    const { url, events, description } = req.body || {};
+    try {
+        res.status(201).json(await webhooks.createWebhook(dbModule, { url, events, description, createdBy: req.user.username }));
+    } catch (err) {
+        webhookFailed(res, err, 'Create webhook');
+    }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Body: any of { url, events, description, active }.
+ */
+app.put('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+    const { url, events, description, active } = req.body || {};
+    try {
+        const webhook = await dbModule.transaction(tx => webhooks.updateWebhook(tx, req.params.id, {
+            url,
+            events,
+            description,
+            active: active === undefined ? undefined : !!active
+        }));
+        res.json(webhook);
+    } catch (err) {
+        webhookFailed(res, err, 'Update webhook');
+    }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Removes the subscription and its deliveries.
+ */
+app.delete('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+    try {
+        await dbModule.transaction(tx => webhooks.deleteWebhook(tx, req.params.id));
+        res.json({ success: true });
+    } catch (err) {
+        webhookFailed(res, err, 'Delete webhook');
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/secret
+ * Replaces the signing secret and returns the new one.
+ */
+app.post('/api/webhooks/:id/secret', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ secret: await webhooks.rotateSecret(dbModule, req.params.id) });
+    } catch (err) {
+        webhookFailed(res, err, 'Rotate webhook secret');
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Sends a 'ping' event to this webhook only.
+ */
+app.post('/api/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+    try {
+        const queued = await webhooks.enqueue(dbModule, webhooks.PING, { message: 'Test delivery', operator: req.user.username }, { webhookId: req.params.id });
+        if (!queued) return res.status(404).json({ error: 'Webhook not found.' });
+        res.status(202).json({ success: true });
+    } catch (err) {
+        webhookFailed(res, err, 'Test webhook');
+    }
+});
+
+/**
+ * GET /api/webhooks/deliveries?webhookId=&status=&page=&limit=
+ * The delivery log, newest first; status is pending, delivered or failed.
+ */
+app.get('/api/webhooks/deliveries', requireRole('admin'), async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    try {
+        res.json(await webhooks.listDeliveries(dbModule, { webhookId: req.query.webhookId, status: req.query.status, page, limit }));
+    } catch (err) {
+        webhookFailed(res, err, 'Fetch webhook deliveries');
+    }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/redeliver
+ * Sends a delivery again (as a new log entry with the same payload).
+ */
+app.post('/api/webhooks/deliveries/:id/redeliver', requireRole('admin'), async (req, res) => {
+    try {
+        const id = await webhooks.redeliver(dbModule, req.params.id);
+        res.status(202).json({ success: true, id });
+    } catch (err) {
+        webhookFailed(res, err, 'Redeliver webhook');
+    }
+});
+
+/**
+ * GET /api/review
+ * Lists OCR candidates waiting for review, oldest first. Watchlist hits
+ * among them carry flagged_at.
+ */
+app.get('/api/review', requireRole('operator'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+
+        const totalResult = await dbModule.get(`SELECT COUNT(*) as total FROM serials WHERE status = ? AND ${NOT_DELETED}`, [PENDING]);
+        const totalRecords = Number(totalResult ? (totalResult.total ?? totalResult.count) : 0);
+
+        const rows = await dbModule.all(`
+            SELECT id, serial_number, source_filename, source_page, extracted_at, format, confidence, corrections, flagged_at
+            FROM serials
+            WHERE status = ? AND ${NOT_DELETED}
+            ORDER BY id ASC
+            LIMIT ? OFFSET ?
+        `, [PENDING, limit, offset]);
+
+        res.json({
+            data: rows.map(row => ({
+                ...row,
+                confidence: row.confidence == null ? null : Number(row.confidence),
+                corrections: row.corrections ? JSON.parse(row.corrections) : []
+            })),
+            pagination: {
+                current: page,
+                limit: limit,
+                totalRecords: totalRecords,
+                totalPages: Math.ceil(totalRecords / limit)
+            }
+        });
+    } catch (err) {
+        console.error('Fetch review queue failed:', err);
+        res.status(500).json({ error: 'Failed to fetch review queue.' });
+    }
+});
+
+/**
+ * Approves one pending candidate, optionally correcting its serial first.
+ * Returns { status, body } so single and bulk endpoints can share it.
+ * Run it in a transaction (`tx`); `context` is the request's audit context.
+ */
+const approveCandidate = async (tx, id, correctedSerial, context) => {
+    const before = await audit.snapshot(tx, id);
+    if (!before || before.status !== PENDING || before.deleted_at) {
+        return { status: 404, body: { error: 'Pending record not found.' } };
+    }
+
+    let serial = before.serial_number;
+    let formatName = before.format;
+    if (correctedSerial) {
+        serial = normalizeSerial(correctedSerial);
+        const format = matchFormat(serial);
+        if (!format) {
+            return { status: 400, body: { error: `"${serial}" does not match any known serial format.` } };
+        }
+        formatName = format.name;
+        // Checked first: on Postgres a unique violation would abort the transaction
+        const clash = await tx.get('SELECT id FROM serials WHERE serial_number = ? AND id <> ?', [serial, id]);
+        if (clash) return { status: 409, body: { error: 'Serial number already exists.' } };
+    }
+
+    const { series, district } = decodeSerial(serial);
+    await tx.run(
+        'UPDATE serials SET serial_number = ?, format = ?, status = ?, series = ?, district = ? WHERE id = ?',
+        [serial, formatName, 'confirmed', series, district, id]
+    );
+    await audit.record(tx, { action: 'approve', before, after: await audit.snapshot(tx, id), context });
+    // The serial as read was checked on upload; a corrected one has not been yet
+    const hit = serial !== before.serial_number
+        ? await watchlist.checkSerial(tx, serial, { method: 'review', source: before.source_filename, context })
+        : null;
+    const body = correctedSerial ? { success: true, id, serial_number: serial } : { success: true, id };
+    if (hit) body.watchlistHit = hit;
+    return { status: 200, body };
+};
+
+/**
+ * Rejects (removes) one pending candidate. Same contract as approveCandidate.
+ */
+const rejectCandidate = async (tx, id, context) => {
+    const before = await audit.snapshot(tx, id, { withSightings: true });
+    if (!before || before.status !== PENDING || before.deleted_at) {
+        return { status: 404, body: { error: 'Pending record not found.' } };
+    }
+    await tx.run('DELETE FROM serials WHERE id = ?', [id]);
+    await deleteSightings(tx, id);
+    await audit.record(tx, { action: 'reject', before, context });
+    return { status: 200, body: { success: true, id } };
+};
+
+/**
+ * POST /api/review/:id/approve
+ * Body (optional): { serial_number } to correct the candidate while approving.
+ */
+app.post('/api/review/:id/approve', requireRole('operator'), async (req, res) => {
+    try {
+        const context = audit.requestContext(req);
+        const result = await dbModule.transaction(tx => approveCandidate(tx, req.params.id, req.body && req.body.serial_number, context));
+        res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error('Approve failed:', err);
+        if (err.code === '23505' || err.message.includes('UNIQUE')) {
+            return res.status(409).json({ error: 'Serial number already exists.' });
+        }
+        res.status(500).json({ error: 'Approve failed.' });
+    }
+});
+
+/**
+ * POST /api/review/:id/reject
+ */
+app.post('/api/review/:id/reject', requireRole('operator'), async (req, res) => {
+    try {
+        const context = audit.requestContext(req);
+        const result = await dbModule.transaction(tx => rejectCandidate(tx, req.params.id, context));
+        res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error('Reject failed:', err);
+        res.status(500).json({ error: 'Reject failed.' });
+    }
+});
+
+/**
+ * POST /api/review/bulk
+ * Body: { ids: [...], action: 'approve' | 'reject' }
+ */
+app.post('/api/review/bulk', requireRole('operator'), async (req, res) => {
+    const { ids, action } = req.body || {};
+    if (!Array.isArray(ids) || ids.length === 0 || !['approve', 'reject'].includes(action)) {
+        return res.status(400).json({ error: 'ids and action (approve|reject) required.' });
+    }
+
+    try {
+        // Records that are no longer pending are reported in `failed`; a database error undoes the whole batch
+        const context = audit.requestContext(req);
+        const { processed, failed } = await dbModule.transaction(async (tx) => {
+            let processed = 0;
+            const failed = [];
+            for (const id of ids) {
+                const result = action === 'approve' ? await approveCandidate(tx, id, null, context) : await rejectCandidate(tx, id, context);
+                if (result.status === 200) processed++;
+                else failed.push({ id, error: result.body.error });
+            }
+            return { processed, failed };
+        });
+        res.json({ success: true, processed, failed });
+    } catch (err) {
+        console.error('Bulk review failed:', err);
+        res.status(500).json({ error: 'Bulk review failed.' });
+    }
+});
+
+/**
+ * GET /api/receipts/files/:name
+ * Serves receipts stored on local disk (when Vercel Blob is not configured).
+ */
+app.get('/api/receipts/files/:name', requireRole('operator'), (req, res) => {
+    const filePath = localReceiptPath(req.params.name);
+    if (!filePath) return res.status(404).send('Receipt not found.');
+    res.sendFile(filePath);
+});
+
+/**
+ * GET /api/receipts/:hash
+ * A stored receipt for the receipt viewer: its page images and every serial
+ * read from it, with the position of each on its page (fractions 0..1).
+ */
+app.get('/api/receipts/:hash', requireRole('operator'), async (req, res) => {
+    try {
+        const receipt = await dbModule.get('SELECT * FROM receipts WHERE hash = ?', [req.params.hash]);
+        if (!receipt) return res.status(404).json({ error: 'Receipt not found.' });
+
+        const extraction = receipt.result ? JSON.parse(receipt.result) : { pages: [] };
+        const serials = await dbModule.all(`
+            SELECT id, serial_number, status, source_page, format, confidence, bbox
+            FROM serials
+            WHERE receipt_hash = ? AND ${NOT_DELETED}
+            ORDER BY source_page, id
+        `, [receipt.hash]);
+
+        res.json({
+            hash: receipt.hash,
+            filename: receipt.filename,
+            url: receipt.url,
+            pageCount: Number(receipt.page_count) || extraction.pages.length,
+            pages: extraction.pages.map(p => ({ page: p.page, image: p.image || receipt.url })),
+            serials: serials.map(row => ({
+                ...row,
+                source_page: row.source_page == null ? 1 : Number(row.source_page),
+                confidence: row.confidence == null ? null : Number(row.confidence),
+                bbox: row.bbox ? JSON.parse(row.bbox) : null
+            }))
+        });
+    } catch (err) {
+        console.error('Fetch receipt failed:', err);
+        res.status(500).json({ error: 'Failed to fetch receipt.' });
+    }
+});
+
 /**
  * PUT /api/serials/:id
  * Update a serial number.
  */
-app.put('/api/serials/:id', async (req, res) => {
+app.put('/api/serials/:id', requireRole('admin'), async (req, res) => {
     const id = req.params.id;
-    const { serial_number, status } = req.body;
+    const { status } = req.body;
+    const serial_number = normalizeSerial(req.body.serial_number);
 
     if (!id || !serial_number) {
         return res.status(400).json({ error: 'ID and Serial Number required.' });
     }
 
+    const format = matchFormat(serial_number);
+    if (!format) {
+        return res.status(400).json({ error: `"${serial_number}" does not match any known serial format.` });
+    }
+
     const updateSql = dbModule.isPostgres
-        ? 'UPDATE serials SET serial_number = $1, status = $2 WHERE id = $3'
-        : 'UPDATE serials SET serial_number = ?, status = ? WHERE id = ?';
+        ? 'UPDATE serials SET serial_number = $1, status = $2, format = $3, series = $4, district = $5 WHERE id = $6'
+        : 'UPDATE serials SET serial_number = ?, status = ?, format = ?, series = ?, district = ? WHERE id = ?';
+    const { series, district } = decodeSerial(serial_number);
 
     try {
-        const info = await dbModule.run(updateSql, [serial_number, status || 'confirmed', id]);
-        if (info.changes > 0) {
-            res.json({ success: true, message: 'Updated successfully.' });
+        const context = audit.requestContext(req);
+        const updated = await dbModule.transaction(async (tx) => {
+            const before = await audit.snapshot(tx, id);
+            if (!before || before.deleted_at) return false;
+            await tx.run(updateSql, [serial_number, status || 'confirmed', format.name, series, district, id]);
+            await audit.record(tx, { action: 'update', before, after: await audit.snapshot(tx, id), context });
+            const hit = serial_number !== before.serial_number
+                ? await watchlist.checkSerial(tx, serial_number, { method: 'edit', source: before.source_filename, context })
+                : null;
+            return { hit };
+        });
+        if (updated) {
+            res.json({ success: true, message: 'Updated successfully.', ...(updated.hit ? { watchlistHit: updated.hit } : {}) });
         } else {
             res.status(404).json({ error: 'Record not found.' });
         }
@@ -444,18 +1316,17 @@ app.put('/api/serials/:id', async (req, res) => {
 
 /**
  * DELETE /api/serials/:serial
- * Remove a serial number.
+ * Moves a serial to the trash (see trash.js).
  */
-app.delete('/api/serials/:serial', async (req, res) => {
+app.delete('/api/serials/:serial', requireRole('admin'), async (req, res) => {
     const serial = req.params.serial;
     if (!serial) return res.status(400).json({ error: 'Serial required.' });
 
-    const deleteSql = 'DELETE FROM serials WHERE serial_number = ?'; // dbModule handles ? -> $1
-
     try {
-        const info = await dbModule.run(deleteSql, [serial]);
-        if (info.changes > 0) {
-            res.json({ success: true, message: 'Deleted successfully.' });
+        const context = audit.requestContext(req);
+        const deleted = await dbModule.transaction(tx => trash.trashSerial(tx, serial, context));
+        if (deleted) {
+            res.json({ success: true, message: 'Moved to trash.' });
         } else {
             res.status(404).json({ error: 'Serial not found.' });
         }
@@ -465,10 +1336,48 @@ app.delete('/api/serials/:serial', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/trash/:id/restore
+ * Takes a record out of the trash.
+ */
+app.post('/api/trash/:id/restore', requireRole('admin'), async (req, res) => {
+    try {
+        const context = audit.requestContext(req);
+        const restored = await dbModule.transaction(tx => trash.restoreSerial(tx, req.params.id, context));
+        if (restored) {
+            res.json({ success: true, message: 'Restored.' });
+        } else {
+            res.status(404).json({ error: 'Record not found in trash.' });
+        }
+    } catch (err) {
+        console.error('Restore failed:', err);
+        res.status(500).json({ error: 'Restore failed.' });
+    }
+});
+
+/**
+ * DELETE /api/trash/:id
+ * Permanently removes a record (and its sightings) from the trash.
+ */
+app.delete('/api/trash/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const context = audit.requestContext(req);
+        const purged = await dbModule.transaction(tx => trash.purgeSerial(tx, req.params.id, context));
+        if (purged) {
+            res.json({ success: true, message: 'Permanently deleted.' });
+        } else {
+            res.status(404).json({ error: 'Record not found in trash.' });
+        }
+    } catch (err) {
+        console.error('Purge failed:', err);
+        res.status(500).json({ error: 'Purge failed.' });
+    }
+});
+
 /**
  * POST /api/reset
  */
-app.post('/api/reset', async (req, res) => {
+app.post('/api/reset', requireRole('admin'), async (req, res) => {
     const confirm = req.headers['x-confirm-reset'];
     if (confirm !== 'true') {
         return res.status(400).json({ error: 'Missing confirmation header.' });
@@ -477,34 +1386,74 @@ app.post('/api/reset', async (req, res) => {
     try {
         console.log('WARNING: Resetting database...');
 
-        if (dbModule.isPostgres) {
-            await dbModule.run('TRUNCATE TABLE serials RESTART IDENTITY');
-            await dbModule.run('DROP TABLE IF EXISTS serials'); // Or just drop/create
-            // Actually initSchema will create if not exists.
-            // Let's just DELETE ALL
-            await dbModule.run('DELETE FROM serials');
-        } else {
-            // 1. Close connection
-            dbModule.close();
-            // 2. Delete database file
-            const dbPath = dbModule.path;
-            if (fs.existsSync(dbPath)) {
-                fs.unlinkSync(dbPath);
-            }
-            // 3. Re-initialize
-            await dbModule.reconnect();
-        }
+        // Row deletes rather than dropping the database, so the audit log survives and the reset can be reverted
+        const context = audit.requestContext(req);
+        const removed = await dbModule.transaction(async (tx) => {
+            const serials = await audit.snapshotAll(tx);
+            await tx.run('DELETE FROM sightings');
+            await tx.run('DELETE FROM serials');
+            await audit.record(tx, { action: 'reset', before: { serials }, context });
+            return serials.length;
+        });
 
-        console.log('Database reset complete.');
+        console.log(`Database reset complete (${removed} serials removed).`);
         res.json({ success: true, message: 'Database has been wiped successfully.' });
 
     } catch (err) {
         console.error('Reset failed:', err);
-        if (!dbModule.isPostgres) try { await dbModule.reconnect(); } catch (e) { }
         res.status(500).json({ error: 'Database reset failed: ' + err.message });
     }
 });
 
+/**
+ * GET /api/audit
+ * The audit log, newest first. Filters: serial, action, operator,
+ * since/until (inclusive dates or ISO timestamps); paged with page/limit.
+ */
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+    const { serial, action, operator, since, until } = req.query;
+    if (action && !audit.ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `Unknown action "${action}".` });
+    }
+    if ([since, until].some(value => value && !isTime(value))) {
+        return res.status(400).json({ error: 'since and until must be dates (YYYY-MM-DD) or ISO timestamps.' });
+    }
+    try {
+        const result = await audit.listAudit(dbModule, {
+            serial: serial ? normalizeSerial(serial) : undefined,
+            action,
+            operator,
+            since,
+            until,
+            page: parseInt(req.query.page) || 1,
+            limit: Math.min(parseInt(req.query.limit) || 50, 500)
+        });
+        res.json(result);
+    } catch (err) {
+        console.error('Fetch audit log failed:', err);
+        res.status(500).json({ error: 'Failed to fetch audit log.' });
+    }
+});
+
+/**
+ * POST /api/audit/:id/revert
+ * Restores the state before entry :id (logged as a new 'revert' entry).
+ * 409 when the serial has changed since.
+ */
+app.post('/api/audit/:id/revert', requireRole('admin'), async (req, res) => {
+    try {
+        const context = audit.requestContext(req);
+        const result = await dbModule.transaction(tx => audit.revert(tx, req.params.id, context));
+        res.json({ success: true, ...result });
+    } catch (err) {
+        if (err instanceof audit.RevertError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Revert failed:', err);
+        res.status(500).json({ error: 'Revert failed.' });
+    }
+});
+
 /**
  * GET /api/health
  * Debug endpoint to check DB connection
@@ -517,7 +1466,8 @@ app.get('/api/health', async (req, res) => {
                 status: 'ok', server: 'running', env: {
                     hasPostgres: !!process.env.POSTGRES_URL,
                     node: process.version
-                }
+                },
+                ocr: { engine: getEngine().name, ...getEngine().stats(), pendingFiles: pendingFiles() }
             });
         }
 
@@ -533,9 +1483,54 @@ app.get('/api/health', async (req, res) => {
 // For Vercel, we export the app.
 // For local 'node index.js', we listen.
 if (require.main === module) {
-    app.listen(port, () => {
+    const server = app.listen(port, () => {
         console.log(`Server running on http://localhost:${port}`);
     });
+    // Live job progress (not available on Vercel, where clients fall back to polling)
+    attachWebSocket(server, {
+        authorize: async (req) => auth.hasRole(await auth.userForSession(dbModule, auth.sessionToken(req)), 'operator')
+    });
+    dbModule.ready()
+        .then(() => {
+            trash.startPurging();
+            webhooks.startDispatcher();
+            return recoverInterruptedJobs();
+        })
+        .catch(err => {
+            if (err.code === 'SCHEMA_VERSION_MISMATCH') {
+                // Refuse to serve against a schema this code was not written for
+                console.error(err.message);
+                process.exit(1);
+            }
+            console.error('Failed to recover interrupted jobs:', err);
+        });
+
+    // Fail fast on a misconfigured OCR_ENGINE instead of on the first upload
+    const engine = getEngine();
+    console.log(`OCR engine: ${engine.name}`);
+
+    // Start OCR workers now rather than on the first upload
+    if (process.env.OCR_WARM_UP === 'true') {
+        engine.warmUp().catch(err => console.error('OCR warm-up failed:', err));
+    }
+
+    // Graceful shutdown: stop taking requests, let running OCR finish, then close the DB
+    let shuttingDown = false;
+    const shutdown = async (signal) => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log(`${signal} received, shutting down...`);
+        server.close();
+        try {
+            await engine.shutdown();
+        } catch (err) {
+            console.error('OCR engine shutdown failed:', err);
+        }
+        dbModule.close();
+        process.exit(0);
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
 }
 
 module.exports = app;
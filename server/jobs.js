@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const dbModule = require('./db');
+const { extractReceipt } = require('./extraction');
+const pool = require('./ocrPool');
+
+/**
+ * Background extraction jobs.
+ *
+ * POST /api/extract only registers a job and returns its id; the files are
+ * processed here after the response has been sent. Live jobs (and their file
+ * buffers) are kept in memory, while every state change is also written to the
+ * extraction_jobs table so a client can pick a job up again after a reload.
+ * Updates are published on `events` for the WebSocket endpoint.
+ *
+ * Files of one job are processed in parallel, up to the OCR pool size. New
+ * jobs are refused (QueueFullError) while the files still waiting across all
+ * jobs would exceed the pool's queue limit.
+ *
+ * On Vercel the function is frozen once the response is sent, so there the
+ * job is run before responding instead, and an upload with more files than
+ * can be read within the function's time limit is refused (BatchTooLargeError).
+ * Large batches need a long-lived server (node server/index.js).
+ *
+ * Configuration (environment):
+ *   VERCEL_MAX_FILES  most files one upload may carry on Vercel (default 2)
+ */
+
+// Tesseract emits many logger events per file; forward at most one per interval
+const PROGRESS_INTERVAL_MS = 250;
+
+const RUN_BEFORE_RESPONDING = !!process.env.VERCEL;
+const VERCEL_MAX_FILES = Math.max(1, parseInt(process.env.VERCEL_MAX_FILES) || 2);
+
+/**
+ * Thrown on Vercel for uploads with more files than one request can read in time (HTTP 413).
+ */
+class BatchTooLargeError extends Error {
+    constructor(max = VERCEL_MAX_FILES) {
+        super(`This deployment reads at most ${max} receipt(s) per upload before its time limit. Upload fewer at once, or run the long-lived server (node server/index.js) for large batches.`);
+        this.name = 'BatchTooLargeError';
+        this.status = 413;
+    }
+}
+
+const liveJobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const toPublic = (job) => ({
+    id: job.id,
+    status: job.status,
+    total: job.total,
+    processed: job.processed,
+    cancelRequested: !!job.cancelRequested,
+    activeFiles: Object.values(job.activeFiles),
+    summary: job.summary,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+});
+
+const persist = async (job) => {
+    job.updatedAt = new Date().toISOString();
+    await dbModule.run(`
+        INSERT INTO extraction_jobs (id, status, total, processed, summary, error, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+            status = excluded.status,
+            processed = excluded.processed,
+            summary = excluded.summary,
+            error = excluded.error,
+            updated_at = excluded.updated_at
+    `, [job.id, job.status, job.total, job.processed, JSON.stringify(job.summary), job.error, job.createdAt, job.updatedAt]);
+};
+
+const publish = (job) => {
+    events.emit('update', toPublic(job));
+};
+
+const processFile = async (job, file, index) => {
+    job.activeFiles[index] = { name: file.originalname, index, status: 'starting', progress: 0 };
+    publish(job);
+
+    let lastSent = 0;
+    let lastStatus = null;
+    const onProgress = (m) => {
+        const now = Date.now();
+        if (m.status === lastStatus && now - lastSent < PROGRESS_INTERVAL_MS) return;
+        lastSent = now;
+        lastStatus = m.status;
+        job.activeFiles[index] = { ...job.activeFiles[index], status: m.status, progress: m.progress, page: m.page, pages: m.pages };
+        events.emit('progress', { jobId: job.id, file: job.activeFiles[index] });
+    };
+
+    const result = await extractReceipt(file, { onProgress, preprocess: job.preprocess, context: job.context });
+
+    delete job.activeFiles[index];
+    job.summary.totalCandidates += result.found || 0;
+    job.summary.inserted += result.new || 0;
+    job.summary.duplicates += result.duplicates || 0;
+    job.summary.trashed += result.trashed ? result.trashed.length : 0;
+    job.summary.rejected += result.rejected ? 1 : 0;
+    job.summary.alreadyProcessed += result.alreadyProcessed ? 1 : 0;
+    job.summary.results.push(result);
+    job.processed++;
+    await persist(job);
+    publish(job);
+};
+
+const runJob = async (job) => {
+    try {
+        job.status = 'running';
+        await persist(job);
+        publish(job);
+
+        // Each lane takes the next unstarted file until none are left (or the job is cancelled)
+        let next = 0;
+        const lane = async () => {
+            while (next < job.files.length && !job.cancelRequested) {
+                const index = next++;
+                await processFile(job, job.files[index], index);
+            }
+        };
+        const lanes = Math.min(pool.POOL_SIZE, job.files.length);
+        await Promise.all(Array.from({ length: lanes }, lane));
+
+        job.status = job.cancelRequested ? 'cancelled' : 'completed';
+        console.log(`Extraction job ${job.id} ${job.status}:`, job.summary);
+    } catch (err) {
+        console.error(`Extraction job ${job.id} failed:`, err);
+        job.status = 'failed';
+        job.error = err.message;
+    }
+
+    job.activeFiles = {};
+    job.files = null; // release the uploaded buffers
+    liveJobs.delete(job.id);
+    try {
+        await persist(job);
+    } catch (err) {
+        console.error(`Failed to save final state of job ${job.id}:`, err);
+    }
+    publish(job);
+};
+
+/**
+ * Files accepted but not yet finished, across all live jobs.
+ */
+const pendingFiles = () => {
+    let count = 0;
+    for (const job of liveJobs.values()) {
+        if (job.files) count += job.files.length - job.processed;
+    }
+    return count;
+};
+
+/**
+ * Registers a job for the uploaded files and starts it in the background.
+ * `preprocess` ({ preset, roi }) applies to every file of the job; `context`
+ * (see audit.requestContext) is recorded on the changes it makes.
+ * Resolves with the public job state once it has been saved, or on Vercel
+ * once it has finished.
+ * Throws QueueFullError when the server already has too much work queued,
+ * and BatchTooLargeError on Vercel for more than VERCEL_MAX_FILES files.
+ */
+async function createJob(files, { preprocess, context = {} } = {}) {
+    if (RUN_BEFORE_RESPONDING && files.length > VERCEL_MAX_FILES) {
+        throw new BatchTooLargeError();
+    }
+    if (pendingFiles() + files.length > pool.QUEUE_LIMIT) {
+        throw new pool.QueueFullError();
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        total: files.length,
+        processed: 0,
+        activeFiles: {},
+        summary: { totalCandidates: 0, inserted: 0, duplicates: 0, trashed: 0, rejected: 0, alreadyProcessed: 0, results: [] },
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        cancelRequested: false,
+        preprocess,
+        context,
+        files
+    };
+
+    liveJobs.set(job.id, job);
+    await persist(job);
+    if (RUN_BEFORE_RESPONDING) await runJob(job);
+    else setImmediate(() => runJob(job));
+    return toPublic(job);
+}
+
+/**
+ * Current state of a job, from memory while it runs and from the database after.
+ */
+async function getJob(id) {
+    const live = liveJobs.get(id);
+    if (live) return toPublic(live);
+
+    const row = await dbModule.get('SELECT * FROM extraction_jobs WHERE id = ?', [id]);
+    if (!row) return null;
+    return {
+        id: row.id,
+        status: row.status,
+        total: Number(row.total),
+        processed: Number(row.processed),
+        cancelRequested: false,
+        activeFiles: [],
+        summary: row.summary ? JSON.parse(row.summary) : null,
+        error: row.error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Asks a running job to stop. Files already processed keep their results;
+ * files being processed are finished first.
+ * Returns the job state, or null if the job does not exist.
+ */
+async function cancelJob(id) {
+    const live = liveJobs.get(id);
+    if (!live) return getJob(id);
+    live.cancelRequested = true;
+    publish(live);
+    return toPublic(live);
+}
+
+/**
+ * Marks jobs left unfinished by a previous server process as failed.
+ * Only call this from a long-lived server; serverless instances share the table.
+ */
+async function recoverInterruptedJobs() {
+    const info = await dbModule.run(
+        `UPDATE extraction_jobs SET status = 'failed', error = 'Server restarted before the job finished.' WHERE status IN ('queued', 'running')`
+    );
+    if (info.changes > 0) console.log(`Marked ${info.changes} interrupted extraction job(s) as failed.`);
+}
+
+/**
+ * Serves live job updates on ws://<host>/api/ws.
+ * Clients subscribe with ?job=<id> or by sending { type: 'subscribe', jobId }.
+ * Messages: { type: 'job', job } and { type: 'progress', jobId, file }.
+ * `authorize(req)` resolves to whether the upgrade request may connect.
+ */
+function attachWebSocket(server, { authorize = async () => true } = {}) {
+    const { WebSocketServer } = require('ws');
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/api/ws') {
+            socket.destroy();
+            return;
+        }
+        let allowed = false;
+        try {
+            allowed = await authorize(req);
+        } catch (err) {
+            console.error('WebSocket authorization failed:', err);
+        }
+        if (!allowed) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, url));
+    });
+
+    wss.on('connection', (ws, url) => {
+        const subscriptions = new Set();
+        const send = (msg) => {
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+        };
+
+        const subscribe = async (jobId) => {
+            if (!jobId || subscriptions.has(jobId)) return;
+            subscriptions.add(jobId);
+            try {
+                const job = await getJob(jobId);
+                send(job ? { type: 'job', job } : { type: 'error', jobId, error: 'Job not found.' });
+            } catch (err) {
+                send({ type: 'error', jobId, error: err.message });
+            }
+        };
+
+        const onUpdate = (job) => {
+            if (subscriptions.has(job.id)) send({ type: 'job', job });
+        };
+        const onProgress = (msg) => {
+            if (subscriptions.has(msg.jobId)) send({ type: 'progress', ...msg });
+        };
+        events.on('update', onUpdate);
+        events.on('progress', onProgress);
+
+        ws.on('message', (data) => {
+            try {
+                const msg = JSON.parse(data.toString());
+                if (msg.type === 'subscribe') subscribe(msg.jobId);
+            } catch {
+                send({ type: 'error', error: 'Invalid message.' });
+            }
+        });
+
+        ws.on('close', () => {
+            events.off('update', onUpdate);
+            events.off('progress', onProgress);
+        });
+
+        subscribe(url.searchParams.get('job'));
+    });
+
+    return wss;
+}
+
+module.exports = { createJob, getJob, cancelJob, recoverInterruptedJobs, attachWebSocket, pendingFiles, BatchTooLargeError };
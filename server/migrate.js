@@ -0,0 +1,258 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Versioned schema migrations for SQLite and Postgres.
+ *
+ * Migrations live in server/migrations as NNN_description.js, applied in
+ * version order and recorded in the schema_migrations table. A migration
+ * exports `up`, either SQL per dialect:
+ *
+ *   module.exports = { up: { sqlite: '...', postgres: ['...', '...'] } };
+ *
+ * or a function given helpers, for logic that differs by more than the SQL:
+ *
+ *   module.exports = { async up(m) { await m.addColumn('serials', 'note', 'TEXT'); } };
+ *
+ *   m.dialect                      'sqlite' | 'postgres'
+ *   m.types                        { id, timestamp } column types for the dialect
+ *   m.exec(sql)                    run DDL (may contain several statements)
+ *   m.query(sql, params)           run a statement with ? placeholders, resolves with rows
+ *   m.hasColumn(table, column)
+ *   m.addColumn(table, column, type)  no-op if the column already exists
+ *
+ * Each migration runs in its own transaction. Steps should be idempotent
+ * (IF NOT EXISTS, addColumn) so databases created before migrations existed
+ * can be adopted by simply applying everything.
+ *
+ * CLI: node server/migrate.js [status|up]   (npm run migrate -- status)
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Raised when the database schema does not match the migrations this code
+ * ships with; the server refuses to serve until it is resolved.
+ */
+class SchemaVersionError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'SchemaVersionError';
+        this.code = 'SCHEMA_VERSION_MISMATCH';
+        this.status = status;
+    }
+}
+
+/**
+ * Migration files sorted by version: [{ version, name, file, up }].
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(f => /^\d+_.+\.js$/.test(f))
+        .map(f => {
+            const version = parseInt(f, 10);
+            const { up } = require(path.join(dir, f));
+            if (!up) throw new Error(`Migration ${f} does not export "up".`);
+            return { version, name: f.replace(/^\d+_|\.js$/g, ''), file: f, up };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+        }
+    }
+    return migrations;
+}
+
+// One connection for a whole migration (Postgres needs a dedicated pool client for BEGIN/COMMIT)
+const openConnection = async (db, isPostgres) => {
+    if (isPostgres) {
+        const client = await db.connect();
+        return {
+            dialect: 'postgres',
+            exec: (sql) => client.query(sql),
+            query: async (sql, params = []) => {
+                let i = 1;
+                const result = await client.query(sql.replace(/\?/g, () => `$${i++}`), params);
+                return result.rows;
+            },
+            release: () => client.release()
+        };
+    }
+    return {
+        dialect: 'sqlite',
+        exec: async (sql) => db.exec(sql),
+        query: async (sql, params = []) => {
+            const stmt = db.prepare(sql);
+            if (stmt.reader) return stmt.all(...params);
+            stmt.run(...params);
+            return [];
+        },
+        release: () => {}
+    };
+};
+
+const helpersFor = (conn) => {
+    const m = {
+        dialect: conn.dialect,
+        types: conn.dialect === 'postgres'
+            ? { id: 'SERIAL PRIMARY KEY', timestamp: 'TIMESTAMP' }
+            : { id: 'INTEGER PRIMARY KEY AUTOINCREMENT', timestamp: 'DATETIME' },
+        exec: conn.exec,
+        query: conn.query,
+        hasColumn: async (table, column) => {
+            const rows = conn.dialect === 'postgres'
+                ? await conn.query('SELECT column_name AS name FROM information_schema.columns WHERE table_name = ? AND table_schema = current_schema()', [table])
+                : await conn.query(`PRAGMA table_info(${table})`);
+            return rows.some(r => r.name === column);
+        },
+        addColumn: async (table, column, type) => {
+            if (!(await m.hasColumn(table, column))) {
+                await conn.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+            }
+        }
+    };
+    return m;
+};
+
+const runUp = async (migration, m) => {
+    if (typeof migration.up === 'function') return migration.up(m);
+    const steps = migration.up[m.dialect];
+    if (steps === undefined) throw new Error(`Migration ${migration.file} has no ${m.dialect} steps.`);
+    for (const sql of [].concat(steps)) await m.exec(sql);
+};
+
+const ensureTable = async (conn) => {
+    await conn.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+};
+
+/**
+ * Compares applied migrations with the migration files.
+ * @returns {Promise<{ current: number, latest: number, applied: object[], pending: object[], unknown: object[] }>}
+ *   `unknown` lists versions recorded in the database that this code does not have.
+ */
+async function status(db, isPostgres) {
+    const conn = await openConnection(db, isPostgres);
+    try {
+        await ensureTable(conn);
+        const applied = (await conn.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version'))
+            .map(r => ({ version: Number(r.version), name: r.name, appliedAt: r.applied_at }));
+        const migrations = loadMigrations();
+        const appliedVersions = new Set(applied.map(r => r.version));
+        const known = new Set(migrations.map(m => m.version));
+        return {
+            current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+            latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+            applied,
+            pending: migrations.filter(m => !appliedVersions.has(m.version)).map(({ version, name }) => ({ version, name })),
+            unknown: applied.filter(r => !known.has(r.version))
+        };
+    } finally {
+        conn.release();
+    }
+}
+
+/**
+ * Applies every pending migration in order, each in its own transaction.
+ * Stops at the first failure (that migration is rolled back).
+ * @returns {Promise<{ version: number, name: string }[]>} The migrations applied.
+ */
+async function migrate(db, isPostgres) {
+    const before = await status(db, isPostgres);
+    const pending = loadMigrations().filter(m => before.pending.some(p => p.version === m.version));
+    const done = [];
+
+    for (const migration of pending) {
+        const conn = await openConnection(db, isPostgres);
+        try {
+            await conn.exec('BEGIN');
+            await runUp(migration, helpersFor(conn));
+            await conn.query('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                [migration.version, migration.name, new Date().toISOString()]);
+            await conn.exec('COMMIT');
+            console.log(`Applied migration ${migration.file}`);
+            done.push({ version: migration.version, name: migration.name });
+        } catch (err) {
+            try {
+                await conn.exec('ROLLBACK');
+            } catch (rollbackErr) {
+                console.error('Rollback failed:', rollbackErr.message);
+            }
+            throw new Error(`Migration ${migration.file} failed: ${err.message}`);
+        } finally {
+            conn.release();
+        }
+    }
+    return done;
+}
+
+/**
+ * Startup check: applies pending migrations when `autoMigrate` is set, then
+ * throws SchemaVersionError unless the database is exactly at the version
+ * this code expects.
+ */
+async function prepare(db, isPostgres, { autoMigrate = true } = {}) {
+    let current = await status(db, isPostgres);
+    if (current.unknown.length > 0) {
+        throw new SchemaVersionError(
+            `Database schema is at version ${current.current}, newer than this server (${current.latest}). Deploy the matching code.`,
+            current
+        );
+    }
+    if (current.pending.length > 0 && autoMigrate) {
+        await migrate(db, isPostgres);
+        current = await status(db, isPostgres);
+    }
+    if (current.pending.length > 0) {
+        throw new SchemaVersionError(
+            `Database schema is at version ${current.current}, this server needs ${current.latest}. Run "npm run migrate -- up".`,
+            current
+        );
+    }
+    return current;
+}
+
+module.exports = { loadMigrations, status, migrate, prepare, SchemaVersionError, MIGRATIONS_DIR };
+
+if (require.main === module) {
+    // Inspect or migrate explicitly; do not let db.js apply anything on load
+    process.env.AUTO_MIGRATE = 'false';
+    const dbModule = require('./db');
+    const command = process.argv[2] || 'status';
+
+    const printStatus = (s) => {
+        console.log(`Schema version: ${s.current} (latest: ${s.latest})`);
+        for (const m of s.applied) console.log(`  applied  ${String(m.version).padStart(3, '0')} ${m.name}  ${m.appliedAt}`);
+        for (const m of s.pending) console.log(`  pending  ${String(m.version).padStart(3, '0')} ${m.name}`);
+        for (const m of s.unknown) console.log(`  unknown  ${String(m.version).padStart(3, '0')} ${m.name} (not in ${MIGRATIONS_DIR})`);
+    };
+
+    (async () => {
+        // A pending version makes ready() reject; that is what this CLI is for
+        await dbModule.ready().catch(() => {});
+        if (!dbModule.raw) throw new Error('No database connection.');
+
+        if (command === 'status') {
+            printStatus(await status(dbModule.raw, dbModule.isPostgres));
+        } else if (command === 'up') {
+            const applied = await migrate(dbModule.raw, dbModule.isPostgres);
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s).` : 'Nothing to apply.');
+            printStatus(await status(dbModule.raw, dbModule.isPostgres));
+        } else {
+            console.log('Usage: node server/migrate.js [status|up]');
+            process.exitCode = 1;
+        }
+    })()
+        .catch(err => {
+            console.error(err.message);
+            process.exitCode = 1;
+        })
+        .finally(() => dbModule.close());
+}
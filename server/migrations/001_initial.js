@@ -0,0 +1,23 @@
+// The original serials table (as created before migrations existed)
+module.exports = {
+    up: {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS serials (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                serial_number TEXT UNIQUE NOT NULL,
+                source_filename TEXT,
+                extracted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                status TEXT DEFAULT 'confirmed'
+            )
+        `,
+        postgres: `
+            CREATE TABLE IF NOT EXISTS serials (
+                id SERIAL PRIMARY KEY,
+                serial_number TEXT UNIQUE NOT NULL,
+                source_filename TEXT,
+                extracted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                status TEXT DEFAULT 'confirmed'
+            )
+        `
+    }
+};
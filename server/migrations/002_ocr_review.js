@@ -0,0 +1,23 @@
+// Format registry, OCR confidence/corrections for the review queue, multi-page
+// documents and background extraction jobs
+module.exports = {
+    async up(m) {
+        await m.addColumn('serials', 'format', 'TEXT');
+        await m.addColumn('serials', 'source_page', 'INTEGER');
+        await m.addColumn('serials', 'confidence', 'REAL');
+        await m.addColumn('serials', 'corrections', 'TEXT');
+
+        await m.exec(`
+            CREATE TABLE IF NOT EXISTS extraction_jobs (
+                id TEXT PRIMARY KEY,
+                status TEXT NOT NULL,
+                total INTEGER NOT NULL,
+                processed INTEGER DEFAULT 0,
+                summary TEXT,
+                error TEXT,
+                created_at ${m.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+                updated_at ${m.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+};
@@ -0,0 +1,25 @@
+// Receipts identified by content hash (with cached OCR results) and the
+// position of every serial on its receipt
+module.exports = {
+    async up(m) {
+        await m.exec(`
+            CREATE TABLE IF NOT EXISTS receipts (
+                hash TEXT PRIMARY KEY,
+                filename TEXT,
+                url TEXT,
+                mimetype TEXT,
+                size INTEGER,
+                page_count INTEGER,
+                options TEXT,
+                result TEXT,
+                upload_count INTEGER DEFAULT 1,
+                created_at ${m.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+                last_uploaded_at ${m.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await m.addColumn('serials', 'receipt_hash', 'TEXT');
+        await m.addColumn('serials', 'bbox', 'TEXT');
+        await m.exec('CREATE INDEX IF NOT EXISTS idx_serials_receipt_hash ON serials (receipt_hash)');
+    }
+};
@@ -0,0 +1,33 @@
+// Every time a serial is seen, not just the first: one row per receipt,
+// manual entry or import that contained it. Existing serials get one
+// sighting each, from what their row records about where they came from.
+module.exports = {
+    async up(m) {
+        await m.exec(`
+            CREATE TABLE IF NOT EXISTS sightings (
+                id ${m.types.id},
+                serial_id INTEGER NOT NULL,
+                method TEXT NOT NULL,
+                source TEXT,
+                receipt_hash TEXT,
+                page INTEGER,
+                operator TEXT,
+                seen_at ${m.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await m.exec('CREATE INDEX IF NOT EXISTS idx_sightings_serial_id ON sightings (serial_id)');
+
+        await m.exec(`
+            INSERT INTO sightings (serial_id, method, source, receipt_hash, page, seen_at)
+            SELECT id,
+                CASE
+                    WHEN source_filename = 'manual_entry' THEN 'manual'
+                    WHEN source_filename = 'imported_csv' OR status = 'imported' THEN 'import'
+                    ELSE 'ocr'
+                END,
+                source_filename, receipt_hash, source_page, extracted_at
+            FROM serials
+            WHERE NOT EXISTS (SELECT 1 FROM sightings WHERE sightings.serial_id = serials.id)
+        `);
+    }
+};
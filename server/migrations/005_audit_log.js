@@ -0,0 +1,24 @@
+// Append-only record of every change to serials, with the row before and
+// after (JSON), so any change can be traced and reverted
+module.exports = {
+    async up(m) {
+        await m.exec(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id ${m.types.id},
+                action TEXT NOT NULL,
+                serial_id INTEGER,
+                serial_number TEXT,
+                old_value TEXT,
+                new_value TEXT,
+                origin TEXT,
+                operator TEXT,
+                ip TEXT,
+                reverts INTEGER,
+                created_at ${m.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await m.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_serial_id ON audit_log (serial_id)');
+        await m.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_serial_number ON audit_log (serial_number)');
+        await m.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_reverts ON audit_log (reverts)');
+    }
+};
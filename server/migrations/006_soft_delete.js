@@ -0,0 +1,7 @@
+// Deleted serials stay in the table, marked with deleted_at, until purged
+module.exports = {
+    async up(m) {
+        await m.addColumn('serials', 'deleted_at', m.types.timestamp);
+        await m.exec('CREATE INDEX IF NOT EXISTS idx_serials_deleted_at ON serials (deleted_at)');
+    }
+};
@@ -0,0 +1,20 @@
+const { decodeSerial } = require('../formats');
+
+// Series and Federal Reserve district decoded from the serial prefix, stored
+// so they can be filtered and counted; existing rows are backfilled
+module.exports = {
+    async up(m) {
+        await m.addColumn('serials', 'series', 'TEXT');
+        await m.addColumn('serials', 'district', 'TEXT');
+        await m.exec('CREATE INDEX IF NOT EXISTS idx_serials_series_district ON serials (series, district)');
+        await m.exec('CREATE INDEX IF NOT EXISTS idx_serials_district ON serials (district)');
+
+        const rows = await m.query('SELECT id, serial_number FROM serials');
+        for (const row of rows) {
+            const { series, district } = decodeSerial(row.serial_number);
+            if (series || district) {
+                await m.query('UPDATE serials SET series = ?, district = ? WHERE id = ?', [series, district, row.id]);
+            }
+        }
+    }
+};
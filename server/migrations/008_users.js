@@ -0,0 +1,26 @@
+// Local user accounts (scrypt password hashes) with a role each, and login
+// sessions, stored by the SHA-256 of their token
+module.exports = {
+    async up(m) {
+        await m.exec(`
+            CREATE TABLE IF NOT EXISTS users (
+                id ${m.types.id},
+                username TEXT UNIQUE NOT NULL,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL,
+                disabled INTEGER NOT NULL DEFAULT 0,
+                created_at ${m.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+                last_login_at ${m.types.timestamp}
+            )
+        `);
+        await m.exec(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                token_hash TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                created_at ${m.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+                expires_at ${m.types.timestamp} NOT NULL
+            )
+        `);
+        await m.exec('CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions (user_id)');
+    }
+};
@@ -0,0 +1,21 @@
+// API keys for machine clients: the SHA-256 of each key (the key itself is
+// shown once, when created), its scopes and when it was last used
+module.exports = {
+    async up(m) {
+        await m.exec(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id ${m.types.id},
+                name TEXT NOT NULL,
+                prefix TEXT NOT NULL,
+                key_hash TEXT UNIQUE NOT NULL,
+                scopes TEXT NOT NULL,
+                created_by TEXT,
+                created_at ${m.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+                expires_at ${m.types.timestamp},
+                last_used_at ${m.types.timestamp},
+                last_used_ip TEXT,
+                revoked_at ${m.types.timestamp}
+            )
+        `);
+    }
+};
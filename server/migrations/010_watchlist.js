@@ -0,0 +1,33 @@
+// Serials reported stolen or counterfeit, and a log of every time one of
+// them turned up in an upload, manual batch or import
+module.exports = {
+    async up(m) {
+        await m.exec(`
+            CREATE TABLE IF NOT EXISTS watchlist (
+                id ${m.types.id},
+                serial_number TEXT UNIQUE NOT NULL,
+                reason TEXT,
+                reporter TEXT,
+                reported_at TEXT,
+                added_by TEXT,
+                created_at ${m.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await m.exec(`
+            CREATE TABLE IF NOT EXISTS watchlist_hits (
+                id ${m.types.id},
+                serial_number TEXT NOT NULL,
+                serial_id INTEGER,
+                reason TEXT,
+                reporter TEXT,
+                method TEXT NOT NULL,
+                source TEXT,
+                operator TEXT,
+                created_at ${m.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+                acknowledged_at ${m.types.timestamp},
+                acknowledged_by TEXT
+            )
+        `);
+        await m.exec('CREATE INDEX IF NOT EXISTS idx_watchlist_hits_acknowledged ON watchlist_hits (acknowledged_at)');
+    }
+};
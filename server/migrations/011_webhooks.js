@@ -0,0 +1,37 @@
+// Outbound webhooks: subscriptions, and one row per delivery of an event to
+// a subscription (queued in the transaction of the change, sent afterwards)
+module.exports = {
+    async up(m) {
+        await m.exec(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id ${m.types.id},
+                url TEXT NOT NULL,
+                events TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                description TEXT,
+                active INTEGER DEFAULT 1,
+                created_by TEXT,
+                created_at ${m.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await m.exec(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id ${m.types.id},
+                webhook_id INTEGER NOT NULL,
+                event TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL,
+                attempts INTEGER DEFAULT 0,
+                next_attempt_at ${m.types.timestamp},
+                last_attempt_at ${m.types.timestamp},
+                response_status INTEGER,
+                response_body TEXT,
+                error TEXT,
+                redelivery_of INTEGER,
+                created_at ${m.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await m.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)');
+        await m.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id)');
+    }
+};
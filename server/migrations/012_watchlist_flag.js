@@ -0,0 +1,17 @@
+// A watchlist hit is marked in flagged_at instead of overwriting status, so a
+// pending OCR candidate stays in the review queue. Serials flagged before
+// this get their previous status back from the 'flag' audit entry.
+module.exports = {
+    async up(m) {
+        await m.addColumn('serials', 'flagged_at', m.types.timestamp);
+        const entries = await m.query("SELECT serial_id, old_value, created_at FROM audit_log WHERE action = 'flag' ORDER BY id ASC");
+        for (const entry of entries) {
+            const before = entry.old_value ? JSON.parse(entry.old_value) : null;
+            if (!before || !before.status || before.status === 'flagged') continue;
+            await m.query(
+                "UPDATE serials SET status = ?, flagged_at = ? WHERE id = ? AND status = 'flagged'",
+                [before.status, entry.created_at, entry.serial_id]
+            );
+        }
+    }
+};
@@ -0,0 +1,7 @@
+// When a dispatcher claimed a delivery for sending, so two servers (or two
+// runs) never send the same one, and a claim left by a crashed server expires
+module.exports = {
+    async up(m) {
+        await m.addColumn('webhook_deliveries', 'attempt_started_at', m.types.timestamp);
+    }
+};
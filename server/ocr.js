@@ -1,59 +1,214 @@
 // Lazy load dependencies to prevent startup crashes on Vercel
 // const Tesseract = require('tesseract.js');
 // const sharp = require('sharp');
-const fs = require('fs');
+const { correctWords } = require('./correction');
+const { preprocessImage, buildPipeline, estimateSkew } = require('./preprocess');
+const { getEngine } = require('./engines');
 
 /**
- * Preprocesses an image buffer to improve OCR accuracy.
- * Steps: Grayscale -> Resize (2x) -> Sharpen -> Thresholding
+ * Image quality gate.
+ *
+ * Every page is scored before OCR so that a bad photo is reported as such
+ * instead of silently producing zero matches. Each check can warn (OCR still
+ * runs) or reject (OCR is skipped and the reason is returned).
+ *
+ * Configuration (environment):
+ *   OCR_QUALITY_GATE  "reject" (default), "warn" (never skip OCR) or "off"
  */
-async function preprocessImage(imageBuffer) {
-    try {
-        const sharp = require('sharp');
-        return await sharp(imageBuffer)
-            .grayscale()
-            .resize({ width: 2000, withoutEnlargement: false }) // Upscale content
-            .sharpen()
-            .toBuffer();
-    } catch (err) {
-        console.error('Image preprocessing failed (sharp missing or error):', err.message);
-        return imageBuffer; // Fallback to original
+const QUALITY_GATE = ['reject', 'warn', 'off'].includes(process.env.OCR_QUALITY_GATE)
+    ? process.env.OCR_QUALITY_GATE
+    : 'reject';
+
+// Blur is measured at this width so scores do not depend on the camera resolution
+const QUALITY_SAMPLE_WIDTH = 1000;
+
+const QUALITY_THRESHOLDS = {
+    minShortSide: { reject: 300, warn: 800 },  // px, the shorter of width and height
+    blur: { reject: 20, warn: 60 },            // variance of the Laplacian
+    contrast: { reject: 8, warn: 25 },         // standard deviation of grey levels
+    brightness: { reject: 30, warn: 70 },      // mean grey level (too dark below)
+    skew: { warn: 5 }                          // degrees, when the preset does not deskew
+};
+
+/**
+ * Scores an image for blur, contrast, resolution and skew.
+ *
+ * @param {Buffer} imageBuffer - Page image as uploaded (before preprocessing).
+ * @param {{ deskews?: boolean }} [options] - Whether the preprocessing preset straightens the image.
+ * @returns {Promise<{ status: 'ok' | 'warn' | 'reject', scores: object,
+ *   issues: { check: string, level: 'warn' | 'reject', message: string }[] }>}
+ */
+async function assessQuality(imageBuffer, { deskews = false } = {}) {
+    const sharp = require('sharp');
+    const meta = await sharp(imageBuffer).metadata();
+    // EXIF orientations 5-8 are stored sideways
+    const [width, height] = (meta.orientation || 1) >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+
+    const { data, info } = await sharp(imageBuffer)
+        .rotate()
+        .grayscale()
+        .resize({ width: QUALITY_SAMPLE_WIDTH, withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const w = info.width;
+    const h = info.height;
+
+    let sum = 0;
+    let sumSq = 0;
+    for (let i = 0; i < data.length; i++) {
+        sum += data[i];
+        sumSq += data[i] * data[i];
     }
+    const brightness = sum / data.length;
+    const contrast = Math.sqrt(Math.max(0, sumSq / data.length - brightness * brightness));
+
+    // Variance of the 4-neighbour Laplacian: sharp edges give large responses
+    let lapSum = 0;
+    let lapSq = 0;
+    let n = 0;
+    for (let y = 1; y < h - 1; y++) {
+        for (let x = 1; x < w - 1; x++) {
+            const i = y * w + x;
+            const lap = data[i - w] + data[i + w] + data[i - 1] + data[i + 1] - 4 * data[i];
+            lapSum += lap;
+            lapSq += lap * lap;
+            n++;
+        }
+    }
+    const blur = n > 0 ? lapSq / n - (lapSum / n) ** 2 : 0;
+
+    const skew = await estimateSkew(imageBuffer);
+
+    const t = QUALITY_THRESHOLDS;
+    const issues = [];
+    const flag = (check, level, message) => issues.push({ check, level, message });
+
+    // Portrait and landscape scans alike: what limits legibility is the shorter side
+    const shortSide = Math.min(width, height);
+    if (shortSide < t.minShortSide.reject) {
+        flag('resolution', 'reject', `image too small (${width}×${height}, shorter side under ${t.minShortSide.reject}px) — scan or photograph at a higher resolution`);
+    } else if (shortSide < t.minShortSide.warn) {
+        flag('resolution', 'warn', `low resolution (${width}×${height}, shorter side under ${t.minShortSide.warn}px) — small print may be misread`);
+    }
+
+    if (brightness < t.brightness.reject) {
+        flag('brightness', 'reject', 'image too dark — retake with more light');
+    } else if (contrast < t.contrast.reject) {
+        // Underexposed photos lose contrast too; name the cause the user can fix
+        if (brightness < t.brightness.warn) {
+            flag('brightness', 'reject', 'image too dark — retake with more light');
+        } else {
+            flag('contrast', 'reject', 'image has almost no contrast (blank or washed out) — retake');
+        }
+    } else {
+        if (brightness < t.brightness.warn) flag('brightness', 'warn', 'image is dark — serials may be misread');
+        if (contrast < t.contrast.warn) flag('contrast', 'warn', 'low contrast — serials may be misread');
+
+        // A flat image also has no edges, so only judge blur once there is something to see
+        if (blur < t.blur.reject) {
+            flag('blur', 'reject', 'image too blurry — retake');
+        } else if (blur < t.blur.warn) {
+            flag('blur', 'warn', 'image is slightly blurry — check the serials carefully');
+        }
+    }
+
+    if (!deskews && Math.abs(skew) >= t.skew.warn) {
+        flag('skew', 'warn', `image is tilted by ${Math.abs(skew)}° — hold the camera straight or use a preset with deskew`);
+    }
+
+    const rejected = QUALITY_GATE === 'reject' && issues.some(i => i.level === 'reject');
+    return {
+        status: rejected ? 'reject' : issues.length > 0 ? 'warn' : 'ok',
+        scores: {
+            width,
+            height,
+            blur: Math.round(blur),
+            contrast: Math.round(contrast),
+            brightness: Math.round(brightness),
+            skew
+        },
+        issues
+    };
+}
+
+/**
+ * Converts a box on the recognised (preprocessed) image into fractions (0..1)
+ * of the page as uploaded, undoing the ROI crop; resizing does not change
+ * fractions. Deskewing rotates by a few degrees at most and is not undone,
+ * which is close enough to highlight a word.
+ */
+function toPageBox(bbox, width, height, roi) {
+    if (!bbox || !width || !height) return null;
+    const r = roi || { left: 0, top: 0, width: 1, height: 1 };
+    const fraction = v => Math.round(Math.min(1, Math.max(0, v)) * 10000) / 10000;
+    return {
+        x0: fraction(r.left + (bbox.x0 / width) * r.width),
+        y0: fraction(r.top + (bbox.y0 / height) * r.height),
+        x1: fraction(r.left + (bbox.x1 / width) * r.width),
+        y1: fraction(r.top + (bbox.y1 / height) * r.height)
+    };
 }
 
 /**
  * Extracts serial numbers from an image buffer.
- * Standard format: 2 letters, 8 digits, 1 letter (e.g., LB42836549R)
+ * Any layout in the format registry is recognised (e.g., LB42836549R, PF16306649*).
+ * Misread look-alike characters are corrected using the format's letter/digit layout.
+ * Returns { serials: [{ serial, format, confidence, corrections, raw, bbox }], quality },
+ * confidence in 0..1, bbox as fractions of the page ({ x0, y0, x1, y1 }, or null). `quality` is the assessQuality report (null if the gate is
+ * off or could not run); when it is rejected OCR is skipped and `serials` is empty.
+ * `onProgress` receives the engine's progress messages ({ status, progress }).
+ * `preprocess` selects the preprocessing preset and region of interest ({ preset, roi }).
+ * `page` is the page number within a multi-page document.
  */
-async function extractSerials(imageBuffer, filename) {
-    const processedImage = await preprocessImage(imageBuffer);
+async function extractSerials(imageBuffer, filename, { onProgress, preprocess, page } = {}) {
+    const label = page ? `${filename} p${page}` : filename;
 
-    let text = '';
+    let quality = null;
+    if (QUALITY_GATE !== 'off') {
+        try {
+            const deskews = buildPipeline(preprocess).some(s => s.step === 'deskew');
+            quality = await assessQuality(imageBuffer, { deskews });
+        } catch (err) {
+            console.error(`[OCR] ${label}: quality check failed, continuing without it:`, err.message);
+        }
+    }
+    if (quality && quality.issues.length > 0) {
+        console.log(`[OCR] ${label}: quality ${quality.status}: ${quality.issues.map(i => i.message).join('; ')}`);
+    }
+    if (quality && quality.status === 'reject') {
+        return { serials: [], quality };
+    }
+
+    const processedImage = await preprocessImage(imageBuffer, preprocess);
+
+    let words = [];
+    let size = {};
     try {
-        const Tesseract = require('tesseract.js');
-        const result = await Tesseract.recognize(processedImage, 'eng', {
-            logger: m => console.log(`[OCR] ${filename}: ${m.status} (${(m.progress * 100).toFixed(0)}%)`),
-            tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+        // Tesseract by default; OCR_ENGINE=fixture for offline, repeatable runs
+        const engine = getEngine();
+        const recognized = await engine.recognize(processedImage, {
+            source: { image: imageBuffer, filename, page },
+            onProgress: m => {
+                console.log(`[OCR] ${label}: ${m.status} (${(m.progress * 100).toFixed(0)}%)`);
+                if (onProgress) onProgress(m);
+            }
         });
-        text = result.data.text;
+        words = recognized.words;
+        size = { width: recognized.width, height: recognized.height };
     } catch (e) {
+        if (e.code === 'OCR_QUEUE_FULL') throw e;
         console.error("OCR Engine failed to load or run:", e);
         throw new Error("OCR Engine unavailable: " + e.message);
     }
 
-    // Extract candidates using regex
-    // Strict pattern: 2 letters, 8 numbers, 1 letter
-    const strictRegex = /\b[A-Z]{2}\d{8}[A-Z]\b/g;
-
-    // Clean text and find matches
-    const cleanText = text.replace(/[^A-Z0-9\s]/g, '').toUpperCase();
-    const matches = cleanText.match(strictRegex) || [];
-
-    // Deduplicate within this single file
-    const uniqueMatches = [...new Set(matches)];
+    // Match words against the registered formats, correcting look-alikes (deduplicated within this file)
+    const candidates = correctWords(words).map(c => ({
+        ...c,
+        bbox: toPageBox(c.bbox, size.width, size.height, preprocess && preprocess.roi)
+    }));
 
-    console.log(`[OCR] ${filename}: Found ${uniqueMatches.length} serials.`);
-    return uniqueMatches;
+    console.log(`[OCR] ${label}: Found ${candidates.length} serials.`);
+    return { serials: candidates, quality };
 }
 
-module.exports = { extractSerials };
+module.exports = { extractSerials, assessQuality, QUALITY_GATE };
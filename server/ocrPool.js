@@ -0,0 +1,163 @@
+const os = require('os');
+
+/**
+ * Long-lived pool of Tesseract workers.
+ *
+ * Creating a worker loads the WASM core and the `eng` traineddata, which costs
+ * far more than recognising a single receipt, so workers are created lazily on
+ * first demand and then reused. Tesseract's own scheduler is not used because
+ * it assigns job ids internally, which makes it impossible to route a worker's
+ * logger events back to the file being processed (needed for job progress).
+ *
+ * Configuration (environment):
+ *   OCR_POOL_SIZE    number of workers (default: CPU count, max 4)
+ *   OCR_QUEUE_LIMIT  max files waiting for a worker before new work is refused (default 200)
+ */
+
+const POOL_SIZE = Math.max(1, parseInt(process.env.OCR_POOL_SIZE) || Math.min(4, os.cpus().length));
+const QUEUE_LIMIT = Math.max(1, parseInt(process.env.OCR_QUEUE_LIMIT) || 200);
+
+const WHITELIST = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789*';
+
+/**
+ * Thrown when the pool cannot take more work; callers should retry later (HTTP 503).
+ */
+class QueueFullError extends Error {
+    constructor(message = 'OCR queue is full, try again later.') {
+        super(message);
+        this.name = 'QueueFullError';
+        this.code = 'OCR_QUEUE_FULL';
+    }
+}
+
+const slots = [];   // { worker, busy, onProgress }
+const queue = [];   // { image, onProgress, resolve, reject }
+let creating = 0;
+let shuttingDown = false;
+
+const createSlot = async () => {
+    creating++;
+    try {
+        const Tesseract = require('tesseract.js');
+        const slot = { worker: null, busy: false, onProgress: null };
+        slot.worker = await Tesseract.createWorker('eng', 1, {
+            // Forward to whichever task currently owns this worker
+            logger: m => { if (slot.onProgress) slot.onProgress(m); }
+        });
+        await slot.worker.setParameters({ tessedit_char_whitelist: WHITELIST });
+        slots.push(slot);
+        console.log(`[OCR pool] Worker ready (${slots.length}/${POOL_SIZE}).`);
+        return slot;
+    } finally {
+        creating--;
+    }
+};
+
+const removeSlot = async (slot) => {
+    const idx = slots.indexOf(slot);
+    if (idx !== -1) slots.splice(idx, 1);
+    try {
+        await slot.worker.terminate();
+    } catch (err) {
+        console.error('[OCR pool] Failed to terminate worker:', err.message);
+    }
+};
+
+const runOnSlot = async (slot, task) => {
+    slot.busy = true;
+    slot.onProgress = task.onProgress;
+    try {
+        // Block output carries word and symbol confidences
+        const result = await slot.worker.recognize(task.image, {}, { text: true, blocks: true });
+        task.resolve(result.data);
+    } catch (err) {
+        // A failed worker may be in a bad state; replace it on next demand
+        console.error('[OCR pool] Recognition failed, recycling worker:', err.message);
+        await removeSlot(slot);
+        task.reject(err);
+    } finally {
+        slot.busy = false;
+        slot.onProgress = null;
+        dispatch();
+    }
+};
+
+function dispatch() {
+    if (queue.length === 0) return;
+
+    const idle = slots.find(s => !s.busy);
+    if (idle) {
+        runOnSlot(idle, queue.shift());
+        dispatch();
+        return;
+    }
+
+    // Lazy warm-up: grow towards POOL_SIZE only while there is queued work
+    const waiting = queue.length;
+    if (!shuttingDown && slots.length + creating < POOL_SIZE && creating < waiting) {
+        createSlot()
+            .then(() => dispatch())
+            .catch(err => {
+                console.error('[OCR pool] Failed to start worker:', err);
+                // Nothing can run the queue if no worker exists at all
+                if (slots.length === 0 && creating === 0) {
+                    queue.splice(0).forEach(t => t.reject(new Error('OCR Engine unavailable: ' + err.message)));
+                }
+            });
+    }
+}
+
+/**
+ * Recognises an image on the next free worker.
+ * Resolves with Tesseract's page data (text and blocks).
+ */
+function recognize(image, { onProgress } = {}) {
+    if (shuttingDown) return Promise.reject(new Error('OCR pool is shutting down.'));
+    if (queue.length >= QUEUE_LIMIT) return Promise.reject(new QueueFullError());
+
+    return new Promise((resolve, reject) => {
+        queue.push({ image, onProgress, resolve, reject });
+        dispatch();
+    });
+}
+
+/**
+ * Pool size and current load, for backpressure decisions and /api/health.
+ */
+function stats() {
+    return {
+        size: POOL_SIZE,
+        workers: slots.length,
+        busy: slots.filter(s => s.busy).length,
+        queued: queue.length,
+        queueLimit: QUEUE_LIMIT
+    };
+}
+
+/**
+ * Starts all workers up front instead of on first use.
+ */
+async function warmUp() {
+    const missing = POOL_SIZE - slots.length - creating;
+    await Promise.all(Array.from({ length: Math.max(0, missing) }, () => createSlot()));
+    dispatch();
+}
+
+/**
+ * Stops accepting work, lets running recognitions finish (up to timeoutMs),
+ * rejects whatever is still queued and terminates the workers.
+ */
+async function shutdown({ timeoutMs = 30000 } = {}) {
+    shuttingDown = true;
+    queue.splice(0).forEach(t => t.reject(new Error('OCR pool is shutting down.')));
+
+    const deadline = Date.now() + timeoutMs;
+    while (slots.some(s => s.busy) && Date.now() < deadline) {
+        await new Promise(r => setTimeout(r, 100));
+    }
+
+    await Promise.all(slots.slice().map(removeSlot));
+    console.log('[OCR pool] Shut down.');
+}
+
+module.exports = { recognize, stats, warmUp, shutdown, QueueFullError, POOL_SIZE, QUEUE_LIMIT };
@@ -0,0 +1,278 @@
+// sharp is loaded lazily (see ocr.js) so a missing native module cannot crash startup
+
+/**
+ * Configurable image preprocessing for OCR.
+ *
+ * A pipeline is a list of steps, each turning an image buffer into a new
+ * (PNG) buffer. Steps are looked up by name in STEPS and pipelines are usually
+ * picked by preset name. runPipeline can keep every intermediate image so the
+ * effect of each step can be inspected (POST /api/preprocess/preview).
+ *
+ * Configuration (environment):
+ *   OCR_PRESET  preset used when an upload does not pick one (default "default")
+ */
+
+const DEFAULT_PRESET = process.env.OCR_PRESET || 'default';
+
+const loadSharp = () => require('sharp');
+
+/**
+ * Reads an image as 8-bit greyscale pixels.
+ * @returns {Promise<{ data: Buffer, width: number, height: number }>}
+ */
+async function readGray(buffer, { maxWidth } = {}) {
+    const sharp = loadSharp();
+    let img = sharp(buffer).grayscale();
+    if (maxWidth) img = img.resize({ width: maxWidth, withoutEnlargement: true });
+    const { data, info } = await img.raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+}
+
+const fromGray = (data, width, height) =>
+    loadSharp()(data, { raw: { width, height, channels: 1 } }).png().toBuffer();
+
+/**
+ * Estimates the skew of text lines in degrees (positive = lines run
+ * downhill to the right) using projection profiles: the angle whose
+ * row histogram of dark pixels is the most "peaky" is the text angle.
+ */
+async function estimateSkew(buffer, { maxAngle = 10 } = {}) {
+    const { data, width, height } = await readGray(buffer, { maxWidth: 600 });
+
+    let total = 0;
+    for (let i = 0; i < data.length; i++) total += data[i];
+    const cutoff = (total / data.length) * 0.75;
+
+    const xs = [];
+    const ys = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[y * width + x] < cutoff) {
+                xs.push(x);
+                ys.push(y);
+            }
+        }
+    }
+    if (xs.length < 50) return 0;
+
+    const score = (deg) => {
+        const t = Math.tan((deg * Math.PI) / 180);
+        const offset = Math.ceil(width * Math.abs(t));
+        const rows = new Float64Array(height + 2 * offset + 1);
+        for (let i = 0; i < xs.length; i++) {
+            rows[Math.round(ys[i] - xs[i] * t) + offset]++;
+        }
+        let sum = 0;
+        for (let i = 0; i < rows.length; i++) sum += rows[i] * rows[i];
+        return sum;
+    };
+
+    const search = (from, to, step) => {
+        let best = 0;
+        let bestScore = -1;
+        for (let deg = from; deg <= to + 1e-9; deg += step) {
+            const s = score(deg);
+            if (s > bestScore) {
+                bestScore = s;
+                best = deg;
+            }
+        }
+        return best;
+    };
+
+    const coarse = search(-maxAngle, maxAngle, 0.5);
+    return Math.round(search(coarse - 0.5, coarse + 0.5, 0.1) * 10) / 10 || 0;
+}
+
+/**
+ * Available steps. Each takes (buffer, options) and resolves with a PNG buffer.
+ */
+const STEPS = {
+    // Apply EXIF orientation (phone photos are often stored sideways)
+    autoOrient: async (buffer) => loadSharp()(buffer).rotate().png().toBuffer(),
+
+    grayscale: async (buffer) => loadSharp()(buffer).grayscale().png().toBuffer(),
+
+    // Upscale so small print has enough pixels per character
+    resize: async (buffer, { width = 2000 } = {}) =>
+        loadSharp()(buffer).resize({ width, withoutEnlargement: false }).png().toBuffer(),
+
+    // Straighten text lines; skips tiny angles to avoid needless resampling
+    deskew: async (buffer, { minAngle = 0.3, maxAngle = 10 } = {}) => {
+        const angle = await estimateSkew(buffer, { maxAngle });
+        if (Math.abs(angle) < minAngle) return loadSharp()(buffer).png().toBuffer();
+        return loadSharp()(buffer).rotate(-angle, { background: '#ffffff' }).png().toBuffer();
+    },
+
+    // Local-mean (Bradley) thresholding: copes with shadows and uneven lighting
+    threshold: async (buffer, { window = 31, k = 0.15 } = {}) => {
+        const { data, width, height } = await readGray(buffer);
+        const w = width + 1;
+        const integral = new Float64Array(w * (height + 1));
+        for (let y = 1; y <= height; y++) {
+            let rowSum = 0;
+            for (let x = 1; x <= width; x++) {
+                rowSum += data[(y - 1) * width + (x - 1)];
+                integral[y * w + x] = integral[(y - 1) * w + x] + rowSum;
+            }
+        }
+
+        const half = Math.floor(window / 2);
+        const out = Buffer.alloc(width * height);
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - half);
+            const y1 = Math.min(height, y + half + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - half);
+                const x1 = Math.min(width, x + half + 1);
+                const area = (y1 - y0) * (x1 - x0);
+                const sum = integral[y1 * w + x1] - integral[y0 * w + x1] - integral[y1 * w + x0] + integral[y0 * w + x0];
+                out[y * width + x] = data[y * width + x] * area < sum * (1 - k) ? 0 : 255;
+            }
+        }
+        return fromGray(out, width, height);
+    },
+
+    denoise: async (buffer, { size = 3 } = {}) => loadSharp()(buffer).median(size).png().toBuffer(),
+
+    // Region of interest as fractions of the image: { left, top, width, height } in 0..1
+    crop: async (buffer, { left = 0, top = 0, width = 1, height = 1 } = {}) => {
+        const sharp = loadSharp();
+        const meta = await sharp(buffer).metadata();
+        const region = {
+            left: Math.round(meta.width * Math.min(Math.max(left, 0), 1)),
+            top: Math.round(meta.height * Math.min(Math.max(top, 0), 1))
+        };
+        region.width = Math.max(1, Math.min(meta.width - region.left, Math.round(meta.width * width)));
+        region.height = Math.max(1, Math.min(meta.height - region.top, Math.round(meta.height * height)));
+        return sharp(buffer).extract(region).png().toBuffer();
+    },
+
+    // For light text on a dark background
+    invert: async (buffer) => loadSharp()(buffer).negate({ alpha: false }).png().toBuffer(),
+
+    sharpen: async (buffer) => loadSharp()(buffer).sharpen().png().toBuffer()
+};
+
+/**
+ * Named pipelines. `default` matches the original fixed preprocessing
+ * (plus orientation), so existing uploads behave as before.
+ */
+const PRESETS = {
+    default: {
+        label: 'Default',
+        steps: ['autoOrient', 'grayscale', { step: 'resize', options: { width: 2000 } }, 'sharpen']
+    },
+    phone: {
+        label: 'Phone photo (angled, uneven light)',
+        steps: ['autoOrient', 'grayscale', { step: 'resize', options: { width: 2000 } }, 'deskew', 'denoise', 'threshold']
+    },
+    scan: {
+        label: 'Flatbed scan / PDF',
+        steps: ['grayscale', { step: 'resize', options: { width: 2000 } }, 'deskew', 'threshold']
+    },
+    inverted: {
+        label: 'Light text on dark background',
+        steps: ['autoOrient', 'grayscale', { step: 'resize', options: { width: 2000 } }, 'invert', 'sharpen']
+    },
+    none: {
+        label: 'No preprocessing',
+        steps: []
+    }
+};
+
+const normalizeStep = (s) => (typeof s === 'string' ? { step: s, options: {} } : { options: {}, ...s });
+
+/**
+ * Resolves a preset (and optional region of interest) into a list of steps.
+ * The crop runs right after orientation so later steps only see the region.
+ * Throws if the preset is unknown.
+ */
+function buildPipeline({ preset = DEFAULT_PRESET, roi } = {}) {
+    const def = PRESETS[preset];
+    if (!def) throw new Error(`Unknown preprocessing preset "${preset}".`);
+
+    const steps = def.steps.map(normalizeStep);
+    if (roi) {
+        const at = steps.length > 0 && steps[0].step === 'autoOrient' ? 1 : 0;
+        steps.splice(at, 0, { step: 'crop', options: roi });
+    }
+    return steps;
+}
+
+/**
+ * Runs steps over an image.
+ *
+ * @param {Buffer} buffer
+ * @param {{ step: string, options?: object }[]} steps
+ * @param {{ debug?: boolean }} [options] - Keep each step's output image.
+ * @returns {Promise<{ buffer: Buffer, steps: { name: string, ms: number, output?: Buffer }[] }>}
+ */
+async function runPipeline(buffer, steps, { debug = false } = {}) {
+    let current = buffer;
+    const trace = [];
+    for (const { step, options } of steps) {
+        const fn = STEPS[step];
+        if (!fn) throw new Error(`Unknown preprocessing step "${step}".`);
+        const started = Date.now();
+        current = await fn(current, options || {});
+        trace.push({ name: step, options: options || {}, ms: Date.now() - started, ...(debug ? { output: current } : {}) });
+    }
+    return { buffer: current, steps: trace };
+}
+
+/**
+ * Preprocesses an image buffer to improve OCR accuracy, using the given
+ * preset and region of interest. Falls back to the original image if
+ * processing fails (e.g. sharp missing).
+ */
+async function preprocessImage(imageBuffer, options = {}) {
+    try {
+        const { buffer } = await runPipeline(imageBuffer, buildPipeline(options));
+        return buffer;
+    } catch (err) {
+        console.error('Image preprocessing failed (sharp missing or error):', err.message);
+        return imageBuffer; // Fallback to original
+    }
+}
+
+/**
+ * Presets for pickers in the UI.
+ */
+function listPresets() {
+    return Object.entries(PRESETS).map(([name, def]) => ({
+        name,
+        label: def.label,
+        steps: def.steps.map(s => normalizeStep(s).step),
+        default: name === DEFAULT_PRESET
+    }));
+}
+
+/**
+ * Validates a region of interest from a request: fractions in 0..1.
+ * Returns the ROI, null if absent, or throws on bad input.
+ */
+function parseRoi(value) {
+    if (value == null || value === '') return null;
+    const roi = typeof value === 'string' ? JSON.parse(value) : value;
+    for (const key of ['left', 'top', 'width', 'height']) {
+        const v = roi[key];
+        if (typeof v !== 'number' || v < 0 || v > 1) {
+            throw new Error(`roi.${key} must be a number between 0 and 1.`);
+        }
+    }
+    if (roi.width === 0 || roi.height === 0) throw new Error('roi must have a non-zero size.');
+    return { left: roi.left, top: roi.top, width: roi.width, height: roi.height };
+}
+
+module.exports = {
+    STEPS,
+    PRESETS,
+    DEFAULT_PRESET,
+    buildPipeline,
+    runPipeline,
+    preprocessImage,
+    listPresets,
+    parseRoi,
+    estimateSkew
+};
@@ -0,0 +1,227 @@
+/**
+ * The records listing behind GET /api/records: filters, sorting and
+ * keyset (cursor) pagination.
+ *
+ * Text matching is case-insensitive on both databases (LOWER() on each side,
+ * as LIKE is case-sensitive on Postgres only). Pages are cut by the position
+ * of the last row seen rather than an offset, so paging stays fast on large
+ * tables and rows do not shift between pages while data changes. A cursor is
+ * the sort value and id of a row, opaque to clients.
+ */
+const { normalizeSerial } = require('./formats');
+const { rangeCondition } = require('./runs');
+const { NOT_DELETED } = require('./trash');
+const { SIGHTING_COUNT } = require('./sightings');
+const { timeRange, isTime, sqliteTime } = require('./times');
+const dbModule = require('./db');
+
+// Timestamps sort as text, so a cursor carries the stored value exactly:
+// Postgres would hand back a Date, losing the microseconds and shifting
+// with the time zone. Fixed-width text sorts in time order; SQLite values
+// it cannot read as times sort as they are.
+const timestampText = (column) => (dbModule.isPostgres
+    ? `COALESCE(to_char(${column}, 'YYYY-MM-DD HH24:MI:SS.US'), '')`
+    : `COALESCE(${sqliteTime(column)}, ${column}, '')`);
+
+// Sortable columns and the expression each sorts on (NULLs as '' so cursors can compare them)
+const SORT_COLUMNS = {
+    id: 'id',
+    serial_number: 'serial_number',
+    extracted_at: timestampText('extracted_at'),
+    deleted_at: timestampText('deleted_at'),
+    status: "COALESCE(status, '')",
+    format: "COALESCE(format, '')",
+    source_filename: "COALESCE(source_filename, '')",
+    series: "COALESCE(series, '')",
+    district: "COALESCE(district, '')",
+    sightings: SIGHTING_COUNT
+};
+
+const MAX_LIMIT = 100;
+
+/**
+ * Raised for query parameters that cannot be used; reported as 400.
+ */
+class RecordsQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RecordsQueryError';
+        this.status = 400;
+    }
+}
+
+// Wildcards typed by the user are matched literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, ch => `\\${ch}`);
+const contains = (column, value) => ({
+    sql: `LOWER(${column}) LIKE ? ESCAPE '\\'`,
+    param: `%${escapeLike(String(value).toLowerCase())}%`
+});
+
+// Comma separated values, as a list
+const listParam = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+const checkDate = (value, name) => {
+    if (!isTime(value)) throw new RecordsQueryError(`${name} must be a date (YYYY-MM-DD) or ISO timestamp.`);
+    return value;
+};
+
+/**
+ * SQL conditions for the filters in a request's query string:
+ *   q            serial number contains
+ *   status       one or more statuses, comma separated ('flagged' also
+ *                matches watchlist hits, whatever their status)
+ *   format       one or more format names, comma separated
+ *   source       source filename contains
+ *   since/until  extraction date range (inclusive; dates or ISO timestamps)
+ *   series       series year, e.g. 2013
+ *   district     Federal Reserve district letter (A-L)
+ *   from/to      serial range, inclusive, same prefix and suffix
+ * @returns {{ where: string[], params: any[] }}
+ * @throws {RecordsQueryError}
+ */
+function filterConditions(query) {
+    const where = [];
+    const params = [];
+    const add = (sql, ...values) => {
+        where.push(sql);
+        params.push(...values);
+    };
+
+    if (query.q) {
+        const { sql, param } = contains('serial_number', query.q);
+        add(sql, param);
+    }
+    if (query.status) {
+        const statuses = listParam(query.status).map(s => s.toLowerCase());
+        const inList = `status IN (${statuses.map(() => '?').join(', ')})`;
+        add(statuses.includes('flagged') ? `(${inList} OR flagged_at IS NOT NULL)` : inList, ...statuses);
+    }
+    if (query.format) {
+        const names = listParam(query.format).map(f => f.toLowerCase());
+        add(`LOWER(format) IN (${names.map(() => '?').join(', ')})`, ...names);
+    }
+    if (query.source) {
+        const { sql, param } = contains('source_filename', query.source);
+        add(sql, param);
+    }
+    if (query.since || query.until) {
+        const range = timeRange('extracted_at', {
+            since: query.since && checkDate(query.since, 'since'),
+            until: query.until && checkDate(query.until, 'until')
+        });
+        where.push(...range.where);
+        params.push(...range.params);
+    }
+    if (query.series) {
+        add('series = ?', String(query.series).toUpperCase());
+    }
+    if (query.district) {
+        add('district = ?', String(query.district).toUpperCase());
+    }
+    if (query.from || query.to) {
+        const range = rangeCondition(normalizeSerial(query.from), normalizeSerial(query.to));
+        if (!range) throw new RecordsQueryError('A range needs serials with the same prefix, suffix and number of digits.');
+        add(range.sql, ...range.params);
+    }
+    return { where, params };
+}
+
+const toRecord = (row) => {
+    const record = {
+        ...row,
+        confidence: row.confidence == null ? null : Number(row.confidence),
+        bbox: row.bbox ? JSON.parse(row.bbox) : null,
+        sightings: Number(row.sightings)
+    };
+    delete record.sort_value;
+    return record;
+};
+
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.sort_value, row.id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!Number.isInteger(id)) throw new Error('bad id');
+        return { value, id };
+    } catch {
+        throw new RecordsQueryError('Invalid cursor.');
+    }
+};
+
+/**
+ * One page of records.
+ *
+ * Besides the filters of filterConditions(), the query string takes:
+ *   sort, order  column (see SORT_COLUMNS) and asc|desc; ties are broken on id
+ *   limit        rows per page (default 20, max 100)
+ *   after        cursor of the last row of the previous page (nextCursor)
+ *   before       cursor of the first row of the following page (prevCursor)
+ *
+ * @param {object} q - dbModule or a transaction.
+ * @param {object} query - The request's query string.
+ * @param {{ inTrash?: boolean, defaultSort?: string, defaultOrder?: 'asc'|'desc' }} [options]
+ *   `inTrash` lists deleted records instead of the others.
+ * @returns {Promise<{ data: object[], pagination: object, sort: object }>}
+ * @throws {RecordsQueryError}
+ */
+async function listRecords(q, query, { inTrash = false, defaultSort = 'id', defaultOrder = 'desc' } = {}) {
+    const sort = query.sort || defaultSort;
+    if (!SORT_COLUMNS[sort]) throw new RecordsQueryError(`Cannot sort by "${sort}".`);
+    const order = (query.order || defaultOrder).toLowerCase();
+    if (!['asc', 'desc'].includes(order)) throw new RecordsQueryError('order must be asc or desc.');
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || 20));
+    if (query.after && query.before) throw new RecordsQueryError('Use either after or before, not both.');
+
+    const filters = filterConditions(query);
+    const where = [inTrash ? 'deleted_at IS NOT NULL' : NOT_DELETED, ...filters.where];
+    const params = [...filters.params];
+
+    const totalResult = await q.get(`SELECT COUNT(*) as total FROM serials WHERE ${where.join(' AND ')}`, params);
+    const totalRecords = Number(totalResult ? totalResult.total : 0);
+
+    // Going back reads the rows before the cursor in reverse, then flips them
+    const backwards = !!query.before;
+    const cursor = query.after || query.before;
+    const expression = SORT_COLUMNS[sort];
+    const ascending = (order === 'asc') !== backwards;
+    if (cursor) {
+        const { value, id } = decodeCursor(cursor);
+        const op = ascending ? '>' : '<';
+        where.push(`(${expression} ${op} ? OR (${expression} = ? AND id ${op} ?))`);
+        params.push(value, value, id);
+    }
+    const direction = ascending ? 'ASC' : 'DESC';
+
+    const rows = await q.all(`
+        SELECT id, serial_number, source_filename, source_page, extracted_at, status, format, confidence, receipt_hash, bbox, deleted_at,
+            flagged_at, series, district, ${SIGHTING_COUNT} AS sightings, ${expression} AS sort_value
+        FROM serials
+        WHERE ${where.join(' AND ')}
+        ORDER BY ${expression} ${direction}, id ${direction}
+        LIMIT ?
+    `, [...params, limit + 1]);
+
+    const more = rows.length > limit;
+    const page = rows.slice(0, limit);
+    if (backwards) page.reverse();
+
+    // Going back, there is always a next page: the one we came from
+    const hasNext = backwards || more;
+    const hasPrev = backwards ? more : !!query.after;
+    const first = page[0];
+    const last = page[page.length - 1];
+
+    return {
+        data: page.map(toRecord),
+        pagination: {
+            limit,
+            totalRecords,
+            nextCursor: hasNext && last ? encodeCursor(last) : null,
+            prevCursor: hasPrev && first ? encodeCursor(first) : null
+        },
+        sort: { by: sort, order }
+    };
+}
+
+module.exports = { listRecords, filterConditions, escapeLike, RecordsQueryError, SORT_COLUMNS };
@@ -0,0 +1,126 @@
+/**
+ * Serial ranges and sequential runs.
+ *
+ * A serial is read as prefix letters, a number and a suffix (letter or star):
+ * PL25936418B is PL + 25936418 + B. Serials are only ever in sequence with
+ * others that share the prefix, the suffix and the number of digits.
+ */
+const { NOT_DELETED } = require('./trash');
+
+const SERIAL_PARTS = /^([A-Z]*)(\d+)(\D*)$/;
+
+/**
+ * { prefix, number, width, suffix } for a serial, or null if it has no number.
+ */
+function splitSerial(serial) {
+    const match = SERIAL_PARTS.exec(serial);
+    if (!match) return null;
+    return { prefix: match[1], number: Number(match[2]), width: match[2].length, suffix: match[3] };
+}
+
+const joinSerial = ({ prefix, width, suffix }, number) => `${prefix}${String(number).padStart(width, '0')}${suffix}`;
+
+const sameSequence = (a, b) => a.prefix === b.prefix && a.width === b.width && a.suffix === b.suffix;
+
+/**
+ * SQL condition for serials from `from` to `to` (inclusive; either may be
+ * left out), as { sql, params }. Only serials with the same prefix and
+ * suffix are included. Returns null if the bounds have no number or belong
+ * to different sequences.
+ */
+function rangeCondition(from, to) {
+    const low = from ? splitSerial(from) : null;
+    const high = to ? splitSerial(to) : null;
+    if ((from && !low) || (to && !high) || (!low && !high)) return null;
+    if (low && high && !sameSequence(low, high)) return null;
+
+    const parts = low || high;
+    let [lowSerial, highSerial] = [from, to];
+    if (low && high && low.number > high.number) [lowSerial, highSerial] = [to, from];
+
+    // Same prefix, suffix and length means serials compare in number order as text
+    const where = ['serial_number LIKE ?', 'LENGTH(serial_number) = ?'];
+    const params = [`${parts.prefix}%${parts.suffix}`, parts.prefix.length + parts.width + parts.suffix.length];
+    if (lowSerial) { where.push('serial_number >= ?'); params.push(lowSerial); }
+    if (highSerial) { where.push('serial_number <= ?'); params.push(highSerial); }
+    return { sql: where.join(' AND '), params };
+}
+
+/**
+ * Groups serials into runs: serials of one sequence whose neighbours are at
+ * most `maxGap` numbers apart. Each run lists its bundles (stretches of
+ * consecutive serials) and the gaps between them. Runs with fewer than
+ * `minCount` serials are left out.
+ * @param {string[]} serials
+ * @returns {object[]} Runs in serial order.
+ */
+function findRuns(serials, { maxGap = 100, minCount = 2 } = {}) {
+    const sequences = new Map();
+    for (const serial of serials) {
+        const parts = splitSerial(serial);
+        if (!parts) continue;
+        const key = `${parts.prefix}|${parts.width}|${parts.suffix}`;
+        if (!sequences.has(key)) sequences.set(key, { parts, numbers: [] });
+        sequences.get(key).numbers.push(parts.number);
+    }
+
+    const runs = [];
+    const keys = [...sequences.keys()].sort();
+    for (const key of keys) {
+        const { parts, numbers } = sequences.get(key);
+        numbers.sort((a, b) => a - b);
+
+        let bundles = [];
+        const closeRun = () => {
+            const count = bundles.reduce((total, b) => total + b.last - b.first + 1, 0);
+            if (count >= minCount) runs.push(describeRun(parts, bundles, count));
+            bundles = [];
+        };
+        for (const number of numbers) {
+            const bundle = bundles[bundles.length - 1];
+            if (bundle && number === bundle.last) continue;
+            if (bundle && number === bundle.last + 1) {
+                bundle.last = number;
+            } else if (bundle && number - bundle.last - 1 <= maxGap) {
+                bundles.push({ first: number, last: number });
+            } else {
+                if (bundle) closeRun();
+                bundles.push({ first: number, last: number });
+            }
+        }
+        if (bundles.length > 0) closeRun();
+    }
+    return runs;
+}
+
+function describeRun(parts, bundles, count) {
+    const first = bundles[0].first;
+    const last = bundles[bundles.length - 1].last;
+    const gaps = bundles.slice(1).map((bundle, i) => ({
+        from: joinSerial(parts, bundles[i].last + 1),
+        to: joinSerial(parts, bundle.first - 1),
+        missing: bundle.first - bundles[i].last - 1
+    }));
+    return {
+        first: joinSerial(parts, first),
+        last: joinSerial(parts, last),
+        count,
+        missing: last - first + 1 - count,
+        bundles: bundles.map(b => ({ first: joinSerial(parts, b.first), last: joinSerial(parts, b.last), count: b.last - b.first + 1 })),
+        gaps
+    };
+}
+
+/**
+ * Runs among the stored serials (trash excluded). `where`/`params` narrow
+ * the serials considered, e.g. to a range or a series.
+ */
+async function listRuns(q, { where = [], params = [], maxGap, minCount } = {}) {
+    const rows = await q.all(
+        `SELECT serial_number FROM serials WHERE ${[NOT_DELETED, ...where].join(' AND ')}`,
+        params
+    );
+    return findRuns(rows.map(r => r.serial_number), { maxGap, minCount });
+}
+
+module.exports = { splitSerial, rangeCondition, findRuns, listRuns };
@@ -0,0 +1,58 @@
+/**
+ * Sightings: every time a serial is seen, on a receipt (ocr), typed in
+ * (manual) or in an import, kept alongside its one canonical row in `serials`.
+ *
+ * All functions take `q`, which is dbModule or a transaction (see db.js).
+ */
+
+const METHODS = ['ocr', 'manual', 'import'];
+
+// Correlated count for SELECTs on serials: `SELECT ..., ${SIGHTING_COUNT} AS sightings FROM serials`
+const SIGHTING_COUNT = '(SELECT COUNT(*) FROM sightings WHERE sightings.serial_id = serials.id)';
+
+/**
+ * Records that `serial` was seen. Returns false (and records nothing) when the
+ * serial has no row or its row is in the trash, or when this is the same
+ * evidence seen again: the same receipt page uploaded twice, or an import row
+ * with the same date.
+ */
+async function recordSighting(q, { serial, method, source = null, receiptHash = null, page = null, operator = null, seenAt = null }) {
+    if (!METHODS.includes(method)) throw new Error(`Unknown sighting method "${method}".`);
+
+    // Same condition as NOT_DELETED in trash.js, which requires this module
+    const row = await q.get('SELECT id FROM serials WHERE serial_number = ? AND deleted_at IS NULL', [serial]);
+    if (!row) return false;
+
+    let repeat = null;
+    if (receiptHash) {
+        repeat = await q.get('SELECT id FROM sightings WHERE serial_id = ? AND receipt_hash = ? AND page = ?', [row.id, receiptHash, page]);
+    } else if (method === 'import' && seenAt) {
+        repeat = await q.get('SELECT id FROM sightings WHERE serial_id = ? AND method = ? AND seen_at = ?', [row.id, method, seenAt]);
+    }
+    if (repeat) return false;
+
+    await q.run(
+        'INSERT INTO sightings (serial_id, method, source, receipt_hash, page, operator, seen_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [row.id, method, source, receiptHash, page, operator, seenAt || new Date().toISOString()]
+    );
+    return true;
+}
+
+/**
+ * Timeline of one serial, oldest first.
+ */
+async function listSightings(q, serialId) {
+    return q.all(
+        'SELECT id, method, source, receipt_hash, page, operator, seen_at FROM sightings WHERE serial_id = ? ORDER BY seen_at ASC, id ASC',
+        [serialId]
+    );
+}
+
+/**
+ * Removes the sightings of a serial whose row is being deleted.
+ */
+async function deleteSightings(q, serialId) {
+    await q.run('DELETE FROM sightings WHERE serial_id = ?', [serialId]);
+}
+
+module.exports = { recordSighting, listSightings, deleteSightings, SIGHTING_COUNT, METHODS };
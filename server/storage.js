@@ -0,0 +1,65 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Local fallback when Vercel Blob is not configured (self-hosted / dev).
+// UPLOAD_DIR puts it elsewhere (the tests use a throwaway one)
+const UPLOAD_DIR = process.env.UPLOAD_DIR ? path.resolve(process.env.UPLOAD_DIR) : path.join(__dirname, 'uploads');
+
+/**
+ * SHA-256 of a receipt's contents (hex). Receipts are identified by this.
+ */
+function hashReceipt(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Storage name for a receipt: its hash plus the original extension, so two
+ * receipts that share a filename cannot overwrite each other and the same
+ * receipt is only ever stored once.
+ */
+function receiptKey(hash, filename = '') {
+    const ext = path.extname(filename).toLowerCase().replace(/[^.a-z0-9]/g, '');
+    return hash + ext;
+}
+
+/**
+ * Stores a receipt file and returns a URL the client can load it from.
+ * Uses Vercel Blob when BLOB_READ_WRITE_TOKEN is set, otherwise the local
+ * uploads directory (served by GET /api/receipts/files/:name). Falls back to
+ * the bare filename if neither works, as before.
+ */
+async function saveReceipt(name, buffer) {
+    if (process.env.BLOB_READ_WRITE_TOKEN) {
+        try {
+            const { put } = require('@vercel/blob');
+            // Names are content hashes, so overwriting only ever rewrites identical bytes
+            const blob = await put('receipts/' + name, buffer, { access: 'public', addRandomSuffix: false, allowOverwrite: true });
+            console.log(`Uploaded to Blob: ${blob.url}`);
+            return blob.url;
+        } catch (blobErr) {
+            console.error('Blob upload failed, using filename:', blobErr);
+            return name;
+        }
+    }
+
+    try {
+        const safeName = path.basename(name);
+        fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+        fs.writeFileSync(path.join(UPLOAD_DIR, safeName), buffer);
+        return `/api/receipts/files/${encodeURIComponent(safeName)}`;
+    } catch (err) {
+        console.error('Local receipt storage failed, using filename:', err.message);
+        return name;
+    }
+}
+
+/**
+ * Absolute path of a locally stored receipt, or null if it does not exist.
+ */
+function localReceiptPath(name) {
+    const filePath = path.join(UPLOAD_DIR, path.basename(name));
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+module.exports = { saveReceipt, hashReceipt, receiptKey, localReceiptPath, UPLOAD_DIR };
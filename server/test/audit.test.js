@@ -0,0 +1,39 @@
+const { startApp } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let app;
+
+before(async () => {
+    app = await startApp();
+    const added = await app.request('POST', '/api/serials/batch', { serials: ['PL30000001A'] });
+    assert.equal(added.status, 200);
+});
+
+after(() => app && app.close());
+
+const entriesFor = async (query) => {
+    const res = await app.request('GET', `/api/audit?serial=PL30000001A&${query}`);
+    assert.equal(res.status, 200);
+    return res.body.data;
+};
+
+test('a date-only until includes the whole of that day', async () => {
+    const { created_at: createdAt } = await app.db.get('SELECT created_at FROM audit_log ORDER BY id DESC LIMIT 1');
+    const day = new Date(createdAt).toISOString().slice(0, 10);
+    const previous = new Date(Date.parse(`${day}T00:00:00Z`) - 86400000).toISOString().slice(0, 10);
+
+    assert.equal((await entriesFor(`until=${day}`)).length, 1);
+    assert.equal((await entriesFor(`since=${day}&until=${day}`)).length, 1);
+    assert.equal((await entriesFor(`until=${previous}`)).length, 0);
+});
+
+test('timestamps compare as times, not as text', async () => {
+    assert.equal((await entriesFor(`since=${new Date(Date.now() - 3600000).toISOString()}`)).length, 1);
+    assert.equal((await entriesFor(`until=${new Date(Date.now() - 3600000).toISOString()}`)).length, 0);
+});
+
+test('since and until must be dates', async () => {
+    const res = await app.request('GET', '/api/audit?until=yesterday');
+    assert.equal(res.status, 400);
+});
@@ -0,0 +1,60 @@
+const { startApp } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// Each sample receipt <name>.png comes with the words the fixture engine
+// reads from it (<name>.txt) and what the upload should produce (<name>.expected.json)
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'ocr');
+
+let app;
+
+before(async () => {
+    app = await startApp();
+});
+
+after(() => app && app.close());
+
+const upload = async (name) => {
+    const form = new FormData();
+    form.append('receipts', new Blob([fs.readFileSync(path.join(FIXTURES, name))], { type: 'image/png' }), name);
+    const started = await app.request('POST', '/api/extract', form);
+    assert.equal(started.status, 202);
+
+    for (;;) {
+        const { body: job } = await app.request('GET', `/api/jobs/${started.body.jobId}`);
+        if (['completed', 'failed', 'cancelled'].includes(job.status)) return job;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+};
+
+test('a receipt read by the fixture engine queues its serials for review, corrected', async () => {
+    const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'receipt-basic.expected.json'), 'utf8'));
+    const job = await upload('receipt-basic.png');
+    assert.equal(job.status, 'completed');
+    assert.equal(job.summary.inserted, expected.new);
+    assert.equal(job.summary.duplicates, expected.duplicates);
+
+    const [result] = job.summary.results;
+    assert.equal(result.rejected, false);
+    assert.equal(result.found, expected.found);
+    assert.deepEqual(
+        result.serials.map(({ serial, format, confidence, corrections, note }) => ({ serial, format, confidence, corrections, note })),
+        expected.serials
+    );
+
+    const stored = await app.db.all('SELECT serial_number, status, format, corrections FROM serials ORDER BY id');
+    assert.deepEqual(stored.map(row => ({ ...row, corrections: JSON.parse(row.corrections) })), expected.serials.map(s => ({
+        serial_number: s.serial,
+        status: 'pending',
+        format: s.format,
+        corrections: s.corrections
+    })));
+
+    const { body: queue } = await app.request('GET', '/api/review');
+    assert.deepEqual(
+        queue.data.map(({ serial_number, confidence, corrections }) => ({ serial: serial_number, confidence, corrections })),
+        expected.serials.map(({ serial, confidence, corrections }) => ({ serial, confidence, corrections }))
+    );
+});
@@ -0,0 +1,68 @@
+/**
+ * Shared setup for the API tests: a throwaway SQLite database and uploads
+ * directory, the fixture OCR engine (fixtures in server/fixtures/ocr), and a
+ * client logged in as admin to the app on a free port.
+ *
+ * Require this before anything from the server: the database is opened as
+ * soon as db.js is first loaded.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'serialmanager-test-'));
+process.env.SQLITE_PATH = path.join(tmpDir, 'serials.db');
+process.env.UPLOAD_DIR = path.join(tmpDir, 'uploads');
+process.env.OCR_ENGINE = 'fixture';
+
+// The SQLite connection logs every statement; TEST_VERBOSE=1 shows them
+if (!process.env.TEST_VERBOSE) console.log = () => {};
+
+/**
+ * Starts the app and sets up the first admin.
+ * @returns {Promise<{ request: Function, db: object, close: Function }>}
+ *   request(method, url, body) resolves with { status, body }; a FormData
+ *   body is sent as multipart, anything else as JSON.
+ */
+async function startApp() {
+    const app = require('../index');
+    const dbModule = require('../db');
+    await dbModule.ready();
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    let cookie = '';
+    const request = async (method, url, body) => {
+        const headers = cookie ? { cookie } : {};
+        let payload = body;
+        if (body !== undefined && !(body instanceof FormData)) {
+            headers['Content-Type'] = 'application/json';
+            payload = JSON.stringify(body);
+        }
+        const res = await fetch(base + url, { method, headers, body: payload });
+        const setCookie = res.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+        const text = await res.text();
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            data = text;
+        }
+        return { status: res.status, body: data };
+    };
+
+    const setup = await request('POST', '/api/auth/setup', { username: 'admin', password: 'password1' });
+    if (setup.status >= 300) throw new Error(`Admin setup failed: ${JSON.stringify(setup.body)}`);
+
+    const close = async () => {
+        await new Promise(resolve => server.close(resolve));
+        dbModule.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    };
+    return { request, db: dbModule, close };
+}
+
+module.exports = { startApp, tmpDir };
@@ -0,0 +1,37 @@
+// Vercel freezes the function once it responds, so jobs run before the response there
+process.env.VERCEL = '1';
+
+const { startApp } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const RECEIPT = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'ocr', 'receipt-basic.png'));
+
+let app;
+
+before(async () => {
+    app = await startApp();
+});
+
+after(() => app && app.close());
+
+const uploadOf = (count) => {
+    const form = new FormData();
+    for (let i = 0; i < count; i++) form.append('receipts', new Blob([RECEIPT], { type: 'image/png' }), 'receipt-basic.png');
+    return form;
+};
+
+test('on Vercel an upload is read before the response', async () => {
+    const res = await app.request('POST', '/api/extract', uploadOf(1));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.job.status, 'completed');
+    assert.equal(res.body.job.summary.inserted, 3);
+});
+
+test('on Vercel an upload too large to read in time is refused', async () => {
+    const res = await app.request('POST', '/api/extract', uploadOf(3));
+    assert.equal(res.status, 413);
+    assert.match(res.body.error, /at most 2 receipt/);
+});
@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { assessQuality } = require('../ocr');
+
+// A page of black blocks on white: sharp, high contrast, straight
+const page = (width, height) => {
+    const blocks = Array.from({ length: 8 }, (_, row) => `<rect x="40" y="${60 + row * 80}" width="${width - 80}" height="30" fill="black"/>`);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="100%" height="100%" fill="white"/>${blocks.join('')}</svg>`;
+    return sharp(Buffer.from(svg)).png().toBuffer();
+};
+
+test('resolution is judged by the shorter side, whichever way the page is turned', async () => {
+    for (const [width, height] of [[700, 1400], [1400, 700]]) {
+        const { issues } = await assessQuality(await page(width, height));
+        const resolution = issues.find(issue => issue.check === 'resolution');
+        assert.equal(resolution.level, 'warn');
+        assert.match(resolution.message, /shorter side under 800px/);
+    }
+
+    const { issues } = await assessQuality(await page(900, 1400));
+    assert.equal(issues.find(issue => issue.check === 'resolution'), undefined);
+});
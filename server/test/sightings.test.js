@@ -0,0 +1,33 @@
+const { startApp } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { recordSighting } = require('../sightings');
+
+let app;
+
+before(async () => {
+    app = await startApp();
+});
+
+after(() => app && app.close());
+
+const sightingsOf = async (serial) => {
+    const row = await app.db.get(
+        'SELECT COUNT(*) AS n FROM sightings JOIN serials ON serials.id = sightings.serial_id WHERE serial_number = ?',
+        [serial]
+    );
+    return Number(row.n);
+};
+
+test('a trashed serial records no sighting', async () => {
+    await app.request('POST', '/api/serials/batch', { serials: ['PL12345678A'] });
+    assert.equal(await sightingsOf('PL12345678A'), 1);
+
+    await app.request('DELETE', '/api/serials/PL12345678A');
+    assert.equal(await recordSighting(app.db, { serial: 'PL12345678A', method: 'manual' }), false);
+
+    const again = await app.request('POST', '/api/serials/batch', { serials: ['PL12345678A'] });
+    assert.deepEqual(again.body.trashed, ['PL12345678A']);
+    assert.equal(again.body.duplicates, 0);
+    assert.equal(await sightingsOf('PL12345678A'), 1);
+});
@@ -0,0 +1,67 @@
+const { startApp } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let app;
+
+before(async () => {
+    app = await startApp();
+    const added = await app.request('POST', '/api/watchlist/import', (() => {
+        const form = new FormData();
+        form.append('watchlist', new Blob(['PL25936420B,stolen\nPL25936421B,counterfeit\n']), 'watchlist.csv');
+        return form;
+    })());
+    assert.equal(added.status, 200);
+});
+
+after(() => app && app.close());
+
+const hitsFor = async (serial) => {
+    const { body } = await app.request('GET', '/api/watchlist/hits');
+    return body.data.filter(hit => hit.serial_number === serial);
+};
+
+test('approving a candidate corrected to a watched serial flags it', async () => {
+    await app.db.run(
+        "INSERT INTO serials (serial_number, status, source_filename) VALUES ('PL25936429B', 'pending', 'receipt.jpg')"
+    );
+    const { id } = await app.db.get("SELECT id FROM serials WHERE serial_number = 'PL25936429B'");
+
+    const approved = await app.request('POST', `/api/review/${id}/approve`, { serial_number: 'PL25936420B' });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.watchlistHit.serial_number, 'PL25936420B');
+
+    const verdict = await app.request('GET', '/api/verify/PL25936420B');
+    assert.equal(verdict.body.verdict, 'flagged');
+    assert.equal(verdict.body.flagged, true);
+
+    const hits = await hitsFor('PL25936420B');
+    assert.equal(hits.length, 1);
+    assert.equal(hits[0].method, 'review');
+    assert.equal(hits[0].source, 'receipt.jpg');
+});
+
+test('editing a record to a watched serial flags it', async () => {
+    const added = await app.request('POST', '/api/serials/batch', { serials: ['PL12345678A'] });
+    assert.equal(added.body.added, 1);
+    const { id } = await app.db.get("SELECT id FROM serials WHERE serial_number = 'PL12345678A'");
+
+    const edited = await app.request('PUT', `/api/serials/${id}`, { serial_number: 'PL25936421B', status: 'confirmed' });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.watchlistHit.serial_number, 'PL25936421B');
+
+    const verdict = await app.request('GET', '/api/verify/PL25936421B');
+    assert.equal(verdict.body.verdict, 'flagged');
+
+    const hits = await hitsFor('PL25936421B');
+    assert.equal(hits.length, 1);
+    assert.equal(hits[0].method, 'edit');
+});
+
+test('an edit that keeps the serial logs no new hit', async () => {
+    const { id } = await app.db.get("SELECT id FROM serials WHERE serial_number = 'PL25936421B'");
+    const edited = await app.request('PUT', `/api/serials/${id}`, { serial_number: 'PL25936421B', status: 'imported' });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.watchlistHit, undefined);
+    assert.equal((await hitsFor('PL25936421B')).length, 1);
+});
@@ -0,0 +1,56 @@
+const { startApp } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+let app;
+let receiver;
+const received = [];
+
+before(async () => {
+    app = await startApp();
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+});
+
+after(async () => {
+    if (receiver) await new Promise(resolve => receiver.close(resolve));
+    if (app) await app.close();
+});
+
+test('afterCommit callbacks run once the transaction commits, never on rollback', async () => {
+    const seen = [];
+    await app.db.transaction(async (tx) => {
+        await tx.run("INSERT INTO serials (serial_number, status) VALUES ('PL40000001A', 'confirmed')");
+        tx.afterCommit(() => seen.push('committed'));
+        assert.deepEqual(seen, []);
+    });
+    assert.deepEqual(seen, ['committed']);
+
+    await assert.rejects(app.db.transaction(async (tx) => {
+        tx.afterCommit(() => seen.push('rolled back'));
+        throw new Error('no');
+    }));
+    assert.deepEqual(seen, ['committed']);
+});
+
+test('a change queued in a transaction is delivered after the commit', async () => {
+    const { port } = receiver.address();
+    const created = await app.request('POST', '/api/webhooks', { url: `http://127.0.0.1:${port}/hook`, events: ['serial.added'] });
+    assert.equal(created.status, 201);
+
+    const added = await app.request('POST', '/api/serials/batch', { serials: ['PL40000002A'] });
+    assert.equal(added.status, 200);
+
+    for (let i = 0; i < 100 && received.length === 0; i++) await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(received.length, 1);
+    assert.equal(received[0].event, 'serial.added');
+    assert.equal(received[0].data.serial_number, 'PL40000002A');
+});
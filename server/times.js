@@ -0,0 +1,51 @@
+/**
+ * Timestamp filters that compare as times on both databases.
+ *
+ * SQLite keeps timestamps as text in two shapes, column defaults
+ * ('YYYY-MM-DD HH:MM:SS') and ISO strings from the app and from filters
+ * ('YYYY-MM-DDTHH:MM:SS.sssZ'), which do not compare as text. Both are read
+ * as times and written out the same way before comparing.
+ */
+const dbModule = require('./db');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const sqliteTime = (sql) => `strftime('%Y-%m-%d %H:%M:%f', ${sql})`;
+
+// `column` compared with `op` to a bound time
+const timeCondition = (column, op) => (dbModule.isPostgres
+    ? `${column} ${op} ?`
+    : `${sqliteTime(column)} ${op} ${sqliteTime('?')}`);
+
+// The day after a YYYY-MM-DD date, so `until` includes the whole day
+const nextDay = (date) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + 1);
+    return day.toISOString().slice(0, 10);
+};
+
+/**
+ * Whether `value` can be used as `since` or `until`: a date (YYYY-MM-DD) or an ISO timestamp.
+ */
+const isTime = (value) => !Number.isNaN(Date.parse(value));
+
+/**
+ * SQL conditions for `column` between `since` and `until`, both inclusive
+ * and either optional. A date-only `until` includes the whole of that day.
+ * @returns {{ where: string[], params: string[] }}
+ */
+function timeRange(column, { since, until } = {}) {
+    const where = [];
+    const params = [];
+    if (since) {
+        where.push(timeCondition(column, '>='));
+        params.push(since);
+    }
+    if (until) {
+        where.push(timeCondition(column, DATE_ONLY.test(until) ? '<' : '<='));
+        params.push(DATE_ONLY.test(until) ? nextDay(until) : until);
+    }
+    return { where, params };
+}
+
+module.exports = { timeRange, isTime, sqliteTime };
@@ -0,0 +1,93 @@
+const dbModule = require('./db');
+const audit = require('./audit');
+const { deleteSightings } = require('./sightings');
+
+/**
+ * Soft delete. Deleting a serial only sets its deleted_at; listings leave
+ * such rows out, and they wait in the trash until restored or purged.
+ * Purging removes the row and its sightings for good (the audit log still
+ * has both). Rows older than the retention period are purged automatically.
+ *
+ * A trashed serial keeps its number: adding it again reports it as in the
+ * trash rather than creating a second row.
+ *
+ * Functions that write take `tx`, a transaction (see db.js).
+ *
+ * Configuration (environment):
+ *   TRASH_RETENTION_DAYS  days a deleted serial stays in the trash (default 30, 0 = never purge)
+ */
+
+const configuredDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+const RETENTION_DAYS = Number.isNaN(configuredDays) ? 30 : Math.max(0, configuredDays);
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// SQL condition for rows that are not in the trash
+const NOT_DELETED = 'deleted_at IS NULL';
+
+/**
+ * Moves a serial to the trash. Returns false if there is no such serial outside it.
+ */
+async function trashSerial(tx, serial, context) {
+    const row = await tx.get(`SELECT id FROM serials WHERE serial_number = ? AND ${NOT_DELETED}`, [serial]);
+    if (!row) return false;
+    const before = await audit.snapshot(tx, row.id);
+    await tx.run('UPDATE serials SET deleted_at = ? WHERE id = ?', [new Date().toISOString(), row.id]);
+    await audit.record(tx, { action: 'delete', before, after: await audit.snapshot(tx, row.id), context });
+    return true;
+}
+
+/**
+ * Takes a serial out of the trash. Returns false if it is not in the trash.
+ */
+async function restoreSerial(tx, id, context) {
+    const before = await audit.snapshot(tx, id);
+    if (!before || !before.deleted_at) return false;
+    await tx.run('UPDATE serials SET deleted_at = NULL WHERE id = ?', [id]);
+    await audit.record(tx, { action: 'restore', before, after: await audit.snapshot(tx, id), context });
+    return true;
+}
+
+/**
+ * Permanently removes a trashed serial and its sightings. Returns false if it is not in the trash.
+ */
+async function purgeSerial(tx, id, context) {
+    const before = await audit.snapshot(tx, id, { withSightings: true });
+    if (!before || !before.deleted_at) return false;
+    await tx.run('DELETE FROM serials WHERE id = ?', [id]);
+    await deleteSightings(tx, id);
+    await audit.record(tx, { action: 'purge', before, context });
+    return true;
+}
+
+/**
+ * Purges everything that has been in the trash longer than the retention period.
+ * @returns {Promise<number>} How many serials were purged.
+ */
+async function purgeExpired() {
+    if (RETENTION_DAYS === 0) return 0;
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const purged = await dbModule.transaction(async (tx) => {
+        const rows = await tx.all('SELECT id FROM serials WHERE deleted_at IS NOT NULL AND deleted_at < ?', [cutoff]);
+        const context = { origin: `trash retention (${RETENTION_DAYS} days)` };
+        for (const { id } of rows) await purgeSerial(tx, id, context);
+        return rows.length;
+    });
+    if (purged > 0) console.log(`Purged ${purged} serial(s) from the trash (older than ${RETENTION_DAYS} days).`);
+    return purged;
+}
+
+let timer = null;
+
+/**
+ * Purges expired rows now and then hourly. Long-running servers only; on
+ * serverless deployments the trash listing purges instead (see index.js).
+ */
+function startPurging() {
+    if (timer || RETENTION_DAYS === 0) return;
+    const run = () => purgeExpired().catch(err => console.error('Trash purge failed:', err));
+    run();
+    timer = setInterval(run, PURGE_INTERVAL_MS);
+    timer.unref();
+}
+
+module.exports = { trashSerial, restoreSerial, purgeSerial, purgeExpired, startPurging, NOT_DELETED, RETENTION_DAYS };
@@ -0,0 +1,107 @@
+/**
+ * Serial lookups for the search screen and machine clients, so they ask the
+ * server about the serials they have instead of downloading the whole list.
+ *
+ * A serial's verdict is one of:
+ *   verified   on record
+ *   pending    read from a receipt, awaiting review
+ *   flagged    on record but flagged for attention (by hand, or a watchlist hit)
+ *   not_found  not on record (or only in the trash)
+ *
+ * A pending serial stays pending even when the watchlist flagged it: it is
+ * not on record until someone approves it. `flagged` tells the two apart.
+ */
+const { normalizeSerial } = require('./formats');
+const { PENDING } = require('./extraction');
+const { NOT_DELETED } = require('./trash');
+const { SIGHTING_COUNT } = require('./sightings');
+const { escapeLike } = require('./records');
+
+const MAX_BULK = 1000;
+const MIN_PREFIX = 2;
+
+// Serials per query in bulk lookups, well below the parameter limits of both databases
+const CHUNK_SIZE = 500;
+
+const COLUMNS = `id, serial_number, status, format, series, district, source_filename, extracted_at, flagged_at, ${SIGHTING_COUNT} AS sightings`;
+
+const verdictOf = (row) => {
+    if (!row) return 'not_found';
+    if (row.status === PENDING) return PENDING;
+    if (row.status === 'flagged' || row.flagged_at) return 'flagged';
+    return 'verified';
+};
+
+const toResult = (serial, row) => ({
+    serial,
+    found: !!row && row.status !== PENDING,
+    verdict: verdictOf(row),
+    status: row ? row.status : null,
+    flagged: !!row && (row.status === 'flagged' || !!row.flagged_at),
+    details: row ? { ...row, sightings: Number(row.sightings) } : null
+});
+
+/**
+ * The verdict for one serial.
+ * @returns {Promise<{ serial: string, found: boolean, verdict: string, status: string|null, flagged: boolean, details: object|null }>}
+ */
+async function verifySerial(q, serial) {
+    const normalized = normalizeSerial(serial);
+    const row = await q.get(`SELECT ${COLUMNS} FROM serials WHERE serial_number = ? AND ${NOT_DELETED}`, [normalized]);
+    return toResult(normalized, row);
+}
+
+/**
+ * Verdicts for a list of serials, in the order given (blank entries dropped),
+ * with a count per verdict.
+ */
+async function verifySerials(q, serials) {
+    const list = serials.map(normalizeSerial).filter(Boolean);
+    const unique = [...new Set(list)];
+    const rows = new Map();
+    for (let i = 0; i < unique.length; i += CHUNK_SIZE) {
+        const chunk = unique.slice(i, i + CHUNK_SIZE);
+        const found = await q.all(
+            `SELECT ${COLUMNS} FROM serials WHERE serial_number IN (${chunk.map(() => '?').join(', ')}) AND ${NOT_DELETED}`,
+            chunk
+        );
+        for (const row of found) rows.set(row.serial_number, row);
+    }
+
+    const results = list.map(serial => toResult(serial, rows.get(serial)));
+    const summary = { verified: 0, pending: 0, flagged: 0, not_found: 0 };
+    for (const result of results) summary[result.verdict]++;
+    return { results, summary };
+}
+
+/**
+ * Verified serials starting with `prefix`, for autocomplete. Short prefixes
+ * return nothing, so the list cannot be paged through from the search box.
+ */
+async function suggestSerials(q, prefix, limit = 5) {
+    const start = normalizeSerial(prefix);
+    if (start.length < MIN_PREFIX) return [];
+    const rows = await q.all(`
+        SELECT serial_number FROM serials
+        WHERE serial_number LIKE ? ESCAPE '\\' AND (status IS NULL OR status <> ?) AND ${NOT_DELETED}
+        ORDER BY serial_number ASC
+        LIMIT ?
+    `, [`${escapeLike(start)}%`, PENDING, limit]);
+    return rows.map(r => r.serial_number);
+}
+
+/**
+ * How many serials are on record and how many await review. Flagged
+ * candidates still awaiting review count as pending, not on record.
+ */
+async function countSerials(q) {
+    const row = await q.get(`
+        SELECT
+            SUM(CASE WHEN status IS NULL OR status <> ? THEN 1 ELSE 0 END) AS verified,
+            SUM(CASE WHEN status = ? THEN 1 ELSE 0 END) AS pending
+        FROM serials WHERE ${NOT_DELETED}
+    `, [PENDING, PENDING]);
+    return { verified: Number(row && row.verified) || 0, pending: Number(row && row.pending) || 0 };
+}
+
+module.exports = { verifySerial, verifySerials, suggestSerials, countSerials, MAX_BULK, MIN_PREFIX };
@@ -0,0 +1,234 @@
+/**
+ * Watchlist: serials reported stolen or counterfeit, with who reported them,
+ * why and when.
+ *
+ * Every path that stores or changes a serial number (receipt uploads, manual
+ * batches, CSV imports, review corrections and record edits) calls
+ * checkSerial() in its transaction. A serial on the watchlist has its record
+ * flagged (flagged_at set, logged as a 'flag' audit entry) and a hit written
+ * to watchlist_hits, where it stays open until someone acknowledges it. Hits
+ * are also sent to webhooks as 'watchlist.hit'.
+ *
+ * The flag is kept apart from the review status: a pending OCR candidate
+ * stays pending (and in the review queue) until someone approves it.
+ *
+ * All functions take `q`, which is dbModule or a transaction (see db.js).
+ */
+const { normalizeSerial } = require('./formats');
+const { NOT_DELETED } = require('./trash');
+const { escapeLike } = require('./records');
+const audit = require('./audit');
+const webhooks = require('./webhooks');
+
+/**
+ * Raised for watchlist requests that cannot be carried out; `status` is the HTTP status to report.
+ */
+class WatchlistError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WatchlistError';
+        this.status = status;
+    }
+}
+
+const SERIAL_PATTERN = /^[A-Z0-9*-]+$/;
+
+// YYYY-MM-DD, or null for a date that cannot be read
+const toDate = (value) => {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+};
+
+/**
+ * Checks and normalizes one entry. Missing reason, reporter and date are
+ * taken from `defaults`.
+ * @returns {{ serial_number: string, reason: string|null, reporter: string|null, reported_at: string|null }}
+ * @throws {WatchlistError}
+ */
+function toEntry({ serial, reason, reporter, reportedAt }, defaults = {}) {
+    const serialNumber = normalizeSerial(serial);
+    if (!SERIAL_PATTERN.test(serialNumber)) throw new WatchlistError(`"${serial}" is not a serial number.`);
+    const date = reportedAt || defaults.reportedAt;
+    const reportedOn = date ? toDate(date) : null;
+    if (date && !reportedOn) throw new WatchlistError(`"${date}" is not a date.`);
+    const text = (value) => (value && String(value).trim()) || null;
+    return {
+        serial_number: serialNumber,
+        reason: text(reason) || text(defaults.reason),
+        reporter: text(reporter) || text(defaults.reporter),
+        reported_at: reportedOn
+    };
+}
+
+/**
+ * Reads a watchlist file: either one serial per line (like
+ * serials_master_list.txt) or CSV rows of serial,reason,reporter,date, with
+ * an optional header. Blank lines and lines starting with # are skipped.
+ * @returns {{ entries: object[], invalid: { line: number, text: string, error: string }[] }}
+ * @throws {WatchlistError} When the default date cannot be read.
+ */
+function parseWatchlist(text, defaults = {}) {
+    if (defaults.reportedAt && !toDate(defaults.reportedAt)) throw new WatchlistError(`"${defaults.reportedAt}" is not a date.`);
+    const entries = [];
+    const invalid = [];
+    const lines = String(text).split(/\r?\n/);
+    lines.forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const cols = trimmed.split(',').map(c => c.replace(/^"|"$/g, '').trim());
+        if (index === 0 && /serial/i.test(cols[0])) return;
+        try {
+            entries.push(toEntry({ serial: cols[0], reason: cols[1], reporter: cols[2], reportedAt: cols[3] }, defaults));
+        } catch (err) {
+            if (!(err instanceof WatchlistError)) throw err;
+            invalid.push({ line: index + 1, text: trimmed, error: err.message });
+        }
+    });
+    return { entries, invalid };
+}
+
+/**
+ * Adds entries, or updates the ones already listed. Reports which of them
+ * are already on record (they are not flagged until they are seen again).
+ * @returns {Promise<{ added: number, updated: number, onRecord: string[] }>}
+ */
+async function addEntries(q, entries, { addedBy = null } = {}) {
+    let added = 0;
+    let updated = 0;
+    const onRecord = [];
+    const now = new Date().toISOString();
+    for (const entry of entries) {
+        const existing = await q.get('SELECT id FROM watchlist WHERE serial_number = ?', [entry.serial_number]);
+        if (existing) {
+            await q.run(
+                'UPDATE watchlist SET reason = COALESCE(?, reason), reporter = COALESCE(?, reporter), reported_at = COALESCE(?, reported_at) WHERE id = ?',
+                [entry.reason, entry.reporter, entry.reported_at, existing.id]
+            );
+            updated++;
+        } else {
+            await q.run(
+                'INSERT INTO watchlist (serial_number, reason, reporter, reported_at, added_by, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [entry.serial_number, entry.reason, entry.reporter, entry.reported_at, addedBy, now]
+            );
+            added++;
+        }
+        if (await q.get(`SELECT id FROM serials WHERE serial_number = ? AND ${NOT_DELETED}`, [entry.serial_number])) {
+            onRecord.push(entry.serial_number);
+        }
+    }
+    return { added, updated, onRecord };
+}
+
+/**
+ * One page of the watchlist, newest first, with how often each serial was hit.
+ * `search` filters on the start of the serial number.
+ */
+async function listWatchlist(q, { search, page = 1, limit = 50 } = {}) {
+    const where = search ? "WHERE serial_number LIKE ? ESCAPE '\\'" : '';
+    const params = search ? [`${escapeLike(normalizeSerial(search))}%`] : [];
+    const totalResult = await q.get(`SELECT COUNT(*) as total FROM watchlist ${where}`, params);
+    const totalRecords = Number(totalResult ? totalResult.total : 0);
+    const rows = await q.all(`
+        SELECT watchlist.*, (SELECT COUNT(*) FROM watchlist_hits WHERE watchlist_hits.serial_number = watchlist.serial_number) AS hits
+        FROM watchlist
+        ${where}
+        ORDER BY id DESC
+        LIMIT ? OFFSET ?
+    `, [...params, limit, (page - 1) * limit]);
+    return {
+        data: rows.map(row => ({ ...row, hits: Number(row.hits) })),
+        pagination: { current: page, limit, totalRecords, totalPages: Math.ceil(totalRecords / limit) }
+    };
+}
+
+/**
+ * Removes an entry; past hits stay in the log. Returns false if there is no such entry.
+ */
+async function removeEntry(q, id) {
+    const row = await q.get('SELECT id FROM watchlist WHERE id = ?', [id]);
+    if (!row) return false;
+    await q.run('DELETE FROM watchlist WHERE id = ?', [id]);
+    return true;
+}
+
+/**
+ * Checks a serial that was just stored or seen. On a hit the record is
+ * flagged and the hit logged.
+ * @param {{ method: string, source?: string, context?: object }} options - How it was seen
+ *   (the sighting method, or 'review'/'edit' for a serial corrected by hand),
+ *   where, and the request for the audit log.
+ * @returns {Promise<object|null>} The hit, or null when the serial is not on the watchlist.
+ */
+async function checkSerial(q, serial, { method, source = null, context = {} }) {
+    const entry = await q.get('SELECT * FROM watchlist WHERE serial_number = ?', [serial]);
+    if (!entry) return null;
+
+    const record = await q.get('SELECT id, flagged_at, deleted_at FROM serials WHERE serial_number = ?', [serial]);
+    if (record && !record.deleted_at && !record.flagged_at) {
+        const before = await audit.snapshot(q, record.id);
+        await q.run('UPDATE serials SET flagged_at = ? WHERE id = ?', [new Date().toISOString(), record.id]);
+        await audit.record(q, { action: 'flag', before, after: await audit.snapshot(q, record.id), context });
+    }
+
+    const hit = {
+        serial_number: serial,
+        serial_id: record ? record.id : null,
+        reason: entry.reason,
+        reporter: entry.reporter,
+        method,
+        source,
+        operator: context.operator || null,
+        created_at: new Date().toISOString()
+    };
+    await q.run(`
+        INSERT INTO watchlist_hits (serial_number, serial_id, reason, reporter, method, source, operator, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [hit.serial_number, hit.serial_id, hit.reason, hit.reporter, hit.method, hit.source, hit.operator, hit.created_at]);
+    await webhooks.enqueue(q, 'watchlist.hit', hit);
+    console.warn(`Watchlist hit: ${serial} (${entry.reason || 'no reason given'}) via ${method}${source ? ` from ${source}` : ''}.`);
+    return hit;
+}
+
+/**
+ * The hits log, newest first. With `open`, only hits nobody has acknowledged yet.
+ */
+async function listHits(q, { open = false, page = 1, limit = 50 } = {}) {
+    const where = open ? 'WHERE acknowledged_at IS NULL' : '';
+    const totalResult = await q.get(`SELECT COUNT(*) as total FROM watchlist_hits ${where}`);
+    const totalRecords = Number(totalResult ? totalResult.total : 0);
+    const rows = await q.all(`SELECT * FROM watchlist_hits ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [limit, (page - 1) * limit]);
+    return {
+        data: rows,
+        pagination: { current: page, limit, totalRecords, totalPages: Math.ceil(totalRecords / limit) }
+    };
+}
+
+/**
+ * Marks hits as seen: the ones in `ids`, or every open hit when `ids` is not given.
+ * @returns {Promise<number>} How many were acknowledged.
+ */
+async function acknowledgeHits(q, ids, username) {
+    const now = new Date().toISOString();
+    if (ids === undefined) {
+        const result = await q.run('UPDATE watchlist_hits SET acknowledged_at = ?, acknowledged_by = ? WHERE acknowledged_at IS NULL', [now, username]);
+        return result.changes;
+    }
+    if (!Array.isArray(ids) || ids.length === 0) throw new WatchlistError('ids must be a list of hit ids.');
+    const result = await q.run(
+        `UPDATE watchlist_hits SET acknowledged_at = ?, acknowledged_by = ? WHERE acknowledged_at IS NULL AND id IN (${ids.map(() => '?').join(', ')})`,
+        [now, username, ...ids]
+    );
+    return result.changes;
+}
+
+module.exports = {
+    WatchlistError,
+    toEntry,
+    parseWatchlist,
+    addEntries,
+    listWatchlist,
+    removeEntry,
+    checkSerial,
+    listHits,
+    acknowledgeHits
+};
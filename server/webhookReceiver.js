@@ -0,0 +1,74 @@
+const http = require('http');
+const crypto = require('crypto');
+const { sign } = require('./webhookSignature');
+
+/**
+ * A local webhook receiver for trying out webhooks: prints every delivery
+ * and checks its signature.
+ *
+ *   WEBHOOK_SECRET=whsec_... node server/webhookReceiver.js [port]
+ *
+ * then subscribe http://localhost:<port>/ (default 4000) in Manage Data.
+ *
+ * Configuration (environment):
+ *   WEBHOOK_SECRET  the webhook's secret; without it signatures are not checked
+ *   FAIL_FIRST      answer 500 to this many deliveries first, to watch the retries (default 0)
+ */
+
+const port = parseInt(process.argv[2], 10) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(process.env.FAIL_FIRST, 10) || 0;
+
+// Deliveries older than this are refused, so a captured request cannot be replayed later
+const TOLERANCE_SECONDS = 5 * 60;
+
+const signatureProblem = (req, body) => {
+    const timestamp = req.headers['x-serialmanager-timestamp'];
+    const signature = req.headers['x-serialmanager-signature'] || '';
+    if (!timestamp) return 'no timestamp';
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) return 'timestamp too old';
+    const expected = Buffer.from(sign(secret, timestamp, body));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return 'signature mismatch';
+    return null;
+};
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const event = req.headers['x-serialmanager-event'];
+        const delivery = req.headers['x-serialmanager-delivery'];
+
+        if (secret) {
+            const problem = signatureProblem(req, body);
+            if (problem) {
+                console.log(`✗ delivery ${delivery} (${event}): ${problem}`);
+                res.writeHead(401, { 'Content-Type': 'text/plain' });
+                return res.end(problem);
+            }
+        }
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`✗ delivery ${delivery} (${event}): failing on purpose (${failuresLeft} more)`);
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            return res.end('failing on purpose');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch {
+            payload = body;
+        }
+        console.log(`✓ delivery ${delivery} (${event})${secret ? ', signature ok' : ''}`);
+        console.log(JSON.stringify(payload, null, 2));
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('ok');
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}/${secret ? '' : ' (WEBHOOK_SECRET not set: signatures are not checked)'}`);
+});
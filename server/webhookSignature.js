@@ -0,0 +1,15 @@
+/**
+ * Webhook request signing, shared by the dispatcher (webhooks.js) and the
+ * example receiver (webhookReceiver.js). It needs nothing but crypto, so a
+ * receiver can use it without opening the app's database.
+ */
+const crypto = require('crypto');
+
+/**
+ * The signature header value for a body sent at `timestamp` (unix seconds):
+ * sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret>.
+ */
+const sign = (secret, timestamp, body) =>
+    'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+module.exports = { sign };
@@ -0,0 +1,404 @@
+const crypto = require('crypto');
+const dbModule = require('./db');
+const { sign } = require('./webhookSignature');
+
+/**
+ * Outbound webhooks: other systems subscribe a URL to some of EVENTS and get
+ * a signed JSON POST whenever one happens.
+ *
+ * Events are queued as rows in webhook_deliveries in the same transaction as
+ * the change (see audit.js and watchlist.js), so a change that is rolled back
+ * never announces itself. The dispatcher sends queued deliveries after the
+ * commit, and retries failures with exponential backoff until one succeeds
+ * (any 2xx response) or WEBHOOK_MAX_ATTEMPTS is reached. Every delivery stays
+ * in the log and can be sent again (a redelivery is a new row, same event id).
+ *
+ * Before sending, a dispatcher claims a delivery (status 'sending'), so
+ * several servers sharing the database, or overlapping runs in one, never
+ * send it twice. A claim not settled within the request timeout plus a
+ * minute (the server died mid-send) lapses, and the delivery is tried again.
+ *
+ * Each request carries:
+ *   X-SerialManager-Event      the event name
+ *   X-SerialManager-Delivery   the delivery id
+ *   X-SerialManager-Timestamp  unix seconds when it was sent
+ *   X-SerialManager-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret>
+ * Receivers should check the signature and reject old timestamps (see
+ * webhookReceiver.js for an example).
+ *
+ * Note: on Vercel, queued deliveries are only sent while a request is being
+ * handled; retries need a long-lived server (node server/index.js).
+ *
+ * Configuration (environment):
+ *   WEBHOOK_MAX_ATTEMPTS        attempts before a delivery is given up (default 8)
+ *   WEBHOOK_RETRY_BASE_SECONDS  wait before the first retry, doubled for each one after (default 30)
+ *   WEBHOOK_TIMEOUT_SECONDS     how long to wait for a receiver to answer (default 10)
+ */
+
+const EVENTS = ['serial.added', 'serial.updated', 'serial.flagged', 'serial.deleted', 'watchlist.hit'];
+// Sent only by POST /api/webhooks/:id/test, whatever the subscription's events
+const PING = 'ping';
+
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8);
+const RETRY_BASE_MS = Math.max(1, parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000;
+const TIMEOUT_MS = Math.max(1, parseFloat(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+// After this a claim is taken to belong to a server that died while sending
+const CLAIM_EXPIRY_MS = TIMEOUT_MS + 60 * 1000;
+const BATCH_SIZE = 20;
+// Enough of a receiver's answer to see what went wrong
+const MAX_RESPONSE_BODY = 1000;
+
+/**
+ * Raised for webhook requests that cannot be carried out; `status` is the HTTP status to report.
+ */
+class WebhookError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = status;
+    }
+}
+
+const newSecret = () => 'whsec_' + crypto.randomBytes(24).toString('base64url');
+
+// What clients see of a subscription (never the secret)
+const toWebhook = (row) => ({
+    id: row.id,
+    url: row.url,
+    events: row.events.split(','),
+    description: row.description,
+    active: !!Number(row.active),
+    createdBy: row.created_by,
+    createdAt: row.created_at
+});
+
+const checkUrl = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(String(url));
+    } catch {
+        throw new WebhookError('url must be an absolute http(s) URL.');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new WebhookError('url must be an absolute http(s) URL.');
+    return parsed.toString();
+};
+
+// ['*'] subscribes to everything, including events added later
+const checkEvents = (events) => {
+    const list = [...new Set(Array.isArray(events) ? events : [])];
+    if (list.length === 1 && list[0] === '*') return list;
+    if (list.length === 0 || !list.every(e => EVENTS.includes(e))) {
+        throw new WebhookError(`events must be "*" or one or more of: ${EVENTS.join(', ')}.`);
+    }
+    return list;
+};
+
+async function listWebhooks(q) {
+    const rows = await q.all('SELECT * FROM webhooks ORDER BY id ASC');
+    return rows.map(toWebhook);
+}
+
+/**
+ * Subscribes a URL.
+ * @returns {Promise<{ webhook: object, secret: string }>} The subscription and its signing secret.
+ */
+async function createWebhook(q, { url, events, description, createdBy }) {
+    const secret = newSecret();
+    await q.run(
+        'INSERT INTO webhooks (url, events, secret, description, active, created_by, created_at) VALUES (?, ?, ?, ?, 1, ?, ?)',
+        [checkUrl(url), checkEvents(events).join(','), secret, description ? String(description).trim() : null, createdBy || null, new Date().toISOString()]
+    );
+    const row = await q.get('SELECT * FROM webhooks WHERE secret = ?', [secret]);
+    return { webhook: toWebhook(row), secret };
+}
+
+/**
+ * Changes a subscription's url, events, description or active flag.
+ */
+async function updateWebhook(q, id, { url, events, description, active }) {
+    const row = await q.get('SELECT * FROM webhooks WHERE id = ?', [id]);
+    if (!row) throw new WebhookError('Webhook not found.', 404);
+    if (url !== undefined) await q.run('UPDATE webhooks SET url = ? WHERE id = ?', [checkUrl(url), id]);
+    if (events !== undefined) await q.run('UPDATE webhooks SET events = ? WHERE id = ?', [checkEvents(events).join(','), id]);
+    if (description !== undefined) await q.run('UPDATE webhooks SET description = ? WHERE id = ?', [description ? String(description).trim() : null, id]);
+    if (active !== undefined) await q.run('UPDATE webhooks SET active = ? WHERE id = ?', [active ? 1 : 0, id]);
+    return toWebhook(await q.get('SELECT * FROM webhooks WHERE id = ?', [id]));
+}
+
+/**
+ * Replaces a subscription's secret; deliveries are signed with the new one from now on.
+ * @returns {Promise<string>} The new secret.
+ */
+async function rotateSecret(q, id) {
+    if (!await q.get('SELECT id FROM webhooks WHERE id = ?', [id])) throw new WebhookError('Webhook not found.', 404);
+    const secret = newSecret();
+    await q.run('UPDATE webhooks SET secret = ? WHERE id = ?', [secret, id]);
+    return secret;
+}
+
+/**
+ * Removes a subscription and its delivery log.
+ */
+async function deleteWebhook(q, id) {
+    if (!await q.get('SELECT id FROM webhooks WHERE id = ?', [id])) throw new WebhookError('Webhook not found.', 404);
+    await q.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+    await q.run('DELETE FROM webhooks WHERE id = ?', [id]);
+}
+
+/**
+ * Queues `event` for every active subscription to it (or only for
+ * `webhookId`). Call inside the transaction of the change; the dispatcher
+ * is woken once it commits.
+ * @returns {Promise<number>} How many deliveries were queued.
+ */
+async function enqueue(q, event, data, { webhookId = null } = {}) {
+    const hooks = webhookId
+        ? await q.all('SELECT id, events FROM webhooks WHERE id = ?', [webhookId])
+        : await q.all('SELECT id, events FROM webhooks WHERE active = 1');
+    const targets = hooks.filter(hook => webhookId || hook.events.split(',').some(e => e === '*' || e === event));
+    if (targets.length === 0) return 0;
+
+    const now = new Date().toISOString();
+    const payload = JSON.stringify({ id: crypto.randomUUID(), event, createdAt: now, data });
+    for (const hook of targets) {
+        await q.run(
+            "INSERT INTO webhook_deliveries (webhook_id, event, payload, status, attempts, next_attempt_at, created_at) VALUES (?, ?, ?, 'pending', 0, ?, ?)",
+            [hook.id, event, payload, now, now]
+        );
+    }
+    // The dispatcher uses its own connection, which cannot see the rows before the commit
+    q.afterCommit(wake);
+    return targets.length;
+}
+
+// A serial row as announced: the sightings some snapshots carry are left out
+const serialOf = (row) => {
+    if (!row) return null;
+    const serial = { ...row };
+    delete serial.sightings;
+    return serial;
+};
+
+/**
+ * The event for an audit log entry, or null when there is nothing to
+ * announce (e.g. purging a serial that was already deleted).
+ */
+function eventForChange({ action, before, after }) {
+    // Resets, and reverts of them, carry every serial at once
+    if (before && Array.isArray(before.serials)) return { event: 'serial.deleted', data: { action, count: before.serials.length } };
+    if (after && Array.isArray(after.serials)) return { event: 'serial.added', data: { action, count: after.serials.length } };
+
+    const visible = (row) => !!row && !row.deleted_at;
+    const row = after || before;
+    const base = { action, serial_number: row.serial_number, serial: serialOf(row) };
+    if (action === 'flag') return { event: 'serial.flagged', data: { ...base, previous: serialOf(before) } };
+    if (!visible(before) && visible(after)) return { event: 'serial.added', data: base };
+    if (visible(before) && !visible(after)) return { event: 'serial.deleted', data: base };
+    if (visible(before) && visible(after)) return { event: 'serial.updated', data: { ...base, previous: serialOf(before) } };
+    return null;
+}
+
+/**
+ * Queues the event for an audit log entry (see audit.record()).
+ */
+async function enqueueChange(q, { action, before, after, context = {} }) {
+    const change = eventForChange({ action, before, after });
+    if (!change) return 0;
+    return enqueue(q, change.event, { ...change.data, operator: context.operator || null });
+}
+
+/**
+ * One page of the delivery log, newest first. Filters: webhookId, status
+ * (pending, sending, delivered, failed).
+ */
+async function listDeliveries(q, { webhookId, status, page = 1, limit = 50 } = {}) {
+    const where = [];
+    const params = [];
+    if (webhookId) { where.push('webhook_deliveries.webhook_id = ?'); params.push(webhookId); }
+    if (status) { where.push('webhook_deliveries.status = ?'); params.push(status); }
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const totalResult = await q.get(`SELECT COUNT(*) as total FROM webhook_deliveries ${whereSql}`, params);
+    const totalRecords = Number(totalResult ? totalResult.total : 0);
+    const rows = await q.all(`
+        SELECT webhook_deliveries.*, webhooks.url FROM webhook_deliveries
+        JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+        ${whereSql}
+        ORDER BY webhook_deliveries.id DESC
+        LIMIT ? OFFSET ?
+    `, [...params, limit, (page - 1) * limit]);
+    return {
+        data: rows.map(row => ({ ...row, payload: JSON.parse(row.payload) })),
+        pagination: { current: page, limit, totalRecords, totalPages: Math.ceil(totalRecords / limit) }
+    };
+}
+
+/**
+ * Queues a delivery again, as a new entry in the log.
+ * @returns {Promise<number>} The new delivery's id.
+ */
+async function redeliver(q, id) {
+    const row = await q.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+    if (!row) throw new WebhookError('Delivery not found.', 404);
+    const now = new Date().toISOString();
+    await q.run(
+        "INSERT INTO webhook_deliveries (webhook_id, event, payload, status, attempts, next_attempt_at, redelivery_of, created_at) VALUES (?, ?, ?, 'pending', 0, ?, ?, ?)",
+        [row.webhook_id, row.event, row.payload, now, row.id, now]
+    );
+    const created = await q.get('SELECT MAX(id) AS id FROM webhook_deliveries WHERE redelivery_of = ?', [row.id]);
+    q.afterCommit(wake);
+    return created.id;
+}
+
+/**
+ * Claims a due delivery for this run. Only one claimant's update matches,
+ * so a delivery another run (or server) has claimed or rescheduled since it
+ * was selected is skipped.
+ * @returns {Promise<string|null>} The claim's time, or null when it was not ours to take.
+ */
+async function claim(delivery, { now, staleBefore }) {
+    const claimedAt = new Date().toISOString();
+    const result = await dbModule.run(`
+        UPDATE webhook_deliveries SET status = 'sending', attempt_started_at = ?
+        WHERE id = ? AND ((status = 'pending' AND next_attempt_at <= ?) OR (status = 'sending' AND attempt_started_at <= ?))
+    `, [claimedAt, delivery.id, now, staleBefore]);
+    return result.changes === 1 ? claimedAt : null;
+}
+
+/**
+ * Sends one delivery and records the outcome: delivered, retried later with
+ * backoff, or failed for good after MAX_ATTEMPTS.
+ */
+async function attempt(delivery, cutoffs) {
+    const claimedAt = await claim(delivery, cutoffs);
+    if (!claimedAt) return;
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+    try {
+        const res = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'SerialManager-Webhooks',
+                'X-SerialManager-Event': delivery.event,
+                'X-SerialManager-Delivery': String(delivery.id),
+                'X-SerialManager-Timestamp': String(timestamp),
+                'X-SerialManager-Signature': sign(delivery.secret, timestamp, delivery.payload)
+            },
+            body: delivery.payload,
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        responseStatus = res.status;
+        responseBody = (await res.text()).slice(0, MAX_RESPONSE_BODY);
+        if (!res.ok) error = `Receiver answered ${res.status}.`;
+    } catch (err) {
+        if (err.name === 'TimeoutError') error = `No answer within ${TIMEOUT_MS / 1000}s.`;
+        // fetch() reports connection problems as "fetch failed", with the reason in `cause`
+        else error = err.cause && err.cause.code ? `${err.message} (${err.cause.code})` : err.message;
+    }
+
+    const attempts = Number(delivery.attempts) + 1;
+    const now = new Date();
+    let status = 'delivered';
+    let nextAttemptAt = null;
+    if (error) {
+        status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+        if (status === 'pending') nextAttemptAt = new Date(now.getTime() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString();
+        console.warn(`Webhook delivery ${delivery.id} (${delivery.event} to ${delivery.url}) failed: ${error}${nextAttemptAt ? ` Retrying at ${nextAttemptAt}.` : ' Giving up.'}`);
+    }
+    await dbModule.run(`
+        UPDATE webhook_deliveries
+        SET status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = ?, response_status = ?, response_body = ?, error = ?
+        WHERE id = ? AND attempt_started_at = ?
+    `, [status, attempts, nextAttemptAt, now.toISOString(), responseStatus, responseBody, error, delivery.id, claimedAt]);
+}
+
+let sending = null;
+let sendAgain = false;
+
+/**
+ * Sends every delivery that is due, in batches. Calls made while a run is
+ * going make it look again once it is done.
+ */
+function deliverDue() {
+    if (sending) {
+        sendAgain = true;
+        return sending;
+    }
+    sending = (async () => {
+        do {
+            sendAgain = false;
+            let due;
+            do {
+                const now = Date.now();
+                const cutoffs = { now: new Date(now).toISOString(), staleBefore: new Date(now - CLAIM_EXPIRY_MS).toISOString() };
+                due = await dbModule.all(`
+                    SELECT webhook_deliveries.*, webhooks.url, webhooks.secret FROM webhook_deliveries
+                    JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+                    WHERE (webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= ?)
+                        OR (webhook_deliveries.status = 'sending' AND webhook_deliveries.attempt_started_at <= ?)
+                    ORDER BY webhook_deliveries.id ASC
+                    LIMIT ?
+                `, [cutoffs.now, cutoffs.staleBefore, BATCH_SIZE]);
+                await Promise.all(due.map(delivery => attempt(delivery, cutoffs)));
+            } while (due.length === BATCH_SIZE);
+        } while (sendAgain);
+    })().finally(() => {
+        sending = null;
+    });
+    return sending;
+}
+
+let dispatching = false;
+let timer = null;
+
+// Polls only while deliveries wait to be sent or retried, so an idle server
+// runs no webhook queries (every SQLite statement is logged)
+async function pollWhileWaiting() {
+    const row = await dbModule.get("SELECT COUNT(*) AS total FROM webhook_deliveries WHERE status IN ('pending', 'sending')");
+    const waiting = Number(row.total) > 0;
+    if (waiting && !timer) {
+        timer = setInterval(wake, POLL_INTERVAL_MS);
+        timer.unref();
+    } else if (!waiting && timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+// Sends new deliveries soon after they are queued rather than at the next poll
+function wake() {
+    setImmediate(() => deliverDue()
+        .then(() => dispatching && pollWhileWaiting())
+        .catch(err => console.error('Webhook delivery failed:', err)));
+}
+
+/**
+ * Sends due deliveries (new ones and retries) now, and then every few
+ * seconds for as long as some are pending; queuing one starts the polling
+ * again. Long-running servers only.
+ */
+function startDispatcher() {
+    if (dispatching) return;
+    dispatching = true;
+    wake();
+}
+
+module.exports = {
+    EVENTS,
+    PING,
+    WebhookError,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    rotateSecret,
+    deleteWebhook,
+    enqueue,
+    enqueueChange,
+    listDeliveries,
+    redeliver,
+    deliverDue,
+    startDispatcher
+};
@@ -4,29 +4,79 @@ import SearchSerial from './components/SearchSerial';
 import AddSerial from './components/AddSerial';
 import UploadReceipts from './components/UploadReceipts';
 import DataManagement from './components/DataManagement';
+import ReviewQueue from './components/ReviewQueue';
+import Login from './components/Login';
+import WatchlistAlerts from './components/WatchlistAlerts';
 import './index.css';
 
+const ROLE_RANK = { viewer: 0, operator: 1, admin: 2 };
+
+// Tabs and the least role that can use each (the server enforces the same per route)
+const TABS = [
+  { id: 'search', label: 'Search Database', role: 'viewer' },
+  { id: 'add', label: 'Add New Entry', role: 'operator' },
+  { id: 'upload', label: 'Upload Receipts', role: 'operator' },
+  { id: 'review', label: 'Review', role: 'operator' },
+  { id: 'data', label: 'Manage Data', role: 'admin' }
+];
+
+const canUse = (user, tab) => !!user && ROLE_RANK[user.role] >= ROLE_RANK[tab.role];
+
 function App() {
-  const [serials, setSerials] = useState([]);
+  // Logged-in user; `checked` once GET /api/auth/me has answered
+  const [session, setSession] = useState({ checked: false, user: null, setupRequired: false });
+  const { user } = session;
+  // Serials on record and awaiting review, for the footer and the Review tab
+  const [counts, setCounts] = useState({ verified: 0, pending: 0 });
+  // Bumped whenever serials may have changed, so the watchlist alerts reload
+  const [alertsVersion, setAlertsVersion] = useState(0);
   const [activeTab, setActiveTab] = useState('search');
+  // Record to open in Manage Data (e.g. a box clicked in the receipt viewer)
+  const [recordFocus, setRecordFocus] = useState(null);
 
-  // Load serials from API on mount and when changed
-  const fetchSerials = async () => {
+  // Load the counts on login and when serials change (lookups go to /api/verify)
+  const fetchCounts = async () => {
     try {
-      const res = await fetch('/api/serials');
+      const res = await fetch('/api/serials/count');
+      if (res.status === 401) {
+        // Session expired or ended elsewhere
+        setSession({ checked: true, user: null, setupRequired: false });
+        return;
+      }
       if (res.ok) {
-        const data = await res.json();
-        setSerials(data);
+        setCounts(await res.json());
       }
+      setAlertsVersion(v => v + 1);
     } catch (err) {
-      console.error('Failed to load serials:', err);
+      console.error('Failed to load serial counts:', err);
     }
   };
 
   useEffect(() => {
-    fetchSerials();
+    fetch('/api/auth/me')
+      .then(res => res.json())
+      .then(data => setSession({ checked: true, user: data.user, setupRequired: data.setupRequired }))
+      .catch(err => {
+        console.error('Failed to check the session:', err);
+        setSession({ checked: true, user: null, setupRequired: false });
+      });
   }, []);
 
+  useEffect(() => {
+    if (user) fetchCounts();
+  }, [user]);
+
+  const logout = async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('Logout failed:', err);
+    }
+    setCounts({ verified: 0, pending: 0 });
+    setActiveTab('search');
+    setSession({ checked: true, user: null, setupRequired: false });
+  };
+
   const addSerials = async (newSerialsList) => {
     try {
       const res = await fetch('/api/serials/batch', {
@@ -38,11 +88,14 @@ function App() {
       if (res.ok) {
         const result = await res.json();
         // Refresh data to show updates in search and data management
-        await fetchSerials();
+        await fetchCounts();
         return {
           added: result.added,
           duplicates: result.duplicates,
-          total: serials.length + result.added // Approximate/Client-side view
+          invalid: result.invalid || [],
+          trashed: result.trashed || [],
+          watchlistHits: result.watchlistHits || [],
+          total: counts.verified + result.added // Approximate/Client-side view
         };
       } else {
         console.error('Batch add failed');
@@ -54,58 +107,92 @@ function App() {
     }
   };
 
-  const checkSerial = (query) => {
-    return serials.includes(query);
+  const openRecord = (record) => {
+    setRecordFocus(record);
+    setActiveTab('data');
+  };
+
+  const switchTab = (tab) => {
+    setRecordFocus(null);
+    setActiveTab(tab);
   };
 
+  const allowed = (tabId) => canUse(user, TABS.find(tab => tab.id === tabId));
+
+  if (!session.checked) {
+    return (
+      <div className="container fade-in">
+        <Header />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="container fade-in">
+        <Header />
+        <Login
+          setupRequired={session.setupRequired}
+          onLogin={(loggedIn) => setSession({ checked: true, user: loggedIn, setupRequired: false })}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="container fade-in">
       <Header />
 
-      <div className="tabs">
-        <button
-          className={`tab ${activeTab === 'search' ? 'active' : ''}`}
-          onClick={() => setActiveTab('search')}
-        >
-          Search Database
-        </button>
-        <button
-          className={`tab ${activeTab === 'add' ? 'active' : ''}`}
-          onClick={() => setActiveTab('add')}
-        >
-          Add New Entry
-        </button>
+      <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '0.75rem', marginBottom: '1rem', color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+        <span>{user.username} ({user.role})</span>
         <button
-          className={`tab ${activeTab === 'upload' ? 'active' : ''}`}
-          onClick={() => setActiveTab('upload')}
+          className="btn"
+          onClick={logout}
+          style={{ width: 'auto', padding: '0.3rem 0.8rem', fontSize: '0.85rem', background: 'transparent', border: '1px solid #666', color: '#ccc' }}
         >
-          Upload Receipts
-        </button>
-        <button
-          className={`tab ${activeTab === 'data' ? 'active' : ''}`}
-          onClick={() => setActiveTab('data')}
-        >
-          Manage Data
+          Log out
         </button>
       </div>
 
+      {canUse(user, { role: 'operator' }) && <WatchlistAlerts version={alertsVersion} />}
+
+      <div className="tabs">
+        {TABS.filter(tab => allowed(tab.id)).map(tab => (
+          <button
+            key={tab.id}
+            className={`tab ${activeTab === tab.id ? 'active' : ''}`}
+            onClick={() => switchTab(tab.id)}
+          >
+            {tab.label}{tab.id === 'review' && counts.pending > 0 ? ` (${counts.pending})` : ''}
+          </button>
+        ))}
+      </div>
+
       <main>
         {activeTab === 'search' && (
-          <SearchSerial onCheck={checkSerial} serials={serials} />
+          <SearchSerial />
         )}
-        {activeTab === 'add' && (
+        {activeTab === 'add' && allowed('add') && (
           <AddSerial onAddBatch={addSerials} />
         )}
-        {activeTab === 'upload' && (
-          <UploadReceipts onUploadComplete={fetchSerials} />
+        {activeTab === 'upload' && allowed('upload') && (
+          <UploadReceipts onUploadComplete={fetchCounts} onOpenRecord={allowed('data') ? openRecord : undefined} />
+        )}
+        {activeTab === 'review' && allowed('review') && (
+          <ReviewQueue onReviewed={fetchCounts} />
         )}
-        {activeTab === 'data' && (
-          <DataManagement onDataChanged={fetchSerials} />
+        {activeTab === 'data' && allowed('data') && (
+          <DataManagement
+            key={recordFocus ? recordFocus.id : 'all'}
+            onDataChanged={fetchCounts}
+            focusRecord={recordFocus}
+            currentUser={user}
+          />
         )}
       </main>
 
       <footer className="serial-count">
-        Total Records: {serials.length}
+        Total Records: {counts.verified}
       </footer>
     </div>
   );
@@ -29,6 +29,19 @@ const AddSerial = ({ onAddBatch }) => {
 
     const result = await onAddBatch(serialsToAdd);
 
+    // Serials that match no known format are rejected by the server
+    const invalidMsg = result.invalid && result.invalid.length > 0
+      ? ` Unrecognised format: ${result.invalid.join(', ')}`
+      : '';
+    // Deleted serials keep their number until purged, so they cannot be added again
+    const trashedMsg = result.trashed && result.trashed.length > 0
+      ? ` In the trash (restore from Manage Data): ${result.trashed.join(', ')}`
+      : '';
+    // Reported stolen or counterfeit; they are flagged and listed in the alert above the tabs
+    const watchlistMsg = result.watchlistHits && result.watchlistHits.length > 0
+      ? ` ON THE WATCHLIST: ${result.watchlistHits.map(h => h.serial_number).join(', ')}`
+      : '';
+
     if (result.error) {
       setMessage({ type: 'error', text: 'Failed to add serials. Check network or server.' });
     }
@@ -37,13 +50,25 @@ const AddSerial = ({ onAddBatch }) => {
       const dupMsg = result.duplicates > 0 ? ` (${result.duplicates} duplicates skipped)` : '';
       setMessage({
         type: 'success',
-        text: `Successfully added ${result.added} serials${dupMsg}!`
+        text: `Successfully added ${result.added} serials${dupMsg}!${invalidMsg}${trashedMsg}${watchlistMsg}`
+      });
+      // Keep the rejected lines so they can be fixed and resubmitted
+      setInput(result.invalid && result.invalid.length > 0 ? result.invalid.join('\n') : '');
+    } else if (result.invalid && result.invalid.length > 0) {
+      setMessage({
+        type: 'error',
+        text: `No serials added.${invalidMsg}${trashedMsg}${watchlistMsg}`
+      });
+    } else if (result.duplicates > 0 && !trashedMsg) {
+      setMessage({
+        type: 'error',
+        text: `All ${result.duplicates} serials were duplicates.${watchlistMsg}`
       });
-      setInput(''); // Clear input on success
-    } else if (result.duplicates > 0) {
+    } else if (trashedMsg) {
+      const dupMsg = result.duplicates > 0 ? ` ${result.duplicates} duplicates skipped.` : '';
       setMessage({
         type: 'error',
-        text: `All ${result.duplicates} serials were duplicates.`
+        text: `No serials added.${dupMsg}${trashedMsg}${watchlistMsg}`
       });
     } else {
       setMessage({ type: 'error', text: 'No valid serials found.' });
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+
+const fieldStyle = { padding: '0.5rem 0.8rem', borderRadius: '8px', border: '1px solid #444', background: '#1a1a1a', color: '#fff' };
+const smallButton = { width: 'auto', padding: '0.25rem 0.6rem', fontSize: '0.8rem', background: 'transparent', border: '1px solid #666', color: '#ccc' };
+const EMPTY_FORM = { name: '', scopes: ['verify'], expiresAt: '' };
+
+const keyState = (key) => {
+    if (key.revokedAt) return { label: 'Revoked', color: 'var(--error-color)' };
+    if (key.expiresAt && new Date(key.expiresAt) <= new Date()) return { label: 'Expired', color: '#888' };
+    return { label: 'Active', color: 'var(--success-color)' };
+};
+
+/**
+ * API keys panel (admins only): create keys for machine clients with
+ * scopes and an optional expiry, see when they were last used, revoke them.
+ * A new key is shown once, right after it is created.
+ */
+const ApiKeys = () => {
+    const [keys, setKeys] = useState([]);
+    const [scopes, setScopes] = useState([]);
+    const [version, setVersion] = useState(0);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [created, setCreated] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetch('/api/keys')
+            .then(async (res) => {
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || 'Failed to load API keys.');
+                if (!cancelled) {
+                    setKeys(data.keys);
+                    setScopes(data.scopes);
+                }
+            })
+            .catch((err) => {
+                console.error(err);
+                if (!cancelled) setMessage({ success: false, text: err.message });
+            });
+        return () => { cancelled = true; };
+    }, [version]);
+
+    const toggleScope = (scope) => {
+        const next = form.scopes.includes(scope) ? form.scopes.filter(s => s !== scope) : [...form.scopes, scope];
+        setForm({ ...form, scopes: next });
+    };
+
+    const createKey = async (e) => {
+        e.preventDefault();
+        setCreated(null);
+        try {
+            const res = await fetch('/api/keys', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                // A date picked here expires at the end of that day
+                body: JSON.stringify({ ...form, expiresAt: form.expiresAt ? `${form.expiresAt}T23:59:59` : null })
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                setMessage({ success: false, text: data.error || 'Failed to create the key.' });
+                return;
+            }
+            setCreated(data);
+            setMessage(null);
+            setForm(EMPTY_FORM);
+            setVersion(v => v + 1);
+        } catch (err) {
+            console.error(err);
+            setMessage({ success: false, text: 'Network error.' });
+        }
+    };
+
+    const revokeKey = async (key) => {
+        if (!window.confirm(`Revoke the API key "${key.name}"? Clients using it stop working at once.`)) return;
+        try {
+            const res = await fetch(`/api/keys/${key.id}`, { method: 'DELETE' });
+            const data = await res.json();
+            setMessage(res.ok ? { success: true, text: `Revoked ${key.name}.` } : { success: false, text: data.error || 'Failed to revoke the key.' });
+            setVersion(v => v + 1);
+        } catch (err) {
+            console.error(err);
+            setMessage({ success: false, text: 'Network error.' });
+        }
+    };
+
+    return (
+        <div className="card" style={{ background: 'rgba(0,0,0,0.2)', marginBottom: '2rem', border: '1px solid var(--glass-border)' }}>
+            <h3 style={{ marginBottom: '0.5rem' }}>API keys ({keys.filter(k => !k.revokedAt).length})</h3>
+            <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginBottom: '1rem' }}>
+                For scripts and terminals: send the key as <code>Authorization: Bearer &lt;key&gt;</code>.
+            </p>
+
+            <form onSubmit={createKey} style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '1rem' }}>
+                <input
+                    type="text"
+                    placeholder="Name, e.g. Till 3"
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    style={fieldStyle}
+                />
+                {scopes.map(scope => (
+                    <label key={scope} style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', color: '#ccc', fontSize: '0.85rem' }}>
+                        <input type="checkbox" checked={form.scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+                        {scope}
+                    </label>
+                ))}
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', color: '#ccc', fontSize: '0.85rem' }}>
+                    Expires
+                    <input type="date" value={form.expiresAt} onChange={(e) => setForm({ ...form, expiresAt: e.target.value })} style={fieldStyle} />
+                </label>
+                <button type="submit" className="btn" disabled={!form.name || form.scopes.length === 0} style={{ width: 'auto', padding: '0.5rem 1rem' }}>
+                    Create key
+                </button>
+            </form>
+
+            {created && (
+                <div className="result-box result-success" style={{ wordBreak: 'break-all' }}>
+                    Key for {created.apiKey.name} (copy it now, it will not be shown again):
+                    <div style={{ fontFamily: 'monospace', marginTop: '0.5rem', userSelect: 'all' }}>{created.key}</div>
+                </div>
+            )}
+            {message && <div className={`result-box ${message.success ? 'result-success' : 'result-error'}`}>{message.text}</div>}
+
+            {keys.length > 0 && (
+                <div style={{ overflowX: 'auto', borderRadius: '8px', border: '1px solid #333' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left', fontSize: '0.85rem' }}>
+                        <thead>
+                            <tr style={{ background: 'rgba(255,255,255,0.05)', color: '#ccc' }}>
+                                <th style={{ padding: '0.75rem' }}>Name</th>
+                                <th style={{ padding: '0.75rem' }}>Key</th>
+                                <th style={{ padding: '0.75rem' }}>Scopes</th>
+                                <th style={{ padding: '0.75rem' }}>Expires</th>
+                                <th style={{ padding: '0.75rem' }}>Last used</th>
+                                <th style={{ padding: '0.75rem' }}>Status</th>
+                                <th style={{ padding: '0.75rem', textAlign: 'center' }}>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {keys.map(key => {
+                                const state = keyState(key);
+                                return (
+                                    <tr key={key.id} style={{ borderTop: '1px solid #333', opacity: state.label === 'Active' ? 1 : 0.5 }}>
+                                        <td style={{ padding: '0.75rem', color: '#fff' }}>
+                                            {key.name}
+                                            {key.createdBy && <div style={{ color: '#888', fontSize: '0.75rem' }}>by {key.createdBy}</div>}
+                                        </td>
+                                        <td style={{ padding: '0.75rem', fontFamily: 'monospace', color: '#aaa' }}>{key.prefix}…</td>
+                                        <td style={{ padding: '0.75rem', color: '#aaa' }}>{key.scopes.join(', ')}</td>
+                                        <td style={{ padding: '0.75rem', color: '#aaa' }}>
+                                            {key.expiresAt ? new Date(key.expiresAt).toLocaleDateString() : 'Never'}
+                                        </td>
+                                        <td style={{ padding: '0.75rem', color: '#aaa' }}>
+                                            {key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : 'Never'}
+                                            {key.lastUsedIp && <div style={{ color: '#888', fontSize: '0.75rem' }}>{key.lastUsedIp}</div>}
+                                        </td>
+                                        <td style={{ padding: '0.75rem', color: state.color }}>{state.label}</td>
+                                        <td style={{ padding: '0.75rem', textAlign: 'center' }}>
+                                            {!key.revokedAt && (
+                                                <button className="btn" onClick={() => revokeKey(key)} style={{ ...smallButton, borderColor: 'var(--error-color)', color: 'var(--error-color)' }}>
+                                                    Revoke
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ApiKeys;
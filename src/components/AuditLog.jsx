@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+
+const ACTIONS = ['create', 'update', 'import', 'approve', 'reject', 'flag', 'delete', 'restore', 'purge', 'reset', 'revert'];
+// Columns worth showing in a change summary (ids, boxes and the like are left out)
+const FIELDS = ['serial_number', 'status', 'format', 'series', 'district', 'source_filename', 'extracted_at'];
+
+const actionColor = (action) => {
+    if (['delete', 'reject', 'flag', 'purge', 'reset'].includes(action)) return 'var(--error-color)';
+    if (action === 'revert') return '#eab308';
+    return 'var(--accent-color)';
+};
+
+// One line describing what an entry changed
+const describe = (entry) => {
+    const { action, before, after } = entry;
+    if (action === 'reset') return `${before.serials.length} serials removed`;
+    if (action === 'revert' && entry.serialId == null) return `${after.serials.length} serials restored (#${entry.reverts})`;
+    const prefix = action === 'revert' ? `#${entry.reverts} undone: ` : '';
+    if (!before) return `${prefix}added as ${after.status}`;
+    if (!after) return `${prefix}removed (was ${before.status})`;
+    if (!before.deleted_at && after.deleted_at) return `${prefix}moved to trash`;
+    if (before.deleted_at && !after.deleted_at) return `${prefix}restored from trash`;
+    if (!before.flagged_at && after.flagged_at) return `${prefix}flagged: on the watchlist`;
+    const changes = FIELDS
+        .filter(f => (before[f] ?? null) !== (after[f] ?? null))
+        .map(f => `${f}: ${before[f] ?? '-'} → ${after[f] ?? '-'}`);
+    return prefix + (changes.length > 0 ? changes.join(', ') : 'no visible change');
+};
+
+const loadEntries = async ({ serial, action, since, until, page }) => {
+    const params = new URLSearchParams({ page, limit: 20 });
+    if (serial) params.set('serial', serial);
+    if (action) params.set('action', action);
+    if (since) params.set('since', since);
+    if (until) params.set('until', until);
+    const res = await fetch(`/api/audit?${params}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to load history.');
+    return data;
+};
+
+/**
+ * History panel: every change to serials from GET /api/audit, with a revert
+ * button per entry. `serial` pre-fills the serial filter; `onReverted` is
+ * called after a successful revert.
+ */
+const AuditLog = ({ serial = '', onReverted }) => {
+    const [filters, setFilters] = useState({ serial, action: '', since: '', until: '', page: 1 });
+    const [entries, setEntries] = useState([]);
+    const [pagination, setPagination] = useState({ current: 1, totalPages: 1, totalRecords: 0 });
+    const [error, setError] = useState(null);
+    const [version, setVersion] = useState(0);
+    const [reverting, setReverting] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const timeoutId = setTimeout(() => {
+            loadEntries(filters)
+                .then((data) => {
+                    if (cancelled) return;
+                    setEntries(data.data);
+                    setPagination(data.pagination);
+                    setError(null);
+                })
+                .catch((err) => {
+                    console.error(err);
+                    if (!cancelled) setError(err.message);
+                });
+        }, 300); // Debounce typing in the serial filter
+        return () => {
+            cancelled = true;
+            clearTimeout(timeoutId);
+        };
+    }, [filters, version]);
+
+    const revert = async (entry) => {
+        const target = entry.serialNumber || 'the reset';
+        if (!window.confirm(`Revert #${entry.id} (${entry.action} of ${target})?`)) return;
+        setReverting(entry.id);
+        try {
+            const res = await fetch(`/api/audit/${entry.id}/revert`, { method: 'POST' });
+            const data = await res.json();
+            if (res.ok) {
+                setVersion(v => v + 1);
+                if (onReverted) onReverted();
+            } else {
+                alert('Revert failed: ' + (data.error || 'Unknown error'));
+            }
+        } catch (e) {
+            console.error(e);
+            alert('Network error during revert.');
+        } finally {
+            setReverting(null);
+        }
+    };
+
+    const setFilter = (key, value) => setFilters({ ...filters, [key]: value, page: 1 });
+
+    return (
+        <div className="card" style={{ background: 'rgba(0,0,0,0.2)', marginBottom: '2rem', border: '1px solid var(--glass-border)' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', flexWrap: 'wrap', gap: '1rem' }}>
+                <h3 style={{ margin: 0 }}>History ({pagination.totalRecords})</h3>
+                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                    <input
+                        type="text"
+                        placeholder="Serial Number..."
+                        value={filters.serial}
+                        onChange={(e) => setFilter('serial', e.target.value)}
+                        style={{ padding: '0.5rem 0.8rem', borderRadius: '8px', border: '1px solid #444', background: '#1a1a1a', color: '#fff' }}
+                    />
+                    <select
+                        value={filters.action}
+                        onChange={(e) => setFilter('action', e.target.value)}
+                        style={{ padding: '0.5rem', borderRadius: '8px', border: '1px solid #444', background: '#1a1a1a', color: '#fff' }}
+                    >
+                        <option value="">All actions</option>
+                        {ACTIONS.map(a => <option key={a} value={a}>{a}</option>)}
+                    </select>
+                    <input
+                        type="date"
+                        title="From (inclusive)"
+                        value={filters.since}
+                        onChange={(e) => setFilter('since', e.target.value)}
+                        style={{ padding: '0.5rem', borderRadius: '8px', border: '1px solid #444', background: '#1a1a1a', color: '#fff' }}
+                    />
+                    <input
+                        type="date"
+                        title="To (inclusive)"
+                        value={filters.until}
+                        onChange={(e) => setFilter('until', e.target.value)}
+                        style={{ padding: '0.5rem', borderRadius: '8px', border: '1px solid #444', background: '#1a1a1a', color: '#fff' }}
+                    />
+                </div>
+            </div>
+
+            {error && <div className="result-box result-error">{error}</div>}
+
+            <div style={{ overflowX: 'auto', borderRadius: '8px', border: '1px solid #333' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left', fontSize: '0.85rem' }}>
+                    <thead>
+                        <tr style={{ background: 'rgba(255,255,255,0.05)', color: '#ccc' }}>
+                            <th style={{ padding: '0.75rem' }}>#</th>
+                            <th style={{ padding: '0.75rem' }}>When</th>
+                            <th style={{ padding: '0.75rem' }}>Action</th>
+                            <th style={{ padding: '0.75rem' }}>Serial</th>
+                            <th style={{ padding: '0.75rem' }}>Change</th>
+                            <th style={{ padding: '0.75rem' }}>By</th>
+                            <th style={{ padding: '0.75rem', textAlign: 'center' }}></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.length === 0 ? (
+                            <tr><td colSpan="7" style={{ padding: '1.5rem', textAlign: 'center', color: '#888' }}>No changes recorded.</td></tr>
+                        ) : entries.map(entry => (
+                            <tr key={entry.id} style={{ borderTop: '1px solid #333' }}>
+                                <td style={{ padding: '0.75rem', color: '#888' }}>{entry.id}</td>
+                                <td style={{ padding: '0.75rem', color: '#aaa', whiteSpace: 'nowrap' }}>{new Date(entry.createdAt).toLocaleString()}</td>
+                                <td style={{ padding: '0.75rem', color: actionColor(entry.action) }}>{entry.action}</td>
+                                <td style={{ padding: '0.75rem', fontFamily: 'monospace', color: '#fff' }}>{entry.serialNumber || '-'}</td>
+                                <td style={{ padding: '0.75rem', color: '#ccc' }}>{describe(entry)}</td>
+                                <td style={{ padding: '0.75rem', color: '#aaa' }} title={[entry.origin, entry.ip].filter(Boolean).join(' from ')}>
+                                    {entry.operator || entry.origin || '-'}
+                                </td>
+                                <td style={{ padding: '0.75rem', textAlign: 'center', whiteSpace: 'nowrap' }}>
+                                    {entry.revertedBy ? (
+                                        <span style={{ color: '#888' }}>Reverted (#{entry.revertedBy})</span>
+                                    ) : (
+                                        <button
+                                            className="btn"
+                                            disabled={reverting === entry.id}
+                                            onClick={() => revert(entry)}
+                                            style={{ width: 'auto', padding: '0.25rem 0.6rem', fontSize: '0.8rem', background: 'transparent', border: '1px solid #666', color: '#ccc' }}
+                                        >
+                                            {reverting === entry.id ? 'Reverting...' : 'Revert'}
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {pagination.totalPages > 1 && (
+                <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', marginTop: '1rem', gap: '1rem' }}>
+                    <button
+                        className="btn"
+                        disabled={pagination.current === 1}
+                        onClick={() => setFilters({ ...filters, page: pagination.current - 1 })}
+                        style={{ padding: '0.4rem 0.8rem', fontSize: '0.85rem', opacity: pagination.current === 1 ? 0.5 : 1 }}
+                    >
+                        Previous
+                    </button>
+                    <span style={{ color: 'var(--text-secondary)' }}>
+                        Page <strong style={{ color: 'white' }}>{pagination.current}</strong> of {pagination.totalPages}
+                    </span>
+                    <button
+                        className="btn"
+                        disabled={pagination.current === pagination.totalPages}
+                        onClick={() => setFilters({ ...filters, page: pagination.current + 1 })}
+                        style={{ padding: '0.4rem 0.8rem', fontSize: '0.85rem', opacity: pagination.current === pagination.totalPages ? 0.5 : 1 }}
+                    >
+                        Next
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AuditLog;
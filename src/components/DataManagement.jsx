@@ -1,28 +1,98 @@
 import React, { useState, useEffect } from 'react';
+import ReceiptViewer from './ReceiptViewer';
+import SightingsTimeline from './SightingsTimeline';
+import AuditLog from './AuditLog';
+import RunsReport from './RunsReport';
+import UserManagement from './UserManagement';
+import ApiKeys from './ApiKeys';
+import Watchlist from './Watchlist';
+import Webhooks from './Webhooks';
 
-const DataManagement = ({ onDataChanged }) => {
+const STATUSES = ['pending', 'confirmed', 'imported', 'flagged'];
+const EMPTY_FILTERS = { format: '', series: '', district: '', source: '', since: '', until: '', status: '', from: '', to: '' };
+const filterStyle = { padding: '0.4rem', borderRadius: '6px', border: '1px solid #444', background: '#1a1a1a', color: '#fff', fontSize: '0.8rem', fontWeight: 'normal' };
+
+// `focusRecord` ({ id, serial_number, status }) opens the grid on that record, ready to edit;
+// `currentUser` is the logged-in admin
+const DataManagement = ({ onDataChanged, focusRecord, currentUser }) => {
     const [importStatus, setImportStatus] = useState(null);
     const [isImporting, setIsImporting] = useState(false);
 
     // Data Grid State
     const [records, setRecords] = useState([]);
-    const [pagination, setPagination] = useState({ current: 1, limit: 10, totalPages: 1 });
-    const [searchTerm, setSearchTerm] = useState('');
+    // Cursor pagination: `pageCursor` ({ after } or { before }, null for the first page) reloads the page shown
+    const [pagination, setPagination] = useState({ limit: 10, totalRecords: 0, nextCursor: null, prevCursor: null });
+    const [pageCursor, setPageCursor] = useState(null);
+    const [pageNumber, setPageNumber] = useState(1);
+    // Column sorted on; empty means the server's default (newest first)
+    const [sort, setSort] = useState({ by: '', order: 'asc' });
+    const [searchTerm, setSearchTerm] = useState(focusRecord ? focusRecord.serial_number : '');
     const [loading, setLoading] = useState(false);
 
     // Edit State
-    const [editingId, setEditingId] = useState(null);
-    const [editForm, setEditForm] = useState({ serial_number: '', status: '' });
+    const [editingId, setEditingId] = useState(focusRecord ? focusRecord.id : null);
+    const [editForm, setEditForm] = useState(focusRecord
+        ? { serial_number: focusRecord.serial_number, status: focusRecord.status }
+        : { serial_number: '', status: '' });
+
+    // Receipt viewer: { hash, serial } of the record whose receipt is shown
+    const [viewing, setViewing] = useState(null);
+
+    // Record whose sightings timeline is expanded under its row
+    const [timelineId, setTimelineId] = useState(null);
+
+    // History panel: serial it is filtered to, and a counter that reloads it after changes made here
+    const [historySerial, setHistorySerial] = useState('');
+    const [historyVersion, setHistoryVersion] = useState(0);
+
+    // Trash view: deleted records, with restore and permanent delete
+    const [showTrash, setShowTrash] = useState(false);
+    const [retentionDays, setRetentionDays] = useState(null);
+
+    // Column filters (the serial search is `searchTerm`) and a serial range, with the
+    // formats, series and districts the server knows for the dropdowns
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [attributes, setAttributes] = useState({ series: [], districts: [] });
+    const [formats, setFormats] = useState([]);
+
+    useEffect(() => {
+        fetch('/api/formats/attributes')
+            .then(res => (res.ok ? res.json() : null))
+            .then(data => { if (data) setAttributes(data); })
+            .catch(err => console.error('Failed to load series and districts:', err));
+        fetch('/api/formats')
+            .then(res => (res.ok ? res.json() : null))
+            .then(data => { if (data) setFormats(data); })
+            .catch(err => console.error('Failed to load formats:', err));
+    }, []);
+
+    const setFilter = (key, value) => setFilters({ ...filters, [key]: value });
 
-    // Fetch records on mount and when interactions occur
-    const fetchRecords = async (page = 1, q = '') => {
+    const districtName = (letter) => {
+        const district = attributes.districts.find(d => d.letter === letter);
+        return district ? `${district.number} ${district.name}` : letter;
+    };
+
+    // Fetch records on mount and when interactions occur; `cursor` picks the page (null: the first)
+    const fetchRecords = async (cursor = pageCursor) => {
         setLoading(true);
         try {
-            const res = await fetch(`/api/records?page=${page}&limit=${pagination.limit}&q=${encodeURIComponent(q)}`);
+            const params = new URLSearchParams({ limit: pagination.limit, q: searchTerm, ...cursor });
+            if (showTrash) params.set('deleted', 'only');
+            if (sort.by) {
+                params.set('sort', sort.by);
+                params.set('order', sort.order);
+            }
+            for (const [key, value] of Object.entries(filters)) {
+                if (value) params.set(key, value);
+            }
+            const res = await fetch(`/api/records?${params}`);
             if (res.ok) {
                 const data = await res.json();
                 setRecords(data.data);
                 setPagination(data.pagination);
+                setPageCursor(cursor);
+                if (data.trash) setRetentionDays(data.trash.retentionDays);
             }
         } catch (err) {
             console.error('Failed to fetch records:', err);
@@ -33,22 +103,48 @@ const DataManagement = ({ onDataChanged }) => {
 
     useEffect(() => {
         const timeoutId = setTimeout(() => {
-            fetchRecords(1, searchTerm);
+            setPageNumber(1);
+            fetchRecords(null);
         }, 300); // Debounce
         return () => clearTimeout(timeoutId);
-    }, [searchTerm]);
+    }, [searchTerm, filters, sort, showTrash]);
 
-    const handlePageChange = (newPage) => {
-        if (newPage > 0 && newPage <= pagination.totalPages) {
-            fetchRecords(newPage, searchTerm);
+    const handlePageChange = (direction) => {
+        if (direction === 'next' && pagination.nextCursor) {
+            setPageNumber(pageNumber + 1);
+            fetchRecords({ after: pagination.nextCursor });
+        } else if (direction === 'prev' && pagination.prevCursor) {
+            setPageNumber(Math.max(1, pageNumber - 1));
+            fetchRecords({ before: pagination.prevCursor });
         }
     };
 
+    // Clicking a column header sorts on it, clicking again reverses the order
+    const toggleSort = (column) => {
+        setSort(sort.by === column
+            ? { by: column, order: sort.order === 'asc' ? 'desc' : 'asc' }
+            : { by: column, order: 'asc' });
+    };
+
+    const sortableHeader = (label, column) => (
+        <th style={{ padding: '1rem', cursor: 'pointer', whiteSpace: 'nowrap', userSelect: 'none' }} onClick={() => toggleSort(column)}>
+            {label}
+            {sort.by === column && <span style={{ marginLeft: '0.35rem', fontSize: '0.75rem' }}>{sort.order === 'asc' ? '▲' : '▼'}</span>}
+        </th>
+    );
+
     const startEdit = (rec) => {
         setEditingId(rec.id);
         setEditForm({ serial_number: rec.serial_number, status: rec.status });
     };
 
+    // A box clicked in the receipt viewer: show that record in the grid and edit it
+    const openRecord = (rec) => {
+        setViewing(null);
+        setSearchTerm(rec.serial_number);
+        startEdit(rec);
+    };
+
     const cancelEdit = () => {
         setEditingId(null);
         setEditForm({ serial_number: '', status: '' });
@@ -64,7 +160,8 @@ const DataManagement = ({ onDataChanged }) => {
 
             if (res.ok) {
                 setEditingId(null);
-                fetchRecords(pagination.current, searchTerm);
+                setHistoryVersion(v => v + 1);
+                fetchRecords();
                 if (onDataChanged) onDataChanged();
             } else {
                 const err = await res.json();
@@ -76,13 +173,40 @@ const DataManagement = ({ onDataChanged }) => {
         }
     };
 
+    const toggleTrash = () => {
+        setShowTrash(!showTrash);
+        setSort({ by: '', order: 'asc' });
+        setEditingId(null);
+        setTimelineId(null);
+    };
+
+    // Restore ('POST .../restore') or permanently delete ('DELETE') a record in the trash
+    const trashAction = async (rec, method) => {
+        if (method === 'DELETE' && !window.confirm(`Permanently delete ${rec.serial_number}? This cannot be undone from the trash.`)) return;
+        try {
+            const res = await fetch(method === 'DELETE' ? `/api/trash/${rec.id}` : `/api/trash/${rec.id}/restore`, { method });
+            if (res.ok) {
+                if (onDataChanged) onDataChanged();
+                setHistoryVersion(v => v + 1);
+                fetchRecords();
+            } else {
+                const err = await res.json();
+                alert((method === 'DELETE' ? 'Delete failed: ' : 'Restore failed: ') + (err.error || 'Unknown error'));
+            }
+        } catch (e) {
+            console.error(e);
+            alert('Network error.');
+        }
+    };
+
     const deleteSerial = async (serial) => {
-        if (window.confirm(`Are you sure you want to delete ${serial}?`)) {
+        if (window.confirm(`Move ${serial} to the trash?`)) {
             try {
                 const res = await fetch(`/api/serials/${serial}`, { method: 'DELETE' });
                 if (res.ok) {
                     if (onDataChanged) onDataChanged();
-                    fetchRecords(pagination.current, searchTerm);
+                    setHistoryVersion(v => v + 1);
+                    fetchRecords();
                 } else {
                     alert('Failed to delete serial.');
                 }
@@ -128,7 +252,8 @@ const DataManagement = ({ onDataChanged }) => {
                 const data = await res.json();
                 setImportStatus({ success: true, message: data.message });
                 if (onDataChanged) onDataChanged();
-                fetchRecords(pagination.current, searchTerm);
+                setHistoryVersion(v => v + 1);
+                fetchRecords();
             } else {
                 const errData = await res.json();
                 setImportStatus({ success: false, message: 'Import failed: ' + (errData.error || 'Unknown error') });
@@ -147,7 +272,7 @@ const DataManagement = ({ onDataChanged }) => {
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
                 <h2 style={{ fontSize: '1.8rem', fontWeight: 'bold' }}>Data Management</h2>
                 <div style={{ display: 'flex', gap: '0.5rem' }}>
-                    <button className="btn" onClick={() => fetchRecords(pagination.current, searchTerm)} style={{ background: 'var(--glass-bg)', border: '1px solid var(--glass-border)' }}>
+                    <button className="btn" onClick={() => fetchRecords()} style={{ background: 'var(--glass-bg)', border: '1px solid var(--glass-border)' }}>
                         Refresh
                     </button>
                 </div>
@@ -156,116 +281,279 @@ const DataManagement = ({ onDataChanged }) => {
             {/* DATA VIEWER */}
             <div className="card" style={{ background: 'rgba(0,0,0,0.2)', marginBottom: '2rem', border: '1px solid var(--glass-border)' }}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', flexWrap: 'wrap', gap: '1rem' }}>
-                    <h3 style={{ margin: 0 }}>Records ({pagination.totalRecords})</h3>
-                    <input
-                        type="text"
-                        placeholder="Search Serial Number..."
-                        value={searchTerm}
-                        onChange={(e) => setSearchTerm(e.target.value)}
-                        style={{
-                            padding: '0.6rem 1rem',
-                            borderRadius: '8px',
-                            border: '1px solid #444',
-                            background: '#1a1a1a',
-                            color: '#fff',
-                            minWidth: '250px'
-                        }}
-                    />
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+                        <h3 style={{ margin: 0 }}>{showTrash ? 'Trash' : 'Records'} ({pagination.totalRecords})</h3>
+                        <button
+                            className="btn"
+                            onClick={toggleTrash}
+                            style={{ width: 'auto', padding: '0.4rem 0.8rem', fontSize: '0.85rem', background: 'transparent', border: '1px solid #666', color: '#ccc' }}
+                        >
+                            {showTrash ? 'Back to records' : 'Trash'}
+                        </button>
+                    </div>
+                    <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+                        <input
+                            type="text"
+                            placeholder="From serial"
+                            value={filters.from}
+                            onChange={(e) => setFilter('from', e.target.value.toUpperCase())}
+                            style={{ ...filterStyle, width: '9rem', padding: '0.6rem', fontFamily: 'monospace' }}
+                        />
+                        <input
+                            type="text"
+                            placeholder="To serial"
+                            value={filters.to}
+                            onChange={(e) => setFilter('to', e.target.value.toUpperCase())}
+                            style={{ ...filterStyle, width: '9rem', padding: '0.6rem', fontFamily: 'monospace' }}
+                        />
+                        <button
+                            className="btn"
+                            onClick={() => {
+                                setFilters(EMPTY_FILTERS);
+                                setSearchTerm('');
+                            }}
+                            style={{ width: 'auto', padding: '0.5rem 0.8rem', fontSize: '0.85rem', background: 'transparent', border: '1px solid #666', color: '#ccc' }}
+                        >
+                            Clear filters
+                        </button>
+                    </div>
                 </div>
 
+                {showTrash && retentionDays !== null && (
+                    <p style={{ margin: '0 0 1rem', color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                        {retentionDays > 0
+                            ? `Records are permanently deleted ${retentionDays} days after they were moved to the trash.`
+                            : 'Records stay in the trash until they are deleted permanently.'}
+                    </p>
+                )}
+
                 <div style={{ overflowX: 'auto', borderRadius: '8px', border: '1px solid #333' }}>
                     <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left', fontSize: '0.9rem' }}>
                         <thead>
                             <tr style={{ background: 'rgba(255,255,255,0.05)', color: '#ccc' }}>
-                                <th style={{ padding: '1rem' }}>Serial Number</th>
-                                <th style={{ padding: '1rem' }}>Source</th>
-                                <th style={{ padding: '1rem' }}>Date</th>
-                                <th style={{ padding: '1rem' }}>Status</th>
+                                {sortableHeader('Serial Number', 'serial_number')}
+                                {sortableHeader('Format', 'format')}
+                                {sortableHeader('Series', 'series')}
+                                {sortableHeader('District', 'district')}
+                                {sortableHeader('Source', 'source_filename')}
+                                {showTrash ? sortableHeader('Deleted', 'deleted_at') : sortableHeader('Date', 'extracted_at')}
+                                {sortableHeader('Status', 'status')}
+                                {sortableHeader('Seen', 'sightings')}
                                 <th style={{ padding: '1rem', textAlign: 'center' }}>Actions</th>
                             </tr>
+                            <tr style={{ background: 'rgba(255,255,255,0.03)' }}>
+                                <th style={{ padding: '0 0.5rem 0.75rem' }}>
+                                    <input
+                                        type="text"
+                                        placeholder="Search..."
+                                        value={searchTerm}
+                                        onChange={(e) => setSearchTerm(e.target.value)}
+                                        style={{ ...filterStyle, width: '100%', minWidth: '8rem' }}
+                                    />
+                                </th>
+                                <th style={{ padding: '0 0.5rem 0.75rem' }}>
+                                    <select value={filters.format} onChange={(e) => setFilter('format', e.target.value)} style={filterStyle}>
+                                        <option value="">All</option>
+                                        {formats.map(f => <option key={f.name} value={f.name}>{f.name}</option>)}
+                                    </select>
+                                </th>
+                                <th style={{ padding: '0 0.5rem 0.75rem' }}>
+                                    <select value={filters.series} onChange={(e) => setFilter('series', e.target.value)} style={filterStyle}>
+                                        <option value="">All</option>
+                                        {attributes.series.map(s => <option key={s.letter} value={s.series}>{s.series}</option>)}
+                                    </select>
+                                </th>
+                                <th style={{ padding: '0 0.5rem 0.75rem' }}>
+                                    <select value={filters.district} onChange={(e) => setFilter('district', e.target.value)} style={filterStyle}>
+                                        <option value="">All</option>
+                                        {attributes.districts.map(d => <option key={d.letter} value={d.letter}>{d.letter} - {d.name}</option>)}
+                                    </select>
+                                </th>
+                                <th style={{ padding: '0 0.5rem 0.75rem' }}>
+                                    <input
+                                        type="text"
+                                        placeholder="Source..."
+                                        value={filters.source}
+                                        onChange={(e) => setFilter('source', e.target.value)}
+                                        style={{ ...filterStyle, width: '100%', minWidth: '6rem' }}
+                                    />
+                                </th>
+                                <th style={{ padding: '0 0.5rem 0.75rem' }}>
+                                    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem' }}>
+                                        <input type="date" title="From date" value={filters.since} onChange={(e) => setFilter('since', e.target.value)} style={filterStyle} />
+                                        <input type="date" title="To date" value={filters.until} onChange={(e) => setFilter('until', e.target.value)} style={filterStyle} />
+                                    </div>
+                                </th>
+                                <th style={{ padding: '0 0.5rem 0.75rem' }}>
+                                    <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)} style={filterStyle}>
+                                        <option value="">All</option>
+                                        {STATUSES.map(st => <option key={st} value={st}>{st}</option>)}
+                                    </select>
+                                </th>
+                                <th></th>
+                                <th></th>
+                            </tr>
                         </thead>
                         <tbody>
                             {loading ? (
-                                <tr><td colSpan="5" style={{ padding: '2rem', textAlign: 'center', color: '#888' }}>Loading records...</td></tr>
+                                <tr><td colSpan="9" style={{ padding: '2rem', textAlign: 'center', color: '#888' }}>Loading records...</td></tr>
                             ) : records.length === 0 ? (
-                                <tr><td colSpan="5" style={{ padding: '2rem', textAlign: 'center', color: '#888' }}>No records found.</td></tr>
+                                <tr><td colSpan="9" style={{ padding: '2rem', textAlign: 'center', color: '#888' }}>No records found.</td></tr>
                             ) : (
                                 records.map((rec) => (
-                                    <tr key={rec.id} style={{ borderTop: '1px solid #333', transition: 'background 0.2s', background: editingId === rec.id ? 'rgba(255,255,255,0.05)' : 'transparent' }}>
-                                        {editingId === rec.id ? (
-                                            <>
-                                                <td style={{ padding: '0.75rem' }}>
-                                                    <input
-                                                        type="text"
-                                                        value={editForm.serial_number}
-                                                        onChange={(e) => setEditForm({ ...editForm, serial_number: e.target.value })}
-                                                        style={{ width: '100%', padding: '0.5rem', background: '#333', border: '1px solid #555', color: 'white', borderRadius: '4px' }}
-                                                    />
-                                                </td>
-                                                <td style={{ padding: '0.75rem', color: '#888' }}>{rec.source_filename}</td>
-                                                <td style={{ padding: '0.75rem', color: '#888' }}>{new Date(rec.extracted_at).toLocaleDateString()}</td>
-                                                <td style={{ padding: '0.75rem' }}>
-                                                    <select
-                                                        value={editForm.status}
-                                                        onChange={(e) => setEditForm({ ...editForm, status: e.target.value })}
-                                                        style={{ padding: '0.5rem', background: '#333', border: '1px solid #555', color: 'white', borderRadius: '4px' }}
-                                                    >
-                                                        <option value="confirmed">Confirmed</option>
-                                                        <option value="imported">Imported</option>
-                                                        <option value="flagged">Flagged</option>
-                                                    </select>
-                                                </td>
-                                                <td style={{ padding: '0.75rem', textAlign: 'center' }}>
-                                                    <div style={{ display: 'flex', justifyContent: 'center', gap: '0.5rem' }}>
-                                                        <button onClick={() => saveEdit(rec.id)} className="btn" style={{ padding: '0.25rem 0.5rem', fontSize: '0.8rem', background: '#4caf50' }}>Save</button>
-                                                        <button onClick={cancelEdit} className="btn" style={{ padding: '0.25rem 0.5rem', fontSize: '0.8rem', background: '#555' }}>Cancel</button>
-                                                    </div>
-                                                </td>
-                                            </>
-                                        ) : (
-                                            <>
-                                                <td style={{ padding: '1rem', fontFamily: 'monospace', fontSize: '1rem', color: '#fff' }}>
-                                                    {rec.serial_number}
-                                                </td>
-                                                <td style={{ padding: '1rem', color: '#aaa', maxWidth: '200px', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
-                                                    {rec.source_filename || '-'}
-                                                </td>
-                                                <td style={{ padding: '1rem', color: '#aaa' }}>
-                                                    {new Date(rec.extracted_at).toLocaleDateString()}
-                                                </td>
-                                                <td style={{ padding: '1rem' }}>
-                                                    <span style={{
-                                                        padding: '4px 8px',
-                                                        borderRadius: '12px',
-                                                        fontSize: '0.8rem',
-                                                        background: rec.status === 'confirmed' ? 'rgba(76, 175, 80, 0.2)' : 'rgba(255, 255, 255, 0.1)',
-                                                        color: rec.status === 'confirmed' ? '#81c784' : '#ccc',
-                                                        border: rec.status === 'confirmed' ? '1px solid rgba(76, 175, 80, 0.3)' : '1px solid #444'
-                                                    }}>
-                                                        {rec.status}
-                                                    </span>
-                                                </td>
-                                                <td style={{ padding: '1rem', textAlign: 'center' }}>
-                                                    <div style={{ display: 'flex', justifyContent: 'center', gap: '0.5rem' }}>
-                                                        <button
-                                                            onClick={() => startEdit(rec)}
-                                                            className="btn"
-                                                            style={{ padding: '0.4rem 0.8rem', fontSize: '0.8rem', background: 'transparent', border: '1px solid #666', color: '#ccc' }}
+                                    <React.Fragment key={rec.id}>
+                                        <tr style={{ borderTop: '1px solid #333', transition: 'background 0.2s', background: editingId === rec.id ? 'rgba(255,255,255,0.05)' : 'transparent' }}>
+                                            {editingId === rec.id ? (
+                                                <>
+                                                    <td style={{ padding: '0.75rem' }}>
+                                                        <input
+                                                            type="text"
+                                                            value={editForm.serial_number}
+                                                            onChange={(e) => setEditForm({ ...editForm, serial_number: e.target.value })}
+                                                            style={{ width: '100%', padding: '0.5rem', background: '#333', border: '1px solid #555', color: 'white', borderRadius: '4px' }}
+                                                        />
+                                                    </td>
+                                                    <td style={{ padding: '0.75rem', color: '#888' }}>{rec.format || '-'}</td>
+                                                    <td style={{ padding: '0.75rem', color: '#888' }}>{rec.series || '-'}</td>
+                                                    <td style={{ padding: '0.75rem', color: '#888' }}>{rec.district || '-'}</td>
+                                                    <td style={{ padding: '0.75rem', color: '#888' }}>{rec.source_filename}</td>
+                                                    <td style={{ padding: '0.75rem', color: '#888' }}>{new Date(rec.extracted_at).toLocaleDateString()}</td>
+                                                    <td style={{ padding: '0.75rem' }}>
+                                                        <select
+                                                            value={editForm.status}
+                                                            onChange={(e) => setEditForm({ ...editForm, status: e.target.value })}
+                                                            style={{ padding: '0.5rem', background: '#333', border: '1px solid #555', color: 'white', borderRadius: '4px' }}
                                                         >
-                                                            Edit
-                                                        </button>
+                                                            <option value="pending">Pending</option>
+                                                            <option value="confirmed">Confirmed</option>
+                                                            <option value="imported">Imported</option>
+                                                            <option value="flagged">Flagged</option>
+                                                        </select>
+                                                    </td>
+                                                    <td style={{ padding: '0.75rem', color: '#888' }}>{rec.sightings}×</td>
+                                                    <td style={{ padding: '0.75rem', textAlign: 'center' }}>
+                                                        <div style={{ display: 'flex', justifyContent: 'center', gap: '0.5rem' }}>
+                                                            <button onClick={() => saveEdit(rec.id)} className="btn" style={{ padding: '0.25rem 0.5rem', fontSize: '0.8rem', background: '#4caf50' }}>Save</button>
+                                                            <button onClick={cancelEdit} className="btn" style={{ padding: '0.25rem 0.5rem', fontSize: '0.8rem', background: '#555' }}>Cancel</button>
+                                                        </div>
+                                                    </td>
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <td style={{ padding: '1rem', fontFamily: 'monospace', fontSize: '1rem', color: '#fff' }}>
+                                                        {rec.serial_number}
+                                                    </td>
+                                                    <td style={{ padding: '1rem', color: '#aaa', whiteSpace: 'nowrap' }}>
+                                                        {rec.format || '-'}
+                                                    </td>
+                                                    <td style={{ padding: '1rem', color: '#aaa', whiteSpace: 'nowrap' }}>
+                                                        {rec.series || '-'}
+                                                    </td>
+                                                    <td style={{ padding: '1rem', color: '#aaa', whiteSpace: 'nowrap' }} title={rec.district ? districtName(rec.district) : undefined}>
+                                                        {rec.district || '-'}
+                                                    </td>
+                                                    <td style={{ padding: '1rem', color: '#aaa', maxWidth: '200px', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                                                        {rec.receipt_hash && (
+                                                            <button
+                                                                onClick={() => setViewing({ hash: rec.receipt_hash, serial: rec.serial_number })}
+                                                                className="btn"
+                                                                title="Show where this serial was read on the receipt"
+                                                                style={{ width: 'auto', padding: '0.2rem 0.5rem', marginRight: '0.5rem', fontSize: '0.75rem', background: 'transparent', border: '1px solid #666', color: '#ccc' }}
+                                                            >
+                                                                View
+                                                            </button>
+                                                        )}
+                                                        {rec.source_filename || '-'}
+                                                        {rec.source_page > 1 && ` (p. ${rec.source_page})`}
+                                                    </td>
+                                                    <td style={{ padding: '1rem', color: '#aaa' }}>
+                                                        {new Date(showTrash ? rec.deleted_at : rec.extracted_at).toLocaleDateString()}
+                                                    </td>
+                                                    <td style={{ padding: '1rem' }}>
+                                                        <span style={{
+                                                            padding: '4px 8px',
+                                                            borderRadius: '12px',
+                                                            fontSize: '0.8rem',
+                                                            background: rec.status === 'confirmed' ? 'rgba(76, 175, 80, 0.2)' : 'rgba(255, 255, 255, 0.1)',
+                                                            color: rec.status === 'confirmed' ? '#81c784' : '#ccc',
+                                                            border: rec.status === 'confirmed' ? '1px solid rgba(76, 175, 80, 0.3)' : '1px solid #444'
+                                                        }}>
+                                                            {rec.status}
+                                                        </span>
+                                                        {rec.flagged_at && (
+                                                            <span title={`Watchlist hit, ${new Date(rec.flagged_at).toLocaleString()}`} style={{ marginLeft: '0.5rem', color: 'var(--error-color)', fontSize: '0.8rem' }}>
+                                                                ⚠ watchlist
+                                                            </span>
+                                                        )}
+                                                    </td>
+                                                    <td style={{ padding: '1rem', whiteSpace: 'nowrap' }}>
                                                         <button
-                                                            className="btn"
-                                                            style={{ padding: '0.4rem 0.8rem', fontSize: '0.8rem', background: 'rgba(255, 68, 68, 0.1)', color: '#ff6666', border: '1px solid rgba(255, 68, 68, 0.3)' }}
-                                                            onClick={() => deleteSerial(rec.serial_number)}
+                                                            onClick={() => setTimelineId(timelineId === rec.id ? null : rec.id)}
+                                                            title="Show every time this serial was seen"
+                                                            style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: rec.sightings > 1 ? 'var(--accent-color)' : '#aaa', textDecoration: 'underline' }}
                                                         >
-                                                            Delete
+                                                            {rec.sightings}×
                                                         </button>
+                                                    </td>
+                                                    <td style={{ padding: '1rem', textAlign: 'center' }}>
+                                                        {showTrash ? (
+                                                            <div style={{ display: 'flex', justifyContent: 'center', gap: '0.5rem' }}>
+                                                                <button
+                                                                    onClick={() => trashAction(rec, 'POST')}
+                                                                    className="btn"
+                                                                    style={{ padding: '0.4rem 0.8rem', fontSize: '0.8rem', background: 'transparent', border: '1px solid #666', color: '#ccc' }}
+                                                                >
+                                                                    Restore
+                                                                </button>
+                                                                <button
+                                                                    className="btn"
+                                                                    style={{ padding: '0.4rem 0.8rem', fontSize: '0.8rem', background: 'rgba(255, 68, 68, 0.1)', color: '#ff6666', border: '1px solid rgba(255, 68, 68, 0.3)' }}
+                                                                    onClick={() => trashAction(rec, 'DELETE')}
+                                                                >
+                                                                    Delete forever
+                                                                </button>
+                                                            </div>
+                                                        ) : (
+                                                            <div style={{ display: 'flex', justifyContent: 'center', gap: '0.5rem' }}>
+                                                                <button
+                                                                    onClick={() => startEdit(rec)}
+                                                                    className="btn"
+                                                                    style={{ padding: '0.4rem 0.8rem', fontSize: '0.8rem', background: 'transparent', border: '1px solid #666', color: '#ccc' }}
+                                                                >
+                                                                    Edit
+                                                                </button>
+                                                                <button
+                                                                    onClick={() => setHistorySerial(rec.serial_number)}
+                                                                    className="btn"
+                                                                    title="Show every change to this serial"
+                                                                    style={{ padding: '0.4rem 0.8rem', fontSize: '0.8rem', background: 'transparent', border: '1px solid #666', color: '#ccc' }}
+                                                                >
+                                                                    History
+                                                                </button>
+                                                                <button
+                                                                    className="btn"
+                                                                    style={{ padding: '0.4rem 0.8rem', fontSize: '0.8rem', background: 'rgba(255, 68, 68, 0.1)', color: '#ff6666', border: '1px solid rgba(255, 68, 68, 0.3)' }}
+                                                                    onClick={() => deleteSerial(rec.serial_number)}
+                                                                >
+                                                                    Delete
+                                                                </button>
+                                                            </div>
+                                                        )}
+                                                    </td>
+                                                </>
+                                            )}
+                                        </tr>
+                                        {timelineId === rec.id && (
+                                            <tr style={{ background: 'rgba(0,0,0,0.2)' }}>
+                                                <td colSpan="9" style={{ padding: '0.75rem 1rem 1rem 2rem' }}>
+                                                    <div style={{ color: '#ccc', marginBottom: '0.5rem', fontSize: '0.85rem' }}>
+                                                        {rec.serial_number} seen {rec.sightings} {rec.sightings === 1 ? 'time' : 'times'}
                                                     </div>
+                                                    <SightingsTimeline serial={rec.serial_number} />
                                                 </td>
-                                            </>
+                                            </tr>
                                         )}
-                                    </tr>
+                                    </React.Fragment>
                                 ))
                             )}
                         </tbody>
@@ -276,26 +564,56 @@ const DataManagement = ({ onDataChanged }) => {
                 <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', marginTop: '1.5rem', gap: '1rem' }}>
                     <button
                         className="btn"
-                        disabled={pagination.current === 1}
-                        onClick={() => handlePageChange(pagination.current - 1)}
-                        style={{ padding: '0.5rem 1rem', fontSize: '0.9rem', opacity: pagination.current === 1 ? 0.5 : 1 }}
+                        disabled={!pagination.prevCursor}
+                        onClick={() => handlePageChange('prev')}
+                        style={{ padding: '0.5rem 1rem', fontSize: '0.9rem', opacity: pagination.prevCursor ? 1 : 0.5 }}
                     >
                         Previous
                     </button>
                     <span style={{ color: 'var(--text-secondary)' }}>
-                        Page <strong style={{ color: 'white' }}>{pagination.current}</strong> of {pagination.totalPages}
+                        Page <strong style={{ color: 'white' }}>{pageNumber}</strong> of {Math.max(1, Math.ceil(pagination.totalRecords / pagination.limit))}
                     </span>
                     <button
                         className="btn"
-                        disabled={pagination.current === pagination.totalPages}
-                        onClick={() => handlePageChange(pagination.current + 1)}
-                        style={{ padding: '0.5rem 1rem', fontSize: '0.9rem', opacity: pagination.current === pagination.totalPages ? 0.5 : 1 }}
+                        disabled={!pagination.nextCursor}
+                        onClick={() => handlePageChange('next')}
+                        style={{ padding: '0.5rem 1rem', fontSize: '0.9rem', opacity: pagination.nextCursor ? 1 : 0.5 }}
                     >
                         Next
                     </button>
                 </div>
             </div>
 
+            {/* USERS */}
+            <UserManagement currentUser={currentUser} />
+
+            {/* WATCHLIST */}
+            <Watchlist />
+
+            {/* API KEYS */}
+            <ApiKeys />
+
+            {/* WEBHOOKS */}
+            <Webhooks />
+
+            {/* RUNS */}
+            <RunsReport
+                series={filters.series}
+                district={filters.district}
+                version={historyVersion}
+                onShowRun={(run) => setFilters({ ...filters, from: run.first, to: run.last })}
+            />
+
+            {/* HISTORY */}
+            <AuditLog
+                key={`${historySerial}:${historyVersion}`}
+                serial={historySerial}
+                onReverted={() => {
+                    fetchRecords();
+                    if (onDataChanged) onDataChanged();
+                }}
+            />
+
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '2rem' }}>
 
                 {/* EXPORT SECTION */}
@@ -349,14 +667,14 @@ const DataManagement = ({ onDataChanged }) => {
                     <div>
                         <h3 style={{ marginBottom: '0.5rem', color: '#ff6666' }}>Danger Zone</h3>
                         <p style={{ margin: 0, color: '#aaa', fontSize: '0.9rem' }}>
-                            Resetting the database will permanently delete all records.
+                            Resetting the database deletes all records. The reset can be reverted from the history.
                         </p>
                     </div>
                     <button
                         className="btn"
                         style={{ background: '#d32f2f', color: 'white', border: 'none', padding: '0.6rem 1.2rem' }}
                         onClick={async () => {
-                            if (window.confirm('WARNING: This will PERMANENTLY DELETE ALL DATA.\n\nAre you sure you want to format the database?')) {
+                            if (window.confirm('WARNING: This will DELETE ALL RECORDS.\n\nAre you sure you want to format the database?')) {
                                 const confirmation = window.prompt("Type 'DELETE' to confirm database format:");
                                 if (confirmation === 'DELETE') {
                                     try {
@@ -383,6 +701,15 @@ const DataManagement = ({ onDataChanged }) => {
                 </div>
             </div>
 
+            {viewing && (
+                <ReceiptViewer
+                    hash={viewing.hash}
+                    focus={viewing.serial}
+                    onClose={() => setViewing(null)}
+                    onOpenRecord={openRecord}
+                />
+            )}
+
             {importStatus && (
                 <div className={`result-box ${importStatus.success ? 'result-success' : 'result-error'}`} style={{ marginTop: '2rem' }}>
                     {importStatus.message}
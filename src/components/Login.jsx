@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+
+/**
+ * Login form. With `setupRequired` (no accounts yet) it creates the first
+ * admin instead. `onLogin(user)` is called once the session cookie is set.
+ */
+const Login = ({ setupRequired = false, onLogin }) => {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (setupRequired && password !== confirm) {
+            setError('The passwords do not match.');
+            return;
+        }
+        setBusy(true);
+        setError(null);
+        try {
+            const res = await fetch(setupRequired ? '/api/auth/setup' : '/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            const data = await res.json();
+            if (res.ok) {
+                onLogin(data.user);
+            } else {
+                setError(data.error || 'Login failed.');
+            }
+        } catch (err) {
+            console.error(err);
+            setError('Network error during login.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="card fade-in" style={{ maxWidth: '420px', margin: '0 auto' }}>
+            <h2 style={{ marginBottom: '0.5rem', fontSize: '1.5rem' }}>{setupRequired ? 'Create the admin account' : 'Log in'}</h2>
+            {setupRequired && (
+                <p style={{ marginBottom: '1.5rem', color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                    There are no accounts yet. The first one is an admin, who can add the others from Manage Data.
+                </p>
+            )}
+            <form onSubmit={handleSubmit}>
+                <div className="input-group">
+                    <label htmlFor="login-username" className="input-label">Username</label>
+                    <input
+                        id="login-username"
+                        type="text"
+                        className="input-field"
+                        value={username}
+                        onChange={(e) => setUsername(e.target.value)}
+                        autoComplete="username"
+                        autoFocus
+                    />
+                </div>
+                <div className="input-group">
+                    <label htmlFor="login-password" className="input-label">Password</label>
+                    <input
+                        id="login-password"
+                        type="password"
+                        className="input-field"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        autoComplete={setupRequired ? 'new-password' : 'current-password'}
+                    />
+                </div>
+                {setupRequired && (
+                    <div className="input-group">
+                        <label htmlFor="login-confirm" className="input-label">Confirm password</label>
+                        <input
+                            id="login-confirm"
+                            type="password"
+                            className="input-field"
+                            value={confirm}
+                            onChange={(e) => setConfirm(e.target.value)}
+                            autoComplete="new-password"
+                        />
+                    </div>
+                )}
+                <button type="submit" className="btn" disabled={busy || !username || !password}>
+                    {busy ? 'Please wait...' : setupRequired ? 'Create account' : 'Log in'}
+                </button>
+            </form>
+            {error && <div className="result-box result-error">{error}</div>}
+        </div>
+    );
+};
+
+export default Login;
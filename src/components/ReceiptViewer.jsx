@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// How much of the viewer width the selected serial should fill when zoomed in
+const ZOOM_TARGET = 0.4;
+const MAX_ZOOM = 5;
+
+const statusColor = (status) => (status === 'pending' ? '#ff9800' : '#4caf50');
+
+// Scrolls the viewport so the box (fractions of the page) is in the middle
+const centreOn = (el, box) => {
+    if (!el || !box) return;
+    const content = el.firstElementChild;
+    el.scrollLeft = ((box.x0 + box.x1) / 2) * content.offsetWidth - el.clientWidth / 2;
+    el.scrollTop = ((box.y0 + box.y1) / 2) * content.offsetHeight - el.clientHeight / 2;
+};
+
+/**
+ * Shows a stored receipt with a box around every serial read from it.
+ * Selecting a serial (in the list, or via `focus`) zooms to it; clicking a
+ * box calls onOpenRecord with that serial's record.
+ */
+const ReceiptViewer = ({ hash, focus, onClose, onOpenRecord }) => {
+    const [receipt, setReceipt] = useState(null);
+    const [error, setError] = useState(null);
+    const [selected, setSelected] = useState(focus || null);
+    const [page, setPage] = useState(null);
+    const [zoomed, setZoomed] = useState(!!focus);
+    const scroller = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetch(`/api/receipts/${hash}`)
+            .then(async (res) => {
+                const data = await res.json();
+                if (cancelled) return;
+                if (res.ok) {
+                    setReceipt(data);
+                } else {
+                    setError(data.error || 'Failed to load receipt.');
+                }
+            })
+            .catch((err) => {
+                console.error(err);
+                if (!cancelled) setError('Network error while loading the receipt.');
+            });
+        return () => { cancelled = true; };
+    }, [hash]);
+
+    const serials = receipt ? receipt.serials : [];
+    const selectedSerial = serials.find(s => s.serial_number === selected) || null;
+    const currentPage = page ?? (selectedSerial ? selectedSerial.source_page : 1);
+    const pageInfo = receipt ? receipt.pages.find(p => p.page === currentPage) || receipt.pages[0] : null;
+    const pageSerials = serials.filter(s => s.source_page === currentPage);
+
+    const box = zoomed && selectedSerial && selectedSerial.source_page === currentPage ? selectedSerial.bbox : null;
+    const scale = box ? Math.min(MAX_ZOOM, Math.max(1, ZOOM_TARGET / Math.max(box.x1 - box.x0, 0.01))) : 1;
+
+    // Centre the selected box once the (scaled) image is laid out; again on image load below
+    useEffect(() => {
+        centreOn(scroller.current, box);
+    }, [box, scale, currentPage]);
+
+    const select = (s) => {
+        setSelected(s.serial_number);
+        setPage(s.source_page);
+        setZoomed(true);
+    };
+
+    return (
+        <div
+            onClick={onClose}
+            style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.75)', zIndex: 1000, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '1rem' }}
+        >
+            <div
+                className="card"
+                onClick={(e) => e.stopPropagation()}
+                style={{ width: '100%', maxWidth: '1100px', maxHeight: '95vh', display: 'flex', flexDirection: 'column', gap: '1rem', padding: '1.25rem' }}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+                    <h3 style={{ margin: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {receipt ? receipt.filename : 'Receipt'}
+                    </h3>
+                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                        {receipt && receipt.pages.length > 1 && (
+                            <select className="input-field" value={currentPage} onChange={(e) => setPage(Number(e.target.value))} style={{ padding: '0.4rem', width: 'auto' }}>
+                                {receipt.pages.map(p => (
+                                    <option key={p.page} value={p.page}>Page {p.page}</option>
+                                ))}
+                            </select>
+                        )}
+                        <button
+                            className="btn"
+                            onClick={() => setZoomed(!zoomed)}
+                            disabled={!selectedSerial || !selectedSerial.bbox}
+                            style={{ width: 'auto', padding: '0.4rem 0.8rem', fontSize: '0.85rem', background: 'var(--glass-bg)', border: '1px solid var(--glass-border)', color: 'var(--text-primary)', opacity: selectedSerial && selectedSerial.bbox ? 1 : 0.5 }}
+                        >
+                            {zoomed ? 'Fit page' : 'Zoom to serial'}
+                        </button>
+                        {receipt && (
+                            <a href={receipt.url} target="_blank" rel="noreferrer" style={{ color: 'var(--accent-color)', fontSize: '0.85rem' }}>
+                                Original
+                            </a>
+                        )}
+                        <button className="btn" onClick={onClose} style={{ width: 'auto', padding: '0.4rem 0.8rem', fontSize: '0.85rem', background: '#555' }}>
+                            Close
+                        </button>
+                    </div>
+                </div>
+
+                {error && <div className="result-box result-error">{error}</div>}
+                {!receipt && !error && <p style={{ textAlign: 'center', color: '#888', padding: '2rem' }}>Loading receipt...</p>}
+
+                {receipt && pageInfo && (
+                    <div style={{ display: 'flex', gap: '1rem', minHeight: 0, flex: 1 }}>
+                        <div ref={scroller} style={{ flex: 1, overflow: 'auto', maxHeight: '75vh', background: '#111', borderRadius: '8px', border: '1px solid #333' }}>
+                            <div style={{ position: 'relative', width: `${scale * 100}%` }}>
+                                <img
+                                    src={pageInfo.image}
+                                    alt={`Page ${currentPage}`}
+                                    onLoad={() => centreOn(scroller.current, box)}
+                                    style={{ width: '100%', display: 'block' }}
+                                />
+                                {pageSerials.filter(s => s.bbox).map(s => (
+                                    <button
+                                        key={s.id}
+                                        type="button"
+                                        title={`${s.serial_number} (${s.status}${s.confidence != null ? `, ${Math.round(s.confidence * 100)}%` : ''}) — open record`}
+                                        onClick={() => onOpenRecord && onOpenRecord(s)}
+                                        style={{
+                                            position: 'absolute',
+                                            left: `${s.bbox.x0 * 100}%`,
+                                            top: `${s.bbox.y0 * 100}%`,
+                                            width: `${(s.bbox.x1 - s.bbox.x0) * 100}%`,
+                                            height: `${(s.bbox.y1 - s.bbox.y0) * 100}%`,
+                                            padding: 0,
+                                            cursor: 'pointer',
+                                            background: s.serial_number === selected ? 'rgba(234, 179, 8, 0.25)' : 'rgba(76, 175, 80, 0.12)',
+                                            border: `${s.serial_number === selected ? 3 : 2}px solid ${s.serial_number === selected ? '#eab308' : statusColor(s.status)}`,
+                                            borderRadius: '2px'
+                                        }}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+
+                        <ul style={{ listStyle: 'none', width: '220px', flexShrink: 0, overflowY: 'auto', maxHeight: '75vh', fontSize: '0.85rem' }}>
+                            {serials.length === 0 && <li style={{ color: '#888' }}>No serials stored for this receipt.</li>}
+                            {serials.map(s => (
+                                <li key={s.id}>
+                                    <button
+                                        type="button"
+                                        onClick={() => select(s)}
+                                        style={{
+                                            width: '100%',
+                                            textAlign: 'left',
+                                            padding: '0.5rem',
+                                            marginBottom: '0.25rem',
+                                            cursor: 'pointer',
+                                            borderRadius: '4px',
+                                            border: `1px solid ${s.serial_number === selected ? '#eab308' : 'var(--glass-border)'}`,
+                                            background: s.serial_number === selected ? 'rgba(234, 179, 8, 0.1)' : 'transparent',
+                                            color: 'var(--text-primary)'
+                                        }}
+                                    >
+                                        <div style={{ fontFamily: 'monospace' }}>{s.serial_number}</div>
+                                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.75rem' }}>
+                                            <span style={{ color: statusColor(s.status) }}>{s.status}</span>
+                                            {receipt.pages.length > 1 && ` · p${s.source_page}`}
+                                            {s.confidence != null && ` · ${Math.round(s.confidence * 100)}%`}
+                                            {!s.bbox && ' · no position'}
+                                        </div>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ReceiptViewer;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+// Receipts stored before uploads were kept (or when storage failed) only have a filename
+const isImageUrl = (src) => typeof src === 'string' && (src.startsWith('/') || src.startsWith('http'));
+// Browsers cannot show these inline as <img>; link to them instead
+const isDocumentUrl = (src) => /\.(pdf|tiff?)$/i.test(src.split(/[?#]/)[0]);
+
+const ReviewQueue = ({ onReviewed }) => {
+    const [candidates, setCandidates] = useState([]);
+    const [pagination, setPagination] = useState({ current: 1, limit: 20, totalPages: 1, totalRecords: 0 });
+    const [loading, setLoading] = useState(false);
+    const [edits, setEdits] = useState({});
+    const [selected, setSelected] = useState([]);
+    const [message, setMessage] = useState(null);
+
+    const fetchQueue = useCallback(async (page = 1) => {
+        setLoading(true);
+        try {
+            const res = await fetch(`/api/review?page=${page}&limit=20`);
+            if (res.ok) {
+                const data = await res.json();
+                setCandidates(data.data);
+                setPagination(data.pagination);
+                setSelected([]);
+                setEdits({});
+            }
+        } catch (err) {
+            console.error('Failed to fetch review queue:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        const timeoutId = setTimeout(() => fetchQueue(1), 0);
+        return () => clearTimeout(timeoutId);
+    }, [fetchQueue]);
+
+    const afterChange = (text, type = 'success') => {
+        setMessage({ type, text });
+        setTimeout(() => setMessage(null), 5000);
+        fetchQueue(pagination.current);
+        if (onReviewed) onReviewed();
+    };
+
+    const approve = async (rec) => {
+        const corrected = edits[rec.id];
+        const body = corrected && corrected !== rec.serial_number ? { serial_number: corrected } : {};
+        try {
+            const res = await fetch(`/api/review/${rec.id}/approve`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            if (res.ok) {
+                const approved = data.serial_number || rec.serial_number;
+                if (data.watchlistHit) afterChange(`Approved ${approved}, which is ON THE WATCHLIST (${data.watchlistHit.reason || 'no reason given'}).`, 'error');
+                else afterChange(`Approved ${approved}.`);
+            } else {
+                setMessage({ type: 'error', text: 'Approve failed: ' + (data.error || 'Unknown error') });
+            }
+        } catch (err) {
+            console.error(err);
+            setMessage({ type: 'error', text: 'Network error during approve.' });
+        }
+    };
+
+    const reject = async (rec) => {
+        try {
+            const res = await fetch(`/api/review/${rec.id}/reject`, { method: 'POST' });
+            if (res.ok) {
+                afterChange(`Rejected ${rec.serial_number}.`);
+            } else {
+                const data = await res.json();
+                setMessage({ type: 'error', text: 'Reject failed: ' + (data.error || 'Unknown error') });
+            }
+        } catch (err) {
+            console.error(err);
+            setMessage({ type: 'error', text: 'Network error during reject.' });
+        }
+    };
+
+    const bulk = async (action) => {
+        if (selected.length === 0) return;
+        if (action === 'reject' && !window.confirm(`Reject ${selected.length} candidate(s)?`)) return;
+        try {
+            const res = await fetch('/api/review/bulk', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids: selected, action })
+            });
+            const data = await res.json();
+            if (res.ok) {
+                const failedMsg = data.failed.length > 0 ? ` (${data.failed.length} failed)` : '';
+                afterChange(`${action === 'approve' ? 'Approved' : 'Rejected'} ${data.processed} candidate(s)${failedMsg}.`);
+            } else {
+                setMessage({ type: 'error', text: 'Bulk action failed: ' + (data.error || 'Unknown error') });
+            }
+        } catch (err) {
+            console.error(err);
+            setMessage({ type: 'error', text: 'Network error during bulk action.' });
+        }
+    };
+
+    const toggle = (id) => {
+        setSelected(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+    };
+
+    const allSelected = candidates.length > 0 && selected.length === candidates.length;
+
+    return (
+        <div className="card fade-in">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+                <h2 style={{ fontSize: '1.5rem' }}>Review Queue ({pagination.totalRecords})</h2>
+                <button className="btn" onClick={() => fetchQueue(pagination.current)} style={{ width: 'auto', background: 'var(--glass-bg)', border: '1px solid var(--glass-border)', color: 'var(--text-primary)' }}>
+                    Refresh
+                </button>
+            </div>
+
+            <p style={{ marginBottom: '1rem', color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                Serials read by OCR are held here until approved. Correct the serial before approving if the reading is wrong.
+            </p>
+
+            {candidates.length > 0 && (
+                <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '1rem' }}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: 'var(--text-secondary)', flex: 1 }}>
+                        <input
+                            type="checkbox"
+                            checked={allSelected}
+                            onChange={() => setSelected(allSelected ? [] : candidates.map(c => c.id))}
+                        />
+                        Select all ({selected.length})
+                    </label>
+                    <button className="btn" disabled={selected.length === 0} onClick={() => bulk('approve')} style={{ width: 'auto', padding: '0.5rem 1rem', background: '#4caf50', opacity: selected.length === 0 ? 0.5 : 1 }}>
+                        Approve selected
+                    </button>
+                    <button className="btn" disabled={selected.length === 0} onClick={() => bulk('reject')} style={{ width: 'auto', padding: '0.5rem 1rem', background: '#d32f2f', color: 'white', opacity: selected.length === 0 ? 0.5 : 1 }}>
+                        Reject selected
+                    </button>
+                </div>
+            )}
+
+            {loading ? (
+                <p style={{ textAlign: 'center', color: '#888', padding: '2rem' }}>Loading candidates...</p>
+            ) : candidates.length === 0 ? (
+                <p style={{ textAlign: 'center', color: '#888', padding: '2rem' }}>Nothing waiting for review.</p>
+            ) : (
+                <ul style={{ listStyle: 'none', display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+                    {candidates.map((rec) => (
+                        <li key={rec.id} style={{ display: 'flex', gap: '1rem', padding: '1rem', borderRadius: 'var(--radius-md)', border: '1px solid var(--glass-border)', background: 'rgba(0,0,0,0.2)' }}>
+                            <input type="checkbox" checked={selected.includes(rec.id)} onChange={() => toggle(rec.id)} />
+                            <div style={{ width: '160px', flexShrink: 0 }}>
+                                {isImageUrl(rec.source_filename) && isDocumentUrl(rec.source_filename) ? (
+                                    <a href={`${rec.source_filename}#page=${rec.source_page || 1}`} target="_blank" rel="noreferrer" style={{ color: 'var(--accent-color)', fontSize: '0.85rem', wordBreak: 'break-all' }}>
+                                        Open document{rec.source_page ? ` (page ${rec.source_page})` : ''}
+                                    </a>
+                                ) : isImageUrl(rec.source_filename) ? (
+                                    <a href={rec.source_filename} target="_blank" rel="noreferrer">
+                                        <img src={rec.source_filename} alt="Source receipt" style={{ width: '100%', borderRadius: '4px', border: '1px solid #333' }} />
+                                    </a>
+                                ) : (
+                                    <div style={{ color: '#888', fontSize: '0.8rem', wordBreak: 'break-all' }}>{rec.source_filename || 'No receipt'}</div>
+                                )}
+                            </div>
+                            <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                                <input
+                                    type="text"
+                                    className="input-field"
+                                    value={edits[rec.id] ?? rec.serial_number}
+                                    onChange={(e) => setEdits({ ...edits, [rec.id]: e.target.value.toUpperCase() })}
+                                    style={{ fontFamily: 'monospace' }}
+                                />
+                                <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                                    {rec.flagged_at && <span style={{ color: 'var(--error-color)', fontWeight: 'bold' }}>⚠ On the watchlist · </span>}
+                                    {rec.source_page > 1 && <span>Page {rec.source_page} · </span>}
+                                    {rec.confidence != null && (
+                                        <span style={{ color: rec.confidence < 0.6 ? 'var(--error-color)' : 'var(--text-secondary)' }}>
+                                            Confidence {Math.round(rec.confidence * 100)}%
+                                        </span>
+                                    )}
+                                    {rec.corrections.length > 0 && (
+                                        <span> · Corrected {rec.corrections.map(c => `${c.from}→${c.to}`).join(', ')}</span>
+                                    )}
+                                </div>
+                                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                    <button className="btn" onClick={() => approve(rec)} style={{ padding: '0.4rem 0.8rem', fontSize: '0.85rem', background: '#4caf50' }}>
+                                        {edits[rec.id] && edits[rec.id] !== rec.serial_number ? 'Correct & Approve' : 'Approve'}
+                                    </button>
+                                    <button className="btn" onClick={() => reject(rec)} style={{ padding: '0.4rem 0.8rem', fontSize: '0.85rem', background: 'rgba(255, 68, 68, 0.1)', color: '#ff6666', border: '1px solid rgba(255, 68, 68, 0.3)' }}>
+                                        Reject
+                                    </button>
+                                </div>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {pagination.totalPages > 1 && (
+                <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', marginTop: '1.5rem', gap: '1rem' }}>
+                    <button className="btn" disabled={pagination.current === 1} onClick={() => fetchQueue(pagination.current - 1)} style={{ width: 'auto', padding: '0.5rem 1rem', opacity: pagination.current === 1 ? 0.5 : 1 }}>
+                        Previous
+                    </button>
+                    <span style={{ color: 'var(--text-secondary)' }}>
+                        Page <strong style={{ color: 'white' }}>{pagination.current}</strong> of {pagination.totalPages}
+                    </span>
+                    <button className="btn" disabled={pagination.current === pagination.totalPages} onClick={() => fetchQueue(pagination.current + 1)} style={{ width: 'auto', padding: '0.5rem 1rem', opacity: pagination.current === pagination.totalPages ? 0.5 : 1 }}>
+                        Next
+                    </button>
+                </div>
+            )}
+
+            {message && (
+                <div className={`result-box ${message.type === 'success' ? 'result-success' : 'result-error'}`}>
+                    {message.text}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ReviewQueue;
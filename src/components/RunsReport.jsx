@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+
+const inputStyle = { width: '5rem', padding: '0.5rem', borderRadius: '8px', border: '1px solid #444', background: '#1a1a1a', color: '#fff' };
+
+const describeStretch = (first, last, count) => (count === 1 ? first : `${first} – ${last}`);
+
+const runsQuery = ({ maxGap, minCount }, series, district) => {
+    const params = new URLSearchParams({ maxGap, minCount });
+    if (series) params.set('series', series);
+    if (district) params.set('district', district);
+    return params;
+};
+
+/**
+ * Runs report from GET /api/runs: consecutive serials grouped into runs,
+ * with the bundles and the gaps inside each. `series`/`district` narrow it
+ * like the records filters; `onShowRun(run)` lists a run's serials. Bump
+ * `version` to reload after changes.
+ */
+const RunsReport = ({ series = '', district = '', version = 0, onShowRun }) => {
+    const [settings, setSettings] = useState({ maxGap: 100, minCount: 2 });
+    const [runs, setRuns] = useState([]);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const timeoutId = setTimeout(() => {
+            fetch(`/api/runs?${runsQuery(settings, series, district)}`)
+                .then(async (res) => {
+                    const data = await res.json();
+                    if (!res.ok) throw new Error(data.error || 'Failed to load runs.');
+                    if (cancelled) return;
+                    setRuns(data.runs);
+                    setError(null);
+                })
+                .catch((err) => {
+                    console.error(err);
+                    if (!cancelled) setError(err.message);
+                });
+        }, 300); // Debounce typing in the settings
+        return () => {
+            cancelled = true;
+            clearTimeout(timeoutId);
+        };
+    }, [settings, series, district, version]);
+
+    const handleExport = () => {
+        const params = runsQuery(settings, series, district);
+        params.set('format', 'csv');
+        const link = document.createElement('a');
+        link.href = `/api/runs?${params}`;
+        link.setAttribute('download', `serial_runs_${new Date().toISOString().slice(0, 10)}.csv`);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    };
+
+    const setSetting = (key, value) => setSettings({ ...settings, [key]: value });
+
+    return (
+        <div className="card" style={{ background: 'rgba(0,0,0,0.2)', marginBottom: '2rem', border: '1px solid var(--glass-border)' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', flexWrap: 'wrap', gap: '1rem' }}>
+                <h3 style={{ margin: 0 }}>Runs ({runs.length})</h3>
+                <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', color: '#ccc', fontSize: '0.85rem' }}>
+                    <label>
+                        Max gap{' '}
+                        <input type="number" min="0" value={settings.maxGap} onChange={(e) => setSetting('maxGap', e.target.value)} style={inputStyle} />
+                    </label>
+                    <label>
+                        Min serials{' '}
+                        <input type="number" min="1" value={settings.minCount} onChange={(e) => setSetting('minCount', e.target.value)} style={inputStyle} />
+                    </label>
+                    <button
+                        className="btn"
+                        onClick={handleExport}
+                        style={{ width: 'auto', padding: '0.5rem 0.8rem', fontSize: '0.85rem', background: '#2196f3', border: 'none' }}
+                    >
+                        Export CSV
+                    </button>
+                </div>
+            </div>
+
+            {error && <div className="result-box result-error">{error}</div>}
+
+            <div style={{ overflowX: 'auto', borderRadius: '8px', border: '1px solid #333' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left', fontSize: '0.85rem' }}>
+                    <thead>
+                        <tr style={{ background: 'rgba(255,255,255,0.05)', color: '#ccc' }}>
+                            <th style={{ padding: '0.75rem' }}>Run</th>
+                            <th style={{ padding: '0.75rem' }}>Serials</th>
+                            <th style={{ padding: '0.75rem' }}>Missing</th>
+                            <th style={{ padding: '0.75rem' }}>Bundles</th>
+                            <th style={{ padding: '0.75rem' }}>Gaps</th>
+                            <th style={{ padding: '0.75rem', textAlign: 'center' }}></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {runs.length === 0 ? (
+                            <tr><td colSpan="6" style={{ padding: '1.5rem', textAlign: 'center', color: '#888' }}>No runs found.</td></tr>
+                        ) : runs.map(run => (
+                            <tr key={run.first} style={{ borderTop: '1px solid #333', verticalAlign: 'top' }}>
+                                <td style={{ padding: '0.75rem', fontFamily: 'monospace', color: '#fff', whiteSpace: 'nowrap' }}>{run.first} – {run.last}</td>
+                                <td style={{ padding: '0.75rem', color: '#ccc' }}>{run.count}</td>
+                                <td style={{ padding: '0.75rem', color: run.missing > 0 ? '#eab308' : '#888' }}>{run.missing}</td>
+                                <td style={{ padding: '0.75rem', fontFamily: 'monospace', color: '#aaa' }}>
+                                    {run.bundles.map(b => <div key={b.first}>{describeStretch(b.first, b.last, b.count)} ({b.count})</div>)}
+                                </td>
+                                <td style={{ padding: '0.75rem', fontFamily: 'monospace', color: '#aaa' }}>
+                                    {run.gaps.length === 0 ? '-' : run.gaps.map(g => <div key={g.from}>{describeStretch(g.from, g.to, g.missing)} ({g.missing})</div>)}
+                                </td>
+                                <td style={{ padding: '0.75rem', textAlign: 'center' }}>
+                                    {onShowRun && (
+                                        <button
+                                            className="btn"
+                                            onClick={() => onShowRun(run)}
+                                            style={{ width: 'auto', padding: '0.25rem 0.6rem', fontSize: '0.8rem', background: 'transparent', border: '1px solid #666', color: '#ccc' }}
+                                        >
+                                            Show
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default RunsReport;
@@ -1,25 +1,56 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { SightingsList } from './SightingsTimeline';
 
-const SearchSerial = ({ onCheck, serials = [] }) => {
+// Autocomplete starts from this many characters (the server's minimum)
+const MIN_PREFIX = 2;
+
+const MESSAGES = {
+    verified: (serial) => `Verified: "${serial}" is Valid.`,
+    pending: (serial) => `Pending Review: "${serial}" was read from a receipt but is not approved yet.`,
+    flagged: (serial) => `Flagged: "${serial}" is on record but flagged for attention.`,
+    not_found: (serial) => `Not Found: "${serial}" does not exist.`
+};
+
+const RESULT_CLASSES = { verified: 'result-success', pending: 'result-warning', flagged: 'result-warning', not_found: 'result-error' };
+
+/**
+ * Looks serials up on the server (GET /api/verify/:serial), with
+ * autocomplete from /api/verify/suggest and close matches for misses.
+ */
+const SearchSerial = () => {
     const [query, setQuery] = useState('');
+    // { query, verdict } of the last lookup
     const [result, setResult] = useState(null);
-    const [suggestions, setSuggestions] = useState([]);
+    // { prefix, serials }: suggestions are shown only while the prefix is still typed
+    const [suggestions, setSuggestions] = useState({ prefix: '', serials: [] });
     const [showSuggestions, setShowSuggestions] = useState(false);
+    // { count, sightings } for the serial in `result`, when it is known
+    const [sightings, setSightings] = useState(null);
+    const [showTimeline, setShowTimeline] = useState(false);
+    // Close matches from /api/serials/near when the query was not found
+    const [nearMatches, setNearMatches] = useState(null);
     const wrapperRef = useRef(null);
 
-    // Filter suggestions when query changes
+    // Fetch suggestions when the query changes, after a short pause in typing
     useEffect(() => {
-        if (query.trim().length > 0) {
-            const matches = serials
-                .filter(s => s.toLowerCase().startsWith(query.toLowerCase())) // Case-insensitive match
-                .slice(0, 5); // Limit to top 5
-            setSuggestions(matches);
-            setShowSuggestions(true);
-        } else {
-            setSuggestions([]);
-            setShowSuggestions(false);
-        }
-    }, [query, serials]);
+        const prefix = query.trim().toUpperCase();
+        if (prefix.length < MIN_PREFIX) return;
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            fetch(`/api/verify/suggest?prefix=${encodeURIComponent(prefix)}`)
+                .then(res => (res.ok ? res.json() : []))
+                .then(serials => {
+                    if (!cancelled) setSuggestions({ prefix, serials });
+                })
+                .catch(err => console.error('Failed to load suggestions:', err));
+        }, 150);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [query]);
+
+    const visibleSuggestions = suggestions.prefix === query.trim().toUpperCase() ? suggestions.serials : [];
 
     // Handle click outside to close suggestions
     useEffect(() => {
@@ -34,17 +65,48 @@ const SearchSerial = ({ onCheck, serials = [] }) => {
         };
     }, [wrapperRef]);
 
+    const check = async (typed) => {
+        setSightings(null);
+        setShowTimeline(false);
+        setNearMatches(null);
+        // The server answers for the normalized serial (trimmed, upper case)
+        let serial, verdict, flagged;
+        try {
+            const res = await fetch(`/api/verify/${encodeURIComponent(typed)}`);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            ({ serial, verdict, flagged } = await res.json());
+        } catch (err) {
+            console.error('Failed to verify serial:', err);
+            setResult({ query: typed, error: true });
+            return;
+        }
+        setResult({ query: serial, verdict, flagged });
+
+        if (verdict === 'not_found') {
+            try {
+                const res = await fetch(`/api/serials/near?q=${encodeURIComponent(serial)}`);
+                if (res.ok) setNearMatches({ query: serial, ...(await res.json()) });
+            } catch (err) {
+                console.error('Failed to load near matches:', err);
+            }
+            return;
+        }
+
+        try {
+            const res = await fetch(`/api/serials/${encodeURIComponent(serial)}/sightings`);
+            if (res.ok) setSightings(await res.json());
+        } catch (err) {
+            console.error('Failed to load sightings:', err);
+        }
+    };
+
     const handleSearch = (e) => {
         // If e is present (form submission), prevent default
         if (e) e.preventDefault();
         if (!query.trim()) return;
 
         setShowSuggestions(false); // Hide suggestions on search
-        const exists = onCheck(query.trim());
-        setResult({
-            found: exists,
-            query: query.trim()
-        });
+        check(query.trim());
     };
 
     const handleSuggestionClick = (suggestion) => {
@@ -52,11 +114,7 @@ const SearchSerial = ({ onCheck, serials = [] }) => {
         setShowSuggestions(false);
 
         // Auto-search when clicking a suggestion
-        const exists = onCheck(suggestion);
-        setResult({
-            found: exists,
-            query: suggestion
-        });
+        check(suggestion);
     };
 
     return (
@@ -73,21 +131,22 @@ const SearchSerial = ({ onCheck, serials = [] }) => {
                         value={query}
                         onChange={(e) => {
                             setQuery(e.target.value);
+                            setShowSuggestions(true);
                             if (result) setResult(null); // Clear result on typing
                         }}
                         autoComplete="off"
                     />
 
-                    {showSuggestions && suggestions.length > 0 && (
+                    {showSuggestions && visibleSuggestions.length > 0 && (
                         <ul className="suggestions-list">
-                            {suggestions.map((suggestion, index) => (
+                            {visibleSuggestions.map((suggestion, index) => (
                                 <li
                                     key={index}
                                     className="suggestion-item"
                                     onClick={() => handleSuggestionClick(suggestion)}
                                 >
-                                    <span className="suggestion-match">{query}</span>
-                                    {suggestion.slice(query.length)}
+                                    <span className="suggestion-match">{suggestion.slice(0, query.trim().length)}</span>
+                                    {suggestion.slice(query.trim().length)}
                                 </li>
                             ))}
                         </ul>
@@ -99,10 +158,57 @@ const SearchSerial = ({ onCheck, serials = [] }) => {
             </form>
 
             {result && (
-                <div className={`result-box ${result.found ? 'result-success' : 'result-error'}`}>
-                    {result.found
-                        ? `Verified: "${result.query}" is Valid.`
-                        : `Not Found: "${result.query}" does not exist.`}
+                <div className={`result-box ${result.error ? 'result-error' : RESULT_CLASSES[result.verdict]}`}>
+                    {result.error
+                        ? `Could not check "${result.query}". Please try again.`
+                        : MESSAGES[result.verdict](result.query)}
+                    {result.verdict === 'pending' && result.flagged && ' It is also flagged for attention.'}
+                    {sightings && sightings.serial_number === result.query && (
+                        <div style={{ marginTop: '0.75rem', fontSize: '0.9rem' }}>
+                            Seen {sightings.count} {sightings.count === 1 ? 'time' : 'times'}
+                            {sightings.count > 0 && (
+                                <button
+                                    type="button"
+                                    onClick={() => setShowTimeline(!showTimeline)}
+                                    style={{ marginLeft: '0.75rem', background: 'none', border: 'none', padding: 0, color: 'inherit', textDecoration: 'underline', cursor: 'pointer', fontSize: '0.85rem' }}
+                                >
+                                    {showTimeline ? 'Hide timeline' : 'Show timeline'}
+                                </button>
+                            )}
+                            {showTimeline && (
+                                <div style={{ marginTop: '0.5rem', textAlign: 'left' }}>
+                                    <SightingsList sightings={sightings.sightings} />
+                                </div>
+                            )}
+                        </div>
+                    )}
+                    {nearMatches && nearMatches.query === result.query && nearMatches.matches.length > 0 && (
+                        <div style={{ marginTop: '0.75rem', fontSize: '0.9rem', textAlign: 'left' }}>
+                            Did you mean…?
+                            <ul style={{ listStyle: 'none', padding: 0, margin: '0.5rem 0 0' }}>
+                                {nearMatches.matches.map(match => (
+                                    <li key={match.id} style={{ marginBottom: '0.4rem' }}>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleSuggestionClick(match.serial_number)}
+                                            style={{ background: 'none', border: 'none', padding: 0, color: 'inherit', textDecoration: 'underline', cursor: 'pointer', fontFamily: 'monospace', fontSize: '1rem' }}
+                                        >
+                                            {match.serial_number}
+                                        </button>
+                                        <span style={{ marginLeft: '0.5rem', opacity: 0.8, fontSize: '0.85rem' }}>
+                                            {[
+                                                match.status,
+                                                match.series && `series ${match.series}`,
+                                                match.district && `district ${match.district}`,
+                                                match.source_filename,
+                                                `seen ${match.sightings}×`
+                                            ].filter(Boolean).join(' · ')}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
                 </div>
             )}
         </div>
@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from 'react';
+
+const METHOD_LABELS = { ocr: 'Receipt', manual: 'Manual entry', import: 'Import' };
+
+// The timeline itself, for callers that already have the sightings
+export const SightingsList = ({ sightings }) => (
+    <ol style={{ listStyle: 'none', margin: 0, padding: 0, fontSize: '0.85rem', borderLeft: '2px solid var(--glass-border)' }}>
+        {sightings.map(s => (
+            <li key={s.id} style={{ padding: '0.3rem 0 0.3rem 0.75rem', color: 'var(--text-secondary)' }}>
+                <span style={{ color: 'var(--text-primary)' }}>{new Date(s.seen_at).toLocaleString()}</span>
+                {' · '}{METHOD_LABELS[s.method] || s.method}
+                {s.source && s.method !== 'manual' && <> · {s.source}{s.page > 1 && ` (p. ${s.page})`}</>}
+                {s.operator && <> · by {s.operator}</>}
+            </li>
+        ))}
+    </ol>
+);
+
+/**
+ * Every time `serial` was seen, oldest first, from /api/serials/:serial/sightings.
+ */
+const SightingsTimeline = ({ serial }) => {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetch(`/api/serials/${encodeURIComponent(serial)}/sightings`)
+            .then(async (res) => {
+                const body = await res.json();
+                if (cancelled) return;
+                if (res.ok) setData(body);
+                else setError(body.error || 'Failed to load sightings.');
+            })
+            .catch((err) => {
+                console.error(err);
+                if (!cancelled) setError('Network error while loading sightings.');
+            });
+        return () => { cancelled = true; };
+    }, [serial]);
+
+    if (error) return <div style={{ color: 'var(--error-color)', fontSize: '0.85rem' }}>{error}</div>;
+    if (!data) return <div style={{ color: '#888', fontSize: '0.85rem' }}>Loading sightings...</div>;
+    if (data.sightings.length === 0) return <div style={{ color: '#888', fontSize: '0.85rem' }}>No sightings recorded.</div>;
+
+    return <SightingsList sightings={data.sightings} />;
+};
+
+export default SightingsTimeline;
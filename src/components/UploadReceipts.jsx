@@ -1,15 +1,116 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { watchJob, isFinished, ACTIVE_JOB_KEY } from '../watchJob';
+import ReceiptViewer from './ReceiptViewer';
 
-const UploadReceipts = ({ onUploadComplete }) => {
+const UploadReceipts = ({ onUploadComplete, onOpenRecord }) => {
     const [files, setFiles] = useState([]);
     const [isUploading, setIsUploading] = useState(false);
-    const [results, setResults] = useState(null);
+    const [job, setJob] = useState(null);
+    // OCR progress of the files being processed right now, keyed by file index
+    const [fileProgress, setFileProgress] = useState({});
     const [error, setError] = useState(null);
+    const [presets, setPresets] = useState([]);
+    const [preset, setPreset] = useState('');
+    // Region of interest in percent of the page; empty means the whole page
+    const [roi, setRoi] = useState({ left: '', top: '', width: '', height: '' });
+    const [preview, setPreview] = useState(null);
+    const [isPreviewing, setIsPreviewing] = useState(false);
+    // Receipt viewer: { hash, serial } with serial optional
+    const [viewing, setViewing] = useState(null);
+    const stopWatching = useRef(null);
+
+    const results = job ? job.summary : null;
+    const isRunning = !!job && !isFinished(job);
+
+    const followJob = useCallback((jobId) => {
+        if (stopWatching.current) stopWatching.current();
+        localStorage.setItem(ACTIVE_JOB_KEY, jobId);
+
+        stopWatching.current = watchJob(jobId, {
+            onJob: (next) => {
+                setJob(next);
+                setFileProgress(Object.fromEntries((next.activeFiles || []).map(f => [f.index, f])));
+                if (isFinished(next)) {
+                    localStorage.removeItem(ACTIVE_JOB_KEY);
+                    if (next.status === 'failed') setError('Extraction failed: ' + (next.error || 'Unknown error'));
+                    if (onUploadComplete) onUploadComplete();
+                }
+            },
+            onProgress: (file) => setFileProgress(prev => ({ ...prev, [file.index]: file })),
+            onError: (message) => {
+                localStorage.removeItem(ACTIVE_JOB_KEY);
+                setError(message);
+            }
+        });
+    }, [onUploadComplete]);
+
+    // Resume a job that was still running when the page was reloaded
+    useEffect(() => {
+        const savedJobId = localStorage.getItem(ACTIVE_JOB_KEY);
+        if (savedJobId) followJob(savedJobId);
+        return () => {
+            if (stopWatching.current) stopWatching.current();
+        };
+    }, [followJob]);
+
+    useEffect(() => {
+        fetch('/api/preprocess/presets')
+            .then(res => (res.ok ? res.json() : []))
+            .then((list) => {
+                setPresets(list);
+                const initial = list.find(p => p.default);
+                if (initial) setPreset(initial.name);
+            })
+            .catch(err => console.error('Failed to fetch presets:', err));
+    }, []);
 
     const handleFileChange = (e) => {
         setFiles(Array.from(e.target.files));
-        setResults(null);
+        if (!isRunning) setJob(null);
+        setError(null);
+        setPreview(null);
+    };
+
+    // Adds the preset and region of interest to an upload form
+    const appendPreprocessFields = (formData) => {
+        if (preset) formData.append('preset', preset);
+        if (Object.values(roi).some(v => v !== '')) {
+            const fraction = (v, fallback) => (v === '' ? fallback : Number(v) / 100);
+            formData.append('roi', JSON.stringify({
+                left: fraction(roi.left, 0),
+                top: fraction(roi.top, 0),
+                width: fraction(roi.width, 1 - fraction(roi.left, 0)),
+                height: fraction(roi.height, 1 - fraction(roi.top, 0))
+            }));
+        }
+    };
+
+    const handlePreview = async () => {
+        if (files.length === 0) return;
+
+        setIsPreviewing(true);
         setError(null);
+
+        const formData = new FormData();
+        formData.append('receipt', files[0]);
+        appendPreprocessFields(formData);
+
+        try {
+            const response = await fetch('/api/preprocess/preview', {
+                method: 'POST',
+                body: formData,
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Preview failed');
+            }
+            setPreview(data);
+        } catch (err) {
+            console.error(err);
+            setError('Preprocessing preview failed: ' + err.message);
+        } finally {
+            setIsPreviewing(false);
+        }
     };
 
     const handleUpload = async () => {
@@ -17,11 +118,13 @@ const UploadReceipts = ({ onUploadComplete }) => {
 
         setIsUploading(true);
         setError(null);
+        setJob(null);
 
         const formData = new FormData();
         files.forEach(file => {
             formData.append('receipts', file);
         });
+        appendPreprocessFields(formData);
 
         try {
             const response = await fetch('/api/extract', {
@@ -30,27 +133,43 @@ const UploadReceipts = ({ onUploadComplete }) => {
             });
 
             if (!response.ok) {
-                throw new Error('Upload failed');
+                // A serverless deployment that runs out of time answers 504 without a JSON body
+                const fallback = response.status === 504
+                    ? 'The server ran out of time reading the receipts; upload fewer at once'
+                    : 'Upload failed';
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || fallback);
             }
 
             const data = await response.json();
-            setResults(data);
-            if (onUploadComplete) onUploadComplete();
+            setJob(data.job);
+            followJob(data.jobId);
 
         } catch (err) {
             console.error(err);
-            setError('Failed to process images. Please try again.');
+            setError(`Failed to process images: ${err.message}. Please try again.`);
         } finally {
             setIsUploading(false);
         }
     };
 
+    const handleCancel = async () => {
+        if (!job) return;
+        try {
+            const res = await fetch(`/api/jobs/${job.id}/cancel`, { method: 'POST' });
+            if (res.ok) setJob(await res.json());
+        } catch (err) {
+            console.error(err);
+            setError('Failed to cancel the job.');
+        }
+    };
+
     return (
         <div className="card fade-in">
             <h2 style={{ marginBottom: '1.5rem', fontSize: '1.5rem' }}>Upload Receipts</h2>
 
             <div className="input-group">
-                <label className="input-label">Select Images</label>
+                <label className="input-label">Select Images or PDFs</label>
                 <div style={{
                     border: '2px dashed var(--glass-border)',
                     borderRadius: 'var(--radius-md)',
@@ -62,7 +181,7 @@ const UploadReceipts = ({ onUploadComplete }) => {
                     <input
                         type="file"
                         multiple
-                        accept="image/*"
+                        accept="image/*,application/pdf,.pdf,.tif,.tiff"
                         onChange={handleFileChange}
                         style={{ display: 'none' }}
                         id="file-upload"
@@ -70,20 +189,108 @@ const UploadReceipts = ({ onUploadComplete }) => {
                     <label htmlFor="file-upload" style={{ cursor: 'pointer', width: '100%', height: '100%', display: 'block' }}>
                         {files.length > 0
                             ? `${files.length} file(s) selected`
-                            : 'Click to select or drag receipt images here'}
+                            : 'Click to select or drag receipt images, PDFs or TIFFs here'}
                     </label>
                 </div>
             </div>
 
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                <div className="input-group">
+                    <label className="input-label">Preprocessing</label>
+                    <select className="input-field" value={preset} onChange={(e) => { setPreset(e.target.value); setPreview(null); }}>
+                        {presets.map(p => (
+                            <option key={p.name} value={p.name}>{p.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="input-group">
+                    <label className="input-label">Crop region (% of page, optional)</label>
+                    <div style={{ display: 'flex', gap: '0.25rem' }}>
+                        {['left', 'top', 'width', 'height'].map(key => (
+                            <input
+                                key={key}
+                                type="number"
+                                min="0"
+                                max="100"
+                                className="input-field"
+                                placeholder={key}
+                                value={roi[key]}
+                                onChange={(e) => { setRoi({ ...roi, [key]: e.target.value }); setPreview(null); }}
+                                style={{ padding: '0.5rem' }}
+                            />
+                        ))}
+                    </div>
+                </div>
+            </div>
+
+            <button
+                className="btn"
+                onClick={handlePreview}
+                disabled={isPreviewing || files.length === 0}
+                style={{ marginBottom: '0.75rem', background: 'var(--glass-bg)', border: '1px solid var(--glass-border)', color: 'var(--text-primary)', opacity: (isPreviewing || files.length === 0) ? 0.6 : 1 }}
+            >
+                {isPreviewing ? 'Preparing preview...' : 'Preview Preprocessing (first file)'}
+            </button>
+
+            {preview && (
+                <div className="card" style={{ marginBottom: '1rem', padding: '1rem' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+                        <span>
+                            Preset <strong>{preview.preset}</strong>
+                            {preview.pageCount > 1 && <span style={{ color: 'var(--text-secondary)' }}> · page {preview.page} of {preview.pageCount}</span>}
+                        </span>
+                        <button className="btn" onClick={() => setPreview(null)} style={{ width: 'auto', padding: '0.25rem 0.75rem', fontSize: '0.85rem', background: 'var(--glass-bg)', border: '1px solid var(--glass-border)', color: 'var(--text-primary)' }}>
+                            Close
+                        </button>
+                    </div>
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: '0.75rem' }}>
+                        {preview.steps.map((step, i) => (
+                            <figure key={i} style={{ margin: 0 }}>
+                                <a href={step.image} target="_blank" rel="noreferrer">
+                                    <img src={step.image} alt={step.name} style={{ width: '100%', borderRadius: '4px', border: '1px solid #333', background: 'white' }} />
+                                </a>
+                                <figcaption style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                                    {i}. {step.name} · {step.width}×{step.height}{step.ms > 0 ? ` · ${step.ms} ms` : ''}
+                                </figcaption>
+                            </figure>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             <button
                 className="btn"
                 onClick={handleUpload}
-                disabled={isUploading || files.length === 0}
-                style={{ opacity: (isUploading || files.length === 0) ? 0.6 : 1 }}
+                disabled={isUploading || isRunning || files.length === 0}
+                style={{ opacity: (isUploading || isRunning || files.length === 0) ? 0.6 : 1 }}
             >
-                {isUploading ? 'Processing OCR...' : 'Extract Serials'}
+                {isUploading ? 'Uploading...' : isRunning ? 'Processing OCR...' : 'Extract Serials'}
             </button>
 
+            {isRunning && (
+                <div className="card" style={{ marginTop: '1.5rem', padding: '1rem' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+                        <span>
+                            {job.cancelRequested ? 'Cancelling after current file...' : `Processing ${job.processed} of ${job.total} file(s)`}
+                        </span>
+                        <button
+                            className="btn"
+                            onClick={handleCancel}
+                            disabled={job.cancelRequested}
+                            style={{ width: 'auto', padding: '0.25rem 0.75rem', fontSize: '0.85rem', background: 'rgba(255, 68, 68, 0.1)', color: '#ff6666', border: '1px solid rgba(255, 68, 68, 0.3)' }}
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                    <progress value={job.processed} max={job.total} style={{ width: '100%' }} />
+                    {Object.values(fileProgress).map((f) => (
+                        <div key={f.index} style={{ marginTop: '0.5rem', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                            {f.name}{f.pages > 1 ? ` (page ${f.page} of ${f.pages})` : ''}: {f.status} ({Math.round((f.progress || 0) * 100)}%)
+                        </div>
+                    ))}
+                </div>
+            )}
+
             {error && (
                 <div className="result-box result-error">
                     {error}
@@ -92,16 +299,36 @@ const UploadReceipts = ({ onUploadComplete }) => {
 
             {results && (
                 <div style={{ marginTop: '2rem' }}>
+                    {job.status === 'cancelled' && (
+                        <div className="result-box result-warning">
+                            Job cancelled after {job.processed} of {job.total} file(s).
+                        </div>
+                    )}
                     <div className="result-box result-success">
-                        Found {results.totalCandidates} candidates.
+                        Found {results.totalCandidates} candidates. New serials are waiting in the Review tab.
                     </div>
+                    {results.alreadyProcessed > 0 && (
+                        <div className="result-box result-warning">
+                            {results.alreadyProcessed} file(s) had already been processed; their earlier results were reused.
+                        </div>
+                    )}
+                    {results.rejected > 0 && (
+                        <div className="result-box result-error">
+                            {results.rejected} file(s) were not read because of poor image quality. See the reasons below.
+                        </div>
+                    )}
+                    {results.trashed > 0 && (
+                        <div className="result-box result-warning">
+                            {results.trashed} serial(s) read are in the trash and were not queued; restore them from Manage Data.
+                        </div>
+                    )}
 
                     <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginTop: '1rem' }}>
                         <div className="card" style={{ padding: '1rem', textAlign: 'center' }}>
                             <div style={{ fontSize: '2rem', fontWeight: 'bold', color: 'var(--success-color)' }}>
                                 {results.inserted}
                             </div>
-                            <div style={{ color: 'var(--text-secondary)' }}>New Serials Added</div>
+                            <div style={{ color: 'var(--text-secondary)' }}>Sent to Review</div>
                         </div>
                         <div className="card" style={{ padding: '1rem', textAlign: 'center' }}>
                             <div style={{ fontSize: '2rem', fontWeight: 'bold', color: 'var(--text-secondary)' }}>
@@ -116,20 +343,93 @@ const UploadReceipts = ({ onUploadComplete }) => {
                         {results.results.map((res, i) => (
                             <li key={i} style={{
                                 padding: '0.75rem',
-                                borderBottom: '1px solid var(--glass-border)',
-                                display: 'flex',
-                                justifyContent: 'space-between'
+                                borderBottom: '1px solid var(--glass-border)'
                             }}>
-                                <span>{res.filename}</span>
-                                <span>
-                                    <span style={{ color: 'var(--success-color)' }}>+{res.new}</span> /
-                                    <span style={{ color: 'var(--text-secondary)' }}> {res.duplicates} dup</span>
-                                </span>
+                                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                                    <span>
+                                        {res.filename}
+                                        {res.pageCount > 1 && (
+                                            <span style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}> ({res.pageCount} pages)</span>
+                                        )}
+                                        {res.hash && !res.rejected && (
+                                            <button
+                                                className="btn"
+                                                onClick={() => setViewing({ hash: res.hash })}
+                                                style={{ width: 'auto', marginLeft: '0.5rem', padding: '0.1rem 0.5rem', fontSize: '0.75rem', background: 'transparent', border: '1px solid #666', color: '#ccc' }}
+                                            >
+                                                View receipt
+                                            </button>
+                                        )}
+                                        {res.alreadyProcessed && (
+                                            <span
+                                                title={res.cached ? 'OCR was skipped and the cached result reused' : 'Read again because different preprocessing was chosen'}
+                                                style={{ marginLeft: '0.5rem', fontSize: '0.75rem', padding: '0.1rem 0.4rem', borderRadius: '4px', background: 'rgba(234, 179, 8, 0.1)', color: '#eab308' }}
+                                            >
+                                                already processed
+                                            </span>
+                                        )}
+                                    </span>
+                                    {res.rejected || (res.error && res.new === undefined) ? (
+                                        <span style={{ color: 'var(--error-color)' }}>Not read</span>
+                                    ) : (
+                                        <span>
+                                            <span style={{ color: 'var(--success-color)' }}>+{res.new}</span> /
+                                            <span style={{ color: 'var(--text-secondary)' }}> {res.duplicates} dup</span>
+                                        </span>
+                                    )}
+                                </div>
+                                {res.error && (
+                                    <div style={{ marginTop: '0.4rem', fontSize: '0.9rem', fontWeight: 600, color: 'var(--error-color)' }}>
+                                        ⚠ {res.error}
+                                    </div>
+                                )}
+                                {res.warnings && res.warnings.filter(w => w !== res.error).length > 0 && (
+                                    <ul style={{ listStyle: 'none', marginTop: '0.4rem', fontSize: '0.85rem', color: '#eab308' }}>
+                                        {res.warnings.filter(w => w !== res.error).map((w) => (
+                                            <li key={w}>⚠ {w}</li>
+                                        ))}
+                                    </ul>
+                                )}
+                                {res.serials && res.serials.length > 0 && (
+                                    <ul style={{ listStyle: 'none', marginTop: '0.5rem', fontSize: '0.85rem' }}>
+                                        {res.serials.map((s) => (
+                                            <li key={`${s.page}-${s.serial}`} style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem', color: 'var(--text-secondary)' }}>
+                                                <span
+                                                    onClick={() => res.hash && setViewing({ hash: res.hash, serial: s.serial })}
+                                                    title={res.hash ? 'Show on the receipt' : undefined}
+                                                    style={{ fontFamily: 'monospace', cursor: res.hash ? 'pointer' : 'default', color: s.new ? 'var(--text-primary)' : 'var(--text-secondary)' }}
+                                                >
+                                                    {s.serial}
+                                                    {res.pageCount > 1 && <span style={{ fontFamily: 'inherit', color: 'var(--text-secondary)' }}> · p{s.page}</span>}
+                                                    {s.trashed && <span style={{ fontFamily: 'inherit', color: '#eab308' }}> · in trash</span>}
+                                                    {s.watchlist && (
+                                                        <span title={[s.watchlist.reason, s.watchlist.reporter].filter(Boolean).join(' · ')} style={{ color: 'var(--error-color)', fontWeight: 'bold' }}> ⚠ watchlist</span>
+                                                    )}
+                                                </span>
+                                                <span title={s.note || ''} style={{ color: s.confidence < 0.6 ? 'var(--error-color)' : 'var(--text-secondary)' }}>
+                                                    {Math.round(s.confidence * 100)}%{s.corrections.length > 0 ? ` · ${s.corrections.length} corrected` : ''}
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
                             </li>
                         ))}
                     </ul>
                 </div>
             )}
+
+            {viewing && (
+                <ReceiptViewer
+                    hash={viewing.hash}
+                    focus={viewing.serial}
+                    onClose={() => setViewing(null)}
+                    onOpenRecord={(rec) => {
+                        setViewing(null);
+                        if (onOpenRecord) onOpenRecord(rec);
+                    }}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const fieldStyle = { padding: '0.5rem 0.8rem', borderRadius: '8px', border: '1px solid #444', background: '#1a1a1a', color: '#fff' };
+const smallButton = { width: 'auto', padding: '0.25rem 0.6rem', fontSize: '0.8rem', background: 'transparent', border: '1px solid #666', color: '#ccc' };
+
+/**
+ * Accounts panel (admins only): add users, change roles and passwords,
+ * disable or delete accounts. `currentUser` is marked so admins do not lock
+ * themselves out by accident (the server also keeps one active admin).
+ */
+const UserManagement = ({ currentUser }) => {
+    const [users, setUsers] = useState([]);
+    const [version, setVersion] = useState(0);
+    const [form, setForm] = useState({ username: '', password: '', role: 'viewer' });
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetch('/api/users')
+            .then(async (res) => {
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || 'Failed to load users.');
+                if (!cancelled) setUsers(data);
+            })
+            .catch((err) => {
+                console.error(err);
+                if (!cancelled) setMessage({ success: false, text: err.message });
+            });
+        return () => { cancelled = true; };
+    }, [version]);
+
+    // Sends a change and reloads the list; returns whether it worked
+    const send = async (url, options, done) => {
+        try {
+            const res = await fetch(url, { headers: { 'Content-Type': 'application/json' }, ...options });
+            const data = await res.json();
+            if (!res.ok) {
+                setMessage({ success: false, text: data.error || 'Request failed.' });
+                return false;
+            }
+            setMessage(done ? { success: true, text: done } : null);
+            setVersion(v => v + 1);
+            return true;
+        } catch (err) {
+            console.error(err);
+            setMessage({ success: false, text: 'Network error.' });
+            return false;
+        }
+    };
+
+    const addUser = async (e) => {
+        e.preventDefault();
+        const ok = await send('/api/users', { method: 'POST', body: JSON.stringify(form) }, `Added ${form.username}.`);
+        if (ok) setForm({ username: '', password: '', role: 'viewer' });
+    };
+
+    const updateUser = (user, changes, done) =>
+        send(`/api/users/${user.id}`, { method: 'PUT', body: JSON.stringify(changes) }, done);
+
+    const resetPassword = (user) => {
+        const password = window.prompt(`New password for ${user.username}:`);
+        if (password) updateUser(user, { password }, `Password of ${user.username} changed.`);
+    };
+
+    const deleteUser = (user) => {
+        if (!window.confirm(`Delete the account ${user.username}?`)) return;
+        send(`/api/users/${user.id}`, { method: 'DELETE' }, `Deleted ${user.username}.`);
+    };
+
+    return (
+        <div className="card" style={{ background: 'rgba(0,0,0,0.2)', marginBottom: '2rem', border: '1px solid var(--glass-border)' }}>
+            <h3 style={{ marginBottom: '1rem' }}>Users ({users.length})</h3>
+
+            <form onSubmit={addUser} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+                <input
+                    type="text"
+                    placeholder="Username"
+                    value={form.username}
+                    onChange={(e) => setForm({ ...form, username: e.target.value })}
+                    style={fieldStyle}
+                />
+                <input
+                    type="password"
+                    placeholder="Password (8+ characters)"
+                    value={form.password}
+                    onChange={(e) => setForm({ ...form, password: e.target.value })}
+                    autoComplete="new-password"
+                    style={fieldStyle}
+                />
+                <select value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })} style={fieldStyle}>
+                    {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                </select>
+                <button type="submit" className="btn" disabled={!form.username || !form.password} style={{ width: 'auto', padding: '0.5rem 1rem' }}>
+                    Add user
+                </button>
+            </form>
+
+            {message && <div className={`result-box ${message.success ? 'result-success' : 'result-error'}`}>{message.text}</div>}
+
+            <div style={{ overflowX: 'auto', borderRadius: '8px', border: '1px solid #333' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left', fontSize: '0.85rem' }}>
+                    <thead>
+                        <tr style={{ background: 'rgba(255,255,255,0.05)', color: '#ccc' }}>
+                            <th style={{ padding: '0.75rem' }}>Username</th>
+                            <th style={{ padding: '0.75rem' }}>Role</th>
+                            <th style={{ padding: '0.75rem' }}>Last login</th>
+                            <th style={{ padding: '0.75rem', textAlign: 'center' }}>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {users.map(user => (
+                            <tr key={user.id} style={{ borderTop: '1px solid #333', opacity: user.disabled ? 0.5 : 1 }}>
+                                <td style={{ padding: '0.75rem', color: '#fff' }}>
+                                    {user.username}
+                                    {currentUser && currentUser.id === user.id && <span style={{ color: '#888' }}> (you)</span>}
+                                    {user.disabled && <span style={{ color: 'var(--error-color)' }}> (disabled)</span>}
+                                </td>
+                                <td style={{ padding: '0.75rem' }}>
+                                    <select
+                                        value={user.role}
+                                        onChange={(e) => updateUser(user, { role: e.target.value })}
+                                        style={{ ...fieldStyle, padding: '0.25rem 0.5rem' }}
+                                    >
+                                        {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                                    </select>
+                                </td>
+                                <td style={{ padding: '0.75rem', color: '#aaa' }}>
+                                    {user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}
+                                </td>
+                                <td style={{ padding: '0.75rem', textAlign: 'center' }}>
+                                    <div style={{ display: 'flex', justifyContent: 'center', gap: '0.5rem' }}>
+                                        <button className="btn" onClick={() => resetPassword(user)} style={smallButton}>Password</button>
+                                        <button className="btn" onClick={() => updateUser(user, { disabled: !user.disabled })} style={smallButton}>
+                                            {user.disabled ? 'Enable' : 'Disable'}
+                                        </button>
+                                        <button className="btn" onClick={() => deleteUser(user)} style={{ ...smallButton, borderColor: 'var(--error-color)', color: 'var(--error-color)' }}>
+                                            Delete
+                                        </button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default UserManagement;
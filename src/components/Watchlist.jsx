@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+
+const fieldStyle = { padding: '0.5rem 0.8rem', borderRadius: '8px', border: '1px solid #444', background: '#1a1a1a', color: '#fff' };
+const smallButton = { width: 'auto', padding: '0.25rem 0.6rem', fontSize: '0.8rem', background: 'transparent', border: '1px solid #666', color: '#ccc' };
+const EMPTY_ENTRY = { serial: '', reason: '', reporter: '', reportedAt: '' };
+const PAGE_SIZE = 10;
+
+const loadPage = async (url) => {
+    const res = await fetch(url);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to load the watchlist.');
+    return data;
+};
+
+// "N added, N updated" plus what needs a look
+const describeImport = (data) => {
+    const parts = [`${data.added} added`, `${data.updated} updated`];
+    if (data.invalid && data.invalid.length > 0) {
+        parts.push(`${data.invalid.length} skipped (${data.invalid.slice(0, 3).map(i => `line ${i.line}: ${i.error}`).join('; ')}${data.invalid.length > 3 ? '; …' : ''})`);
+    }
+    if (data.onRecord.length > 0) parts.push(`already on record: ${data.onRecord.join(', ')}`);
+    return parts.join(', ') + '.';
+};
+
+/**
+ * Watchlist panel (admins only): serials reported stolen or counterfeit,
+ * added one at a time or imported from a text/CSV file, and the log of
+ * every time one of them was seen.
+ */
+const Watchlist = () => {
+    const [entries, setEntries] = useState({ data: [], pagination: { current: 1, totalPages: 1, totalRecords: 0 } });
+    const [hits, setHits] = useState({ data: [], pagination: { current: 1, totalPages: 1, totalRecords: 0 } });
+    const [search, setSearch] = useState('');
+    const [page, setPage] = useState(1);
+    const [hitsPage, setHitsPage] = useState(1);
+    const [version, setVersion] = useState(0);
+    const [entry, setEntry] = useState(EMPTY_ENTRY);
+    const [file, setFile] = useState(null);
+    const [fileDefaults, setFileDefaults] = useState({ reason: '', reporter: '', reportedAt: '' });
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+        if (search) params.set('search', search);
+        loadPage(`/api/watchlist?${params}`)
+            .then(data => { if (!cancelled) setEntries(data); })
+            .catch(err => {
+                console.error(err);
+                if (!cancelled) setMessage({ success: false, text: err.message });
+            });
+        return () => { cancelled = true; };
+    }, [search, page, version]);
+
+    useEffect(() => {
+        let cancelled = false;
+        loadPage(`/api/watchlist/hits?page=${hitsPage}&limit=${PAGE_SIZE}`)
+            .then(data => { if (!cancelled) setHits(data); })
+            .catch(err => console.error(err));
+        return () => { cancelled = true; };
+    }, [hitsPage, version]);
+
+    const send = async (url, options, describe) => {
+        try {
+            const res = await fetch(url, options);
+            const data = await res.json();
+            if (!res.ok) {
+                setMessage({ success: false, text: data.error || 'Request failed.' });
+                return false;
+            }
+            setMessage({ success: true, text: describe(data) });
+            setVersion(v => v + 1);
+            return true;
+        } catch (err) {
+            console.error(err);
+            setMessage({ success: false, text: 'Network error.' });
+            return false;
+        }
+    };
+
+    const addEntry = async (e) => {
+        e.preventDefault();
+        const ok = await send('/api/watchlist', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
+        }, data => (data.added ? `Added ${entry.serial.toUpperCase()}. ` : `Updated ${entry.serial.toUpperCase()}. `)
+            + (data.onRecord.length > 0 ? 'It is already on record.' : ''));
+        if (ok) setEntry(EMPTY_ENTRY);
+    };
+
+    const importFile = async (e) => {
+        e.preventDefault();
+        if (!file) return;
+        const formData = new FormData();
+        formData.append('watchlist', file);
+        for (const [key, value] of Object.entries(fileDefaults)) {
+            if (value) formData.append(key, value);
+        }
+        const ok = await send('/api/watchlist/import', { method: 'POST', body: formData }, describeImport);
+        if (ok) {
+            setFile(null);
+            e.target.reset();
+        }
+    };
+
+    const removeEntry = (row) => {
+        if (!window.confirm(`Take ${row.serial_number} off the watchlist?`)) return;
+        send(`/api/watchlist/${row.id}`, { method: 'DELETE' }, () => `Removed ${row.serial_number}.`);
+    };
+
+    const pager = (pagination, setter) => pagination.totalPages > 1 && (
+        <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '0.75rem', marginTop: '0.5rem', fontSize: '0.85rem', color: '#aaa' }}>
+            <button className="btn" disabled={pagination.current <= 1} onClick={() => setter(pagination.current - 1)} style={smallButton}>Previous</button>
+            Page {pagination.current} of {pagination.totalPages}
+            <button className="btn" disabled={pagination.current >= pagination.totalPages} onClick={() => setter(pagination.current + 1)} style={smallButton}>Next</button>
+        </div>
+    );
+
+    return (
+        <div className="card" style={{ background: 'rgba(0,0,0,0.2)', marginBottom: '2rem', border: '1px solid var(--glass-border)' }}>
+            <h3 style={{ marginBottom: '0.5rem' }}>Watchlist ({entries.pagination.totalRecords})</h3>
+            <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginBottom: '1rem' }}>
+                Serials reported stolen or counterfeit. When one turns up in an upload, manual entry or import, its record is flagged and an alert is shown.
+            </p>
+
+            <form onSubmit={addEntry} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '0.75rem' }}>
+                <input type="text" placeholder="Serial" value={entry.serial} onChange={(e) => setEntry({ ...entry, serial: e.target.value })} style={fieldStyle} />
+                <input type="text" placeholder="Reason" value={entry.reason} onChange={(e) => setEntry({ ...entry, reason: e.target.value })} style={fieldStyle} />
+                <input type="text" placeholder="Reported by" value={entry.reporter} onChange={(e) => setEntry({ ...entry, reporter: e.target.value })} style={fieldStyle} />
+                <input type="date" value={entry.reportedAt} onChange={(e) => setEntry({ ...entry, reportedAt: e.target.value })} style={fieldStyle} />
+                <button type="submit" className="btn" disabled={!entry.serial.trim()} style={{ width: 'auto', padding: '0.5rem 1rem' }}>
+                    Add
+                </button>
+            </form>
+
+            <form onSubmit={importFile} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '1rem' }}>
+                <input type="file" accept=".txt,.csv,text/plain,text/csv" onChange={(e) => setFile(e.target.files[0] || null)} style={{ color: '#ccc', fontSize: '0.85rem' }} />
+                <input type="text" placeholder="Reason (for all)" value={fileDefaults.reason} onChange={(e) => setFileDefaults({ ...fileDefaults, reason: e.target.value })} style={fieldStyle} />
+                <input type="text" placeholder="Reported by (for all)" value={fileDefaults.reporter} onChange={(e) => setFileDefaults({ ...fileDefaults, reporter: e.target.value })} style={fieldStyle} />
+                <input type="date" value={fileDefaults.reportedAt} onChange={(e) => setFileDefaults({ ...fileDefaults, reportedAt: e.target.value })} style={fieldStyle} />
+                <button type="submit" className="btn" disabled={!file} style={{ width: 'auto', padding: '0.5rem 1rem' }}>
+                    Import list
+                </button>
+            </form>
+
+            {message && <div className={`result-box ${message.success ? 'result-success' : 'result-error'}`}>{message.text}</div>}
+
+            <input
+                type="text"
+                placeholder="Search serials..."
+                value={search}
+                onChange={(e) => { setSearch(e.target.value); setPage(1); }}
+                style={{ ...fieldStyle, marginBottom: '0.5rem' }}
+            />
+            <div style={{ overflowX: 'auto', borderRadius: '8px', border: '1px solid #333' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left', fontSize: '0.85rem' }}>
+                    <thead>
+                        <tr style={{ background: 'rgba(255,255,255,0.05)', color: '#ccc' }}>
+                            <th style={{ padding: '0.75rem' }}>Serial</th>
+                            <th style={{ padding: '0.75rem' }}>Reason</th>
+                            <th style={{ padding: '0.75rem' }}>Reported by</th>
+                            <th style={{ padding: '0.75rem' }}>Reported</th>
+                            <th style={{ padding: '0.75rem' }}>Hits</th>
+                            <th style={{ padding: '0.75rem', textAlign: 'center' }}>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.data.map(row => (
+                            <tr key={row.id} style={{ borderTop: '1px solid #333' }}>
+                                <td style={{ padding: '0.75rem', fontFamily: 'monospace', color: '#fff' }}>{row.serial_number}</td>
+                                <td style={{ padding: '0.75rem', color: '#aaa' }}>{row.reason || '-'}</td>
+                                <td style={{ padding: '0.75rem', color: '#aaa' }}>{row.reporter || '-'}</td>
+                                <td style={{ padding: '0.75rem', color: '#aaa' }}>{row.reported_at || '-'}</td>
+                                <td style={{ padding: '0.75rem', color: row.hits > 0 ? 'var(--error-color)' : '#aaa' }}>{row.hits}</td>
+                                <td style={{ padding: '0.75rem', textAlign: 'center' }}>
+                                    <button className="btn" onClick={() => removeEntry(row)} style={{ ...smallButton, borderColor: 'var(--error-color)', color: 'var(--error-color)' }}>
+                                        Remove
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {pager(entries.pagination, setPage)}
+
+            <h4 style={{ margin: '1.5rem 0 0.5rem' }}>Hits ({hits.pagination.totalRecords})</h4>
+            {hits.data.length === 0 ? (
+                <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>No watched serial has been seen yet.</p>
+            ) : (
+                <div style={{ overflowX: 'auto', borderRadius: '8px', border: '1px solid #333' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left', fontSize: '0.85rem' }}>
+                        <thead>
+                            <tr style={{ background: 'rgba(255,255,255,0.05)', color: '#ccc' }}>
+                                <th style={{ padding: '0.75rem' }}>When</th>
+                                <th style={{ padding: '0.75rem' }}>Serial</th>
+                                <th style={{ padding: '0.75rem' }}>Reason</th>
+                                <th style={{ padding: '0.75rem' }}>Seen in</th>
+                                <th style={{ padding: '0.75rem' }}>By</th>
+                                <th style={{ padding: '0.75rem' }}>Acknowledged</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {hits.data.map(hit => (
+                                <tr key={hit.id} style={{ borderTop: '1px solid #333' }}>
+                                    <td style={{ padding: '0.75rem', color: '#aaa' }}>{new Date(hit.created_at).toLocaleString()}</td>
+                                    <td style={{ padding: '0.75rem', fontFamily: 'monospace', color: '#fff' }}>{hit.serial_number}</td>
+                                    <td style={{ padding: '0.75rem', color: '#aaa' }}>{[hit.reason, hit.reporter].filter(Boolean).join(' · ') || '-'}</td>
+                                    <td style={{ padding: '0.75rem', color: '#aaa' }}>{hit.method}{hit.source ? ` · ${hit.source}` : ''}</td>
+                                    <td style={{ padding: '0.75rem', color: '#aaa' }}>{hit.operator || '-'}</td>
+                                    <td style={{ padding: '0.75rem', color: hit.acknowledged_at ? '#aaa' : 'var(--error-color)' }}>
+                                        {hit.acknowledged_at ? `${hit.acknowledged_by || ''} ${new Date(hit.acknowledged_at).toLocaleString()}` : 'Open'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {pager(hits.pagination, setHitsPage)}
+        </div>
+    );
+};
+
+export default Watchlist;
@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+
+const smallButton = { width: 'auto', padding: '0.25rem 0.6rem', fontSize: '0.8rem', background: 'transparent', border: '1px solid #fff', color: '#fff' };
+
+const METHOD_LABELS = { ocr: 'receipt', manual: 'manual entry', import: 'import', review: 'review correction', edit: 'record edit' };
+
+/**
+ * Banner listing watchlist hits nobody has acknowledged yet. Reloads when
+ * `version` changes (after uploads, batches and imports) and stays until
+ * each hit is acknowledged.
+ */
+const WatchlistAlerts = ({ version = 0 }) => {
+    const [hits, setHits] = useState({ data: [], total: 0 });
+    const [reload, setReload] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetch('/api/watchlist/hits?open=1&limit=10')
+            .then(res => (res.ok ? res.json() : null))
+            .then(data => {
+                if (!cancelled && data) setHits({ data: data.data, total: data.pagination.totalRecords });
+            })
+            .catch(err => console.error('Failed to load watchlist hits:', err));
+        return () => { cancelled = true; };
+    }, [version, reload]);
+
+    const acknowledge = async (ids) => {
+        try {
+            await fetch('/api/watchlist/hits/acknowledge', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(ids ? { ids } : {})
+            });
+        } catch (err) {
+            console.error('Failed to acknowledge watchlist hits:', err);
+        }
+        setReload(r => r + 1);
+    };
+
+    if (hits.total === 0) return null;
+
+    return (
+        <div role="alert" style={{ background: 'var(--error-color)', color: '#fff', borderRadius: '12px', padding: '1rem 1.25rem', marginBottom: '1.5rem' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', marginBottom: '0.5rem' }}>
+                <strong style={{ fontSize: '1.1rem' }}>
+                    ⚠ {hits.total} watchlist {hits.total === 1 ? 'hit' : 'hits'}: reported serials were just seen
+                </strong>
+                {hits.total > 1 && (
+                    <button className="btn" onClick={() => acknowledge()} style={smallButton}>Acknowledge all</button>
+                )}
+            </div>
+            <ul style={{ listStyle: 'none', padding: 0, margin: 0, fontSize: '0.9rem' }}>
+                {hits.data.map(hit => (
+                    <li key={hit.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', padding: '0.3rem 0', borderTop: '1px solid rgba(255,255,255,0.3)' }}>
+                        <span>
+                            <span style={{ fontFamily: 'monospace', fontWeight: 'bold' }}>{hit.serial_number}</span>
+                            {' · '}{hit.reason || 'on the watchlist'}
+                            {hit.reporter && ` (reported by ${hit.reporter})`}
+                            {' · '}{METHOD_LABELS[hit.method] || hit.method}{hit.source && hit.method === 'ocr' ? ` ${hit.source}` : ''}
+                            {hit.operator && ` by ${hit.operator}`}
+                            {' · '}{new Date(hit.created_at).toLocaleString()}
+                        </span>
+                        <button className="btn" onClick={() => acknowledge([hit.id])} style={smallButton}>Acknowledge</button>
+                    </li>
+                ))}
+            </ul>
+            {hits.total > hits.data.length && (
+                <div style={{ marginTop: '0.5rem', fontSize: '0.85rem' }}>…and {hits.total - hits.data.length} more.</div>
+            )}
+        </div>
+    );
+};
+
+export default WatchlistAlerts;
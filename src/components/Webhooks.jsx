@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+
+const fieldStyle = { padding: '0.5rem 0.8rem', borderRadius: '8px', border: '1px solid #444', background: '#1a1a1a', color: '#fff' };
+const smallButton = { width: 'auto', padding: '0.25rem 0.6rem', fontSize: '0.8rem', background: 'transparent', border: '1px solid #666', color: '#ccc' };
+const EMPTY_FORM = { url: '', events: [], description: '' };
+const PAGE_SIZE = 10;
+
+const STATUS_COLORS = { delivered: 'var(--success-color)', pending: '#eab308', sending: '#eab308', failed: 'var(--error-color)' };
+
+const fetchJson = async (url, options) => {
+    const res = await fetch(url, options);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed.');
+    return data;
+};
+
+/**
+ * Webhooks panel (admins only): subscribe URLs to serial and watchlist
+ * events, send test pings, and follow deliveries, with redelivery of any
+ * of them. A signing secret is shown once, when created or replaced.
+ */
+const Webhooks = () => {
+    const [webhooks, setWebhooks] = useState([]);
+    const [events, setEvents] = useState([]);
+    const [deliveries, setDeliveries] = useState({ data: [], pagination: { current: 1, totalPages: 1, totalRecords: 0 } });
+    const [deliveryFilter, setDeliveryFilter] = useState({ webhookId: '', status: '' });
+    const [page, setPage] = useState(1);
+    const [version, setVersion] = useState(0);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [secret, setSecret] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchJson('/api/webhooks')
+            .then(data => {
+                if (cancelled) return;
+                setWebhooks(data.webhooks);
+                setEvents(data.events);
+            })
+            .catch(err => {
+                console.error(err);
+                if (!cancelled) setMessage({ success: false, text: err.message });
+            });
+        return () => { cancelled = true; };
+    }, [version]);
+
+    useEffect(() => {
+        let cancelled = false;
+        const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+        if (deliveryFilter.webhookId) params.set('webhookId', deliveryFilter.webhookId);
+        if (deliveryFilter.status) params.set('status', deliveryFilter.status);
+        fetchJson(`/api/webhooks/deliveries?${params}`)
+            .then(data => { if (!cancelled) setDeliveries(data); })
+            .catch(err => console.error(err));
+        return () => { cancelled = true; };
+    }, [deliveryFilter, page, version]);
+
+    // Sends a change and reloads; `done` turns the response into a message
+    const send = async (url, options, done) => {
+        try {
+            const data = await fetchJson(url, { headers: { 'Content-Type': 'application/json' }, ...options });
+            setMessage(done ? { success: true, text: done(data) } : null);
+            setVersion(v => v + 1);
+            return data;
+        } catch (err) {
+            console.error(err);
+            setMessage({ success: false, text: err.message });
+            return null;
+        }
+    };
+
+    const toggleEvent = (event) => {
+        const next = form.events.includes(event) ? form.events.filter(e => e !== event) : [...form.events, event];
+        setForm({ ...form, events: next });
+    };
+
+    const createWebhook = async (e) => {
+        e.preventDefault();
+        setSecret(null);
+        const data = await send('/api/webhooks', { method: 'POST', body: JSON.stringify(form) });
+        if (data) {
+            setSecret({ url: data.webhook.url, value: data.secret });
+            setForm(EMPTY_FORM);
+        }
+    };
+
+    const rotateSecret = async (hook) => {
+        if (!window.confirm(`Replace the secret of ${hook.url}? The receiver has to be given the new one.`)) return;
+        const data = await send(`/api/webhooks/${hook.id}/secret`, { method: 'POST' });
+        if (data) setSecret({ url: hook.url, value: data.secret });
+    };
+
+    const deleteWebhook = (hook) => {
+        if (!window.confirm(`Delete the webhook for ${hook.url} and its delivery log?`)) return;
+        send(`/api/webhooks/${hook.id}`, { method: 'DELETE' }, () => `Deleted the webhook for ${hook.url}.`);
+    };
+
+    const refreshSoon = () => setTimeout(() => setVersion(v => v + 1), 1500);
+
+    const testWebhook = async (hook) => {
+        if (await send(`/api/webhooks/${hook.id}/test`, { method: 'POST' }, () => `Test ping sent to ${hook.url}.`)) refreshSoon();
+    };
+
+    const redeliver = async (delivery) => {
+        if (await send(`/api/webhooks/deliveries/${delivery.id}/redeliver`, { method: 'POST' }, data => `Delivery #${delivery.id} queued again as #${data.id}.`)) refreshSoon();
+    };
+
+    const setFilter = (changes) => {
+        setDeliveryFilter({ ...deliveryFilter, ...changes });
+        setPage(1);
+    };
+
+    return (
+        <div className="card" style={{ background: 'rgba(0,0,0,0.2)', marginBottom: '2rem', border: '1px solid var(--glass-border)' }}>
+            <h3 style={{ marginBottom: '0.5rem' }}>Webhooks ({webhooks.length})</h3>
+            <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginBottom: '1rem' }}>
+                Signed JSON POSTs to other systems when serials change or a watchlist serial is seen. Failed deliveries are retried with increasing delays.
+            </p>
+
+            <form onSubmit={createWebhook} style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '1rem' }}>
+                <input
+                    type="url"
+                    placeholder="https://example.com/hooks/serials"
+                    value={form.url}
+                    onChange={(e) => setForm({ ...form, url: e.target.value })}
+                    style={{ ...fieldStyle, minWidth: '260px' }}
+                />
+                <input
+                    type="text"
+                    placeholder="Description"
+                    value={form.description}
+                    onChange={(e) => setForm({ ...form, description: e.target.value })}
+                    style={fieldStyle}
+                />
+                {events.map(event => (
+                    <label key={event} style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', color: '#ccc', fontSize: '0.85rem' }}>
+                        <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} />
+                        {event}
+                    </label>
+                ))}
+                <button type="submit" className="btn" disabled={!form.url || form.events.length === 0} style={{ width: 'auto', padding: '0.5rem 1rem' }}>
+                    Add webhook
+                </button>
+            </form>
+
+            {secret && (
+                <div className="result-box result-success" style={{ wordBreak: 'break-all' }}>
+                    Signing secret for {secret.url} (copy it now, it will not be shown again):
+                    <div style={{ fontFamily: 'monospace', marginTop: '0.5rem', userSelect: 'all' }}>{secret.value}</div>
+                </div>
+            )}
+            {message && <div className={`result-box ${message.success ? 'result-success' : 'result-error'}`}>{message.text}</div>}
+
+            {webhooks.length > 0 && (
+                <div style={{ overflowX: 'auto', borderRadius: '8px', border: '1px solid #333', marginBottom: '1.5rem' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left', fontSize: '0.85rem' }}>
+                        <thead>
+                            <tr style={{ background: 'rgba(255,255,255,0.05)', color: '#ccc' }}>
+                                <th style={{ padding: '0.75rem' }}>URL</th>
+                                <th style={{ padding: '0.75rem' }}>Events</th>
+                                <th style={{ padding: '0.75rem', textAlign: 'center' }}>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {webhooks.map(hook => (
+                                <tr key={hook.id} style={{ borderTop: '1px solid #333', opacity: hook.active ? 1 : 0.5 }}>
+                                    <td style={{ padding: '0.75rem', color: '#fff', wordBreak: 'break-all' }}>
+                                        {hook.url}
+                                        {hook.description && <div style={{ color: '#888', fontSize: '0.75rem' }}>{hook.description}</div>}
+                                        {!hook.active && <span style={{ color: 'var(--error-color)' }}> (paused)</span>}
+                                    </td>
+                                    <td style={{ padding: '0.75rem', color: '#aaa' }}>{hook.events.join(', ')}</td>
+                                    <td style={{ padding: '0.75rem' }}>
+                                        <div style={{ display: 'flex', justifyContent: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+                                            <button className="btn" onClick={() => testWebhook(hook)} style={smallButton}>Test</button>
+                                            <button className="btn" onClick={() => send(`/api/webhooks/${hook.id}`, { method: 'PUT', body: JSON.stringify({ active: !hook.active }) })} style={smallButton}>
+                                                {hook.active ? 'Pause' : 'Resume'}
+                                            </button>
+                                            <button className="btn" onClick={() => rotateSecret(hook)} style={smallButton}>New secret</button>
+                                            <button className="btn" onClick={() => deleteWebhook(hook)} style={{ ...smallButton, borderColor: 'var(--error-color)', color: 'var(--error-color)' }}>
+                                                Delete
+                                            </button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '0.5rem' }}>
+                <h4 style={{ margin: 0, marginRight: 'auto' }}>Deliveries ({deliveries.pagination.totalRecords})</h4>
+                <select value={deliveryFilter.webhookId} onChange={(e) => setFilter({ webhookId: e.target.value })} style={fieldStyle}>
+                    <option value="">All webhooks</option>
+                    {webhooks.map(hook => <option key={hook.id} value={hook.id}>{hook.url}</option>)}
+                </select>
+                <select value={deliveryFilter.status} onChange={(e) => setFilter({ status: e.target.value })} style={fieldStyle}>
+                    <option value="">Any status</option>
+                    {Object.keys(STATUS_COLORS).map(st => <option key={st} value={st}>{st}</option>)}
+                </select>
+                <button className="btn" onClick={() => setVersion(v => v + 1)} style={smallButton}>Refresh</button>
+            </div>
+            {deliveries.data.length === 0 ? (
+                <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>No deliveries yet.</p>
+            ) : (
+                <div style={{ overflowX: 'auto', borderRadius: '8px', border: '1px solid #333' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left', fontSize: '0.85rem' }}>
+                        <thead>
+                            <tr style={{ background: 'rgba(255,255,255,0.05)', color: '#ccc' }}>
+                                <th style={{ padding: '0.75rem' }}>#</th>
+                                <th style={{ padding: '0.75rem' }}>Event</th>
+                                <th style={{ padding: '0.75rem' }}>To</th>
+                                <th style={{ padding: '0.75rem' }}>Status</th>
+                                <th style={{ padding: '0.75rem' }}>Attempts</th>
+                                <th style={{ padding: '0.75rem' }}>Last attempt</th>
+                                <th style={{ padding: '0.75rem', textAlign: 'center' }}>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {deliveries.data.map(delivery => (
+                                <tr key={delivery.id} style={{ borderTop: '1px solid #333' }}>
+                                    <td style={{ padding: '0.75rem', color: '#aaa' }}>
+                                        {delivery.id}
+                                        {delivery.redelivery_of && <div style={{ color: '#888', fontSize: '0.75rem' }}>of #{delivery.redelivery_of}</div>}
+                                    </td>
+                                    <td style={{ padding: '0.75rem', color: '#fff' }}>
+                                        {delivery.event}
+                                        {delivery.payload.data && delivery.payload.data.serial_number && (
+                                            <div style={{ fontFamily: 'monospace', color: '#888', fontSize: '0.75rem' }}>{delivery.payload.data.serial_number}</div>
+                                        )}
+                                    </td>
+                                    <td style={{ padding: '0.75rem', color: '#aaa', wordBreak: 'break-all' }}>{delivery.url}</td>
+                                    <td style={{ padding: '0.75rem', color: STATUS_COLORS[delivery.status] }} title={delivery.response_body || ''}>
+                                        {delivery.status}
+                                        {delivery.response_status && ` (${delivery.response_status})`}
+                                        {delivery.error && <div style={{ color: '#888', fontSize: '0.75rem' }}>{delivery.error}</div>}
+                                        {delivery.status === 'pending' && delivery.next_attempt_at && delivery.attempts > 0 && (
+                                            <div style={{ color: '#888', fontSize: '0.75rem' }}>retry at {new Date(delivery.next_attempt_at).toLocaleTimeString()}</div>
+                                        )}
+                                    </td>
+                                    <td style={{ padding: '0.75rem', color: '#aaa' }}>{delivery.attempts}</td>
+                                    <td style={{ padding: '0.75rem', color: '#aaa' }}>
+                                        {delivery.last_attempt_at ? new Date(delivery.last_attempt_at).toLocaleString() : '-'}
+                                    </td>
+                                    <td style={{ padding: '0.75rem', textAlign: 'center' }}>
+                                        <button className="btn" onClick={() => redeliver(delivery)} style={smallButton}>Redeliver</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {deliveries.pagination.totalPages > 1 && (
+                <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '0.75rem', marginTop: '0.5rem', fontSize: '0.85rem', color: '#aaa' }}>
+                    <button className="btn" disabled={page <= 1} onClick={() => setPage(page - 1)} style={smallButton}>Previous</button>
+                    Page {deliveries.pagination.current} of {deliveries.pagination.totalPages}
+                    <button className="btn" disabled={page >= deliveries.pagination.totalPages} onClick={() => setPage(page + 1)} style={smallButton}>Next</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Webhooks;
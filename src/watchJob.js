@@ -0,0 +1,81 @@
+// Extraction job ids are kept here so an upload can be resumed after a page reload
+export const ACTIVE_JOB_KEY = 'serials.activeExtractionJob';
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+const POLL_INTERVAL_MS = 1500;
+
+export const isFinished = (job) => !!job && FINISHED.includes(job.status);
+
+/**
+ * Follows an extraction job. Uses the /api/ws WebSocket when available and
+ * falls back to polling GET /api/jobs/:id (e.g. on Vercel, or if the socket drops).
+ *
+ * @param {string} jobId
+ * @param {object} handlers
+ * @param {(job: object) => void} handlers.onJob - Full job state.
+ * @param {(file: object) => void} [handlers.onProgress] - OCR progress of the current file.
+ * @param {(message: string) => void} [handlers.onError]
+ * @returns {() => void} Stops watching.
+ */
+export function watchJob(jobId, { onJob, onProgress, onError }) {
+    let stopped = false;
+    let socket = null;
+    let pollTimer = null;
+    let finished = false;
+
+    const handleJob = (job) => {
+        onJob(job);
+        if (isFinished(job)) {
+            finished = true;
+            stop();
+        }
+    };
+
+    const poll = async () => {
+        if (stopped) return;
+        try {
+            const res = await fetch(`/api/jobs/${jobId}`);
+            if (res.status === 404) {
+                if (onError) onError('Job not found.');
+                stop();
+                return;
+            }
+            if (res.ok) handleJob(await res.json());
+        } catch (err) {
+            console.error('Job polling failed:', err);
+        }
+        if (!stopped) pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+
+    const startPolling = () => {
+        if (stopped || pollTimer) return;
+        poll();
+    };
+
+    function stop() {
+        stopped = true;
+        clearTimeout(pollTimer);
+        if (socket && socket.readyState <= WebSocket.OPEN) socket.close();
+    }
+
+    try {
+        const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+        socket = new WebSocket(`${protocol}://${window.location.host}/api/ws?job=${encodeURIComponent(jobId)}`);
+        socket.onmessage = (event) => {
+            const msg = JSON.parse(event.data);
+            if (msg.type === 'job') handleJob(msg.job);
+            else if (msg.type === 'progress' && onProgress) onProgress(msg.file);
+            else if (msg.type === 'error' && onError) onError(msg.error);
+        };
+        // Any socket failure (including no WebSocket support on the server) switches to polling
+        socket.onerror = () => startPolling();
+        socket.onclose = () => {
+            if (!finished) startPolling();
+        };
+    } catch (err) {
+        console.error('WebSocket unavailable, polling instead:', err);
+        startPolling();
+    }
+
+    return stop;
+}